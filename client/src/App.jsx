@@ -2,11 +2,13 @@ import { Routes, Route, Link } from 'react-router-dom';
 import HomePage from './pages/HomePage';
 import LobbyPage from './pages/LobbyPage';
 import GamePage from './pages/GamePage';
+import LanguageSwitcher from './components/LanguageSwitcher';
 import './App.css';
 
 function App() {
   return (
     <div className="App">
+      <LanguageSwitcher />
       <Link to="/" className="app-title-link"> {/* Add className for styling */}
         <h1>Who is fake</h1> {/* Use the desired title text */}
       </Link> {/* Or move layout elsewhere */}
@@ -0,0 +1,31 @@
+import React from 'react';
+import './TextInput.css'; // Shares the wrapper/label styles with TextInput
+
+/**
+ * A reusable controlled checkbox component.
+ * @param {object} props
+ * @param {string} props.label - Text label shown next to the checkbox.
+ * @param {boolean} props.checked - Whether the checkbox is ticked.
+ * @param {function} props.onChange - Function to call when toggled (receives the change event).
+ * @param {boolean} [props.disabled=false] - Whether the checkbox is non-interactive.
+ * @param {string} [props.id] - HTML id attribute, useful for associating label.
+ * @param {string} [props.className] - Additional CSS classes for the wrapper.
+ */
+function CheckboxInput({ label, checked, onChange, disabled = false, id, className = '' }) {
+  const inputId = id || `checkbox-input-${label.replace(/\s+/g, '-').toLowerCase()}`; // Generate id if not provided
+
+  return (
+    <div className={`text-input-wrapper checkbox-input-wrapper ${className}`}>
+      <input
+        type="checkbox"
+        id={inputId}
+        checked={checked}
+        onChange={onChange} // Expects parent to pass the event handler e => setValue(e.target.checked)
+        disabled={disabled}
+      />
+      <label htmlFor={inputId}>{label}</label>
+    </div>
+  );
+}
+
+export default CheckboxInput;
@@ -0,0 +1,29 @@
+// src/components/LanguageSwitcher.jsx
+import React from 'react';
+import { useTranslation, LANGUAGE_OPTIONS } from '../i18n';
+import './LanguageSwitcher.css';
+
+/**
+ * Picks the UI language. The choice is remembered in this browser (see i18n.js);
+ * the language a room asks its questions in is a separate room setting.
+ * @param {object} props
+ * @param {string} [props.className] - Additional CSS classes.
+ */
+function LanguageSwitcher({ className = '' }) {
+  const { t, language, setLanguage } = useTranslation();
+
+  return (
+    <select
+      className={`language-switcher ${className}`}
+      value={language}
+      onChange={(e) => setLanguage(e.target.value)}
+      aria-label={t('common.language')}
+    >
+      {LANGUAGE_OPTIONS.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  );
+}
+
+export default LanguageSwitcher;
@@ -0,0 +1,67 @@
+// src/components/NumberLine.jsx
+import React from 'react';
+import { useTranslation } from '../i18n';
+import './NumberLine.css';
+
+// Markers closer than this (in % of the line) share a spot, so they stack instead of overlapping
+const STACK_DISTANCE = 6;
+const MARKER_HEIGHT_REM = 2.5; // Name label plus dot; the bottom row's dots sit on the line
+
+/**
+ * Plots the answers to a number question on a line from min to max, highlighting the outliers.
+ * @param {object} props
+ * @param {Object<string, string|null>} props.answers - Answer per player id (null = no answer).
+ * @param {Array<{id: string, name: string}>} props.players - Players, for the names on the markers.
+ * @param {number} props.min - Lowest allowed answer.
+ * @param {number} props.max - Highest allowed answer.
+ * @param {string[]} [props.outlierIds=[]] - Players whose answer is far from everyone else's (worked out by the server).
+ */
+function NumberLine({ answers, players, min, max, outlierIds = [] }) {
+  const { t } = useTranslation();
+  const getName = (playerId) => players.find(p => p.id === playerId)?.name || t('common.someone');
+
+  // Sorted by value so each marker only has to look at the ones to its left
+  const markers = Object.entries(answers)
+    .filter(([, answer]) => answer !== null && answer !== '')
+    .map(([playerId, answer]) => ({ playerId, value: Number(answer) }))
+    .sort((a, b) => a.value - b.value)
+    .map(({ playerId, value }) => ({
+      playerId,
+      value,
+      position: Math.min(Math.max(((value - min) / (max - min)) * 100, 0), 100)
+    }));
+  markers.forEach((marker, i) => {
+    const below = markers.slice(0, i).filter(other => marker.position - other.position < STACK_DISTANCE);
+    marker.row = below.length > 0 ? Math.max(...below.map(other => other.row)) + 1 : 0;
+  });
+  const rows = markers.reduce((count, marker) => Math.max(count, marker.row + 1), 1);
+
+  const outlierNames = outlierIds.map(getName);
+
+  return (
+    <div className="number-line">
+      <div className="number-line-track" style={{ height: `${rows * MARKER_HEIGHT_REM}rem` }}>
+        {markers.map(({ playerId, value, position, row }) => (
+          <div
+            key={playerId}
+            className={`number-line-marker ${outlierIds.includes(playerId) ? 'outlier' : ''}`}
+            style={{ left: `${position}%`, bottom: `${row * MARKER_HEIGHT_REM - 0.5}rem` }}
+            title={`${getName(playerId)}: ${value}`}
+          >
+            <span className="number-line-label">{getName(playerId)}: {value}</span>
+            <span className="number-line-dot" />
+          </div>
+        ))}
+      </div>
+      <div className="number-line-ends">
+        <span>{min}</span>
+        <span>{max}</span>
+      </div>
+      {outlierNames.length > 0 && (
+        <p className="number-line-outliers">{t('numberLine.outliers')} <strong>{outlierNames.join(', ')}</strong></p>
+      )}
+    </div>
+  );
+}
+
+export default NumberLine;
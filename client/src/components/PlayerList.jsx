@@ -1,40 +1,117 @@
 // src/components/PlayerList.jsx
 import React from 'react';
+import Button from './Button';
+import { useTranslation } from '../i18n';
 import './PlayerList.css'; // Make sure CSS is imported [cite: uploaded:src/components/PlayerList.jsx]
 
+// Options of the per-entry host menu; the value is what onKick / onMakeHost get
+const HOST_ACTION_OPTIONS = [
+  { value: 'makeHost', labelKey: 'playerList.makeHost', playersOnly: true },
+  { value: 'kick', labelKey: 'playerList.kick' },
+  { value: 'ban-name', labelKey: 'playerList.banName' },
+  { value: 'ban-session', labelKey: 'playerList.banDevice' },
+];
+
 /**
- * Displays a list of players.
+ * Host-only menu next to a player or spectator. Resets after each choice.
  * @param {object} props
- * @param {Array<{id: string, name: string, isCreator?: boolean, hasAnswered?: boolean, status?: string}>} props.players - Array of player objects. // Added hasAnswered
- * @param {string} [props.title='Players'] - Title for the list.
+ * @param {{id: string, name: string}} props.member - The player or spectator the actions apply to.
+ * @param {boolean} props.isPlayer - Spectators can't be made host.
+ * @param {Function} [props.onKick] - Called with (memberId, ban) where ban is 'none' | 'name' | 'session'.
+ * @param {Function} [props.onMakeHost] - Called with the player id.
+ */
+function HostActions({ member, isPlayer, onKick, onMakeHost }) {
+  const { t } = useTranslation();
+  const handleChange = (e) => {
+    const action = e.target.value;
+    e.target.value = '';
+    if (action === 'makeHost') {
+      onMakeHost?.(member.id);
+    } else if (action === 'kick') {
+      onKick?.(member.id, 'none');
+    } else if (action.startsWith('ban-')) {
+      onKick?.(member.id, action.slice('ban-'.length));
+    }
+  };
+
+  return (
+    <select className="host-actions" defaultValue="" onChange={handleChange} aria-label={t('playerList.hostActions', { name: member.name })}>
+      <option value="" disabled>⋯</option>
+      {HOST_ACTION_OPTIONS.filter(option => isPlayer || !option.playersOnly).map(option => (
+        <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * Displays a list of players, and the room's spectators in their own section.
+ * @param {object} props
+ * @param {Array<{id: string, name: string, isCreator?: boolean, hasAnswered?: boolean, hasVoted?: boolean, connected?: boolean, status?: string}>} props.players - Array of player objects. // Added hasAnswered, hasVoted, connected
+ * @param {Array<{id: string, name: string, connected?: boolean, joinNextRound?: boolean}>} [props.spectators] - People watching without playing.
+ * @param {string} [props.title] - Title for the list; "Players" in the UI language by default.
  * @param {string} [props.className] - Additional CSS classes.
+ * @param {Function} [props.onPromoteSpectator] - Called with a spectator id; shows a "Let them play" button when given (host only).
+ * @param {string} [props.currentPlayerId] - Our own id; host actions are never shown next to it.
+ * @param {Function} [props.onKick] - Host only. Called with (memberId, ban); shows the host actions menu when given.
+ * @param {Function} [props.onMakeHost] - Host only. Called with the id of the player to hand the crown to.
  */
-function PlayerList({ players = [], title = 'Players', className = '' }) {
+function PlayerList({ players = [], spectators = [], title, className = '', onPromoteSpectator, currentPlayerId, onKick, onMakeHost }) {
+  const { t } = useTranslation();
+  const showHostActions = (member) => Boolean(onKick || onMakeHost) && member.id !== currentPlayerId;
+
   return (
     <div className={`player-list-container ${className}`}>
-      <h3>{title} ({players.length})</h3>
+      <h3>{title || t('playerList.title')} ({players.length})</h3>
       {players.length === 0 ? (
-        <p>No players yet.</p>
+        <p>{t('playerList.noPlayers')}</p>
       ) : (
         <ul className="player-list">
           {players.map((player) => (
             <li key={player.id} className={`player-list-item ${player.hasAnswered ? 'answered' : ''}`}> {/* Optional class */}
               <span className="player-name">
                 {player.name}
-                {player.isCreator && ' (👑 Creator)'}
+                {player.isCreator && ` (👑 ${t('playerList.creator')})`}
+                {player.connected === false && <span className="player-offline"> ({t('playerList.offline')})</span>}
               </span>
               <span className="player-status">
                 {/* Display Answered Checkmark */}
                 {player.hasAnswered && '✅'}
+                {/* Display Voted Ballot (who they voted for stays secret) */}
+                {player.hasVoted && ' 🗳️'}
                 {/* Display other statuses if needed */}
                 {player.status && ` (${player.status})`}
+                {showHostActions(player) && <HostActions member={player} isPlayer onKick={onKick} onMakeHost={onMakeHost} />}
               </span>
             </li>
           ))}
         </ul>
       )}
+      {spectators.length > 0 && (
+        <>
+          <h4 className="spectator-list-title">👀 {t('playerList.spectators')} ({spectators.length})</h4>
+          <ul className="player-list spectator-list">
+            {spectators.map((spectator) => (
+              <li key={spectator.id} className="player-list-item spectator">
+                <span className="player-name">
+                  {spectator.name}
+                  {spectator.connected === false && <span className="player-offline"> ({t('playerList.offline')})</span>}
+                </span>
+                <span className="player-status">
+                  {spectator.joinNextRound ? (
+                    ` (${t('playerList.playsNextRound')})`
+                  ) : onPromoteSpectator && (
+                    <Button onClick={() => onPromoteSpectator(spectator.id)} className="promote-button">{t('playerList.letThemPlay')}</Button>
+                  )}
+                  {showHostActions(spectator) && <HostActions member={spectator} isPlayer={false} onKick={onKick} />}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
     </div>
   );
 }
 
-export default PlayerList;
\ No newline at end of file
+export default PlayerList;
@@ -0,0 +1,53 @@
+// src/components/QuestionFeedback.jsx
+import React, { useState } from 'react';
+import Button from './Button';
+import { emitWithAck } from '../socket';
+import { useTranslation } from '../i18n';
+import './QuestionFeedback.css';
+
+// Values must match the server's FEEDBACK_OPTIONS (see server/questionFeedback.js)
+const FEEDBACK_OPTIONS = ['tooEasy', 'good', 'tooHard'];
+
+/**
+ * Asks a player what they thought of the pair that was just revealed. The server
+ * keeps the ratings, with whether the imposter was caught, to find pairs worth tuning.
+ * Mount it with a per-round `key` so each round can be rated once.
+ * @param {object} props
+ * @param {string} props.roomCode - The room the round belongs to.
+ * @param {function} props.onError - Called with { code, message } when the server rejects the rating.
+ */
+function QuestionFeedback({ roomCode, onError }) {
+  const [feedback, setFeedback] = useState(null); // The option we sent, once sent
+  const { t } = useTranslation();
+
+  const sendFeedback = (option) => {
+    setFeedback(option);
+    emitWithAck('rateQuestion', { roomCode, feedback: option }, {
+      onError: (requestError) => {
+        // Rated before a reconnect - the server still has it
+        if (requestError.code === 'ALREADY_RATED') return;
+        setFeedback(null);
+        onError(requestError);
+      }
+    });
+  };
+
+  return (
+    <div className="question-feedback">
+      {feedback === null ? (
+        <>
+          <p>{t('questionFeedback.prompt')}</p>
+          <div className="question-feedback-options">
+            {FEEDBACK_OPTIONS.map(option => (
+              <Button key={option} onClick={() => sendFeedback(option)}>{t(`questionFeedback.options.${option}`)}</Button>
+            ))}
+          </div>
+        </>
+      ) : (
+        <p>{t('questionFeedback.thanks')}</p>
+      )}
+    </div>
+  );
+}
+
+export default QuestionFeedback;
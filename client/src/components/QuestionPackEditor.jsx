@@ -0,0 +1,109 @@
+// src/components/QuestionPackEditor.jsx
+import React, { useState } from 'react';
+import Button from './Button';
+import { emitWithAck } from '../socket';
+import { useTranslation } from '../i18n';
+import './QuestionPackEditor.css';
+
+const PACK_EXAMPLE = 'real,fake\nWho is the best cook in the group?,Who burns toast the most?';
+
+// JSON starts with a list or an object; anything else is treated as CSV
+const detectFormat = (content) => (/^\s*[[{]/.test(content) ? 'json' : 'csv');
+
+const downloadText = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Lets the host paste or upload their own questions for the room (JSON or CSV with
+ * real,fake pairs), see which rows the server skipped, and export the pack again.
+ * Whether the pack is played alone or mixed in is a room setting (SettingsForm).
+ * @param {object} props
+ * @param {string} props.roomCode - The room the pack belongs to.
+ * @param {number} props.packSize - Questions in the room's current pack (0 = no pack).
+ * @param {function} props.onError - Called with { code, message } when the server rejects a request.
+ */
+function QuestionPackEditor({ roomCode, packSize, onError }) {
+  const [content, setContent] = useState('');
+  const [skippedRows, setSkippedRows] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const { t } = useTranslation();
+
+  const uploadPack = (text) => {
+    setIsUploading(true);
+    emitWithAck('uploadQuestionPack', { roomCode, format: detectFormat(text), content: text }, {
+      onSuccess: ({ errors }) => {
+        setIsUploading(false);
+        setSkippedRows(errors);
+        setContent('');
+      },
+      onError: (uploadError) => {
+        setIsUploading(false);
+        onError(uploadError);
+      }
+    });
+  };
+
+  const handleFileChosen = (e) => {
+    const [file] = e.target.files;
+    e.target.value = ''; // Let the same file be chosen again after editing it
+    if (!file) return;
+    file.text().then(uploadPack);
+  };
+
+  const handleExport = (format) => {
+    emitWithAck('exportQuestionPack', { roomCode, format }, {
+      onSuccess: (result) => downloadText(`question-pack-${roomCode}.${format}`, result.content, format === 'csv' ? 'text/csv' : 'application/json'),
+      onError
+    });
+  };
+
+  const handleRemove = () => {
+    if (!window.confirm(t('questionPack.confirmRemove'))) return;
+    setSkippedRows([]);
+    emitWithAck('removeQuestionPack', { roomCode }, { onError });
+  };
+
+  return (
+    <div className="question-pack-editor">
+      <h3>{t('questionPack.title')}</h3>
+      <p>{packSize > 0 ? t('questionPack.current', { count: packSize }) : t('questionPack.intro')}</p>
+      <textarea
+        className="text-input-field question-pack-input"
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder={PACK_EXAMPLE}
+        rows={5}
+      />
+      <div className="question-pack-actions">
+        <Button onClick={() => uploadPack(content)} disabled={!content.trim() || isUploading}>{t('questionPack.usePasted')}</Button>
+        <label className="button question-pack-file">
+          {t('questionPack.uploadFile')}
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChosen} disabled={isUploading} />
+        </label>
+      </div>
+      {skippedRows.length > 0 && (
+        <div className="question-pack-skipped">
+          <p className="warning-message">{t('questionPack.skipped', { count: skippedRows.length })}</p>
+          <ul>
+            {skippedRows.map(problem => <li key={problem.row}>{problem.message}</li>)}
+          </ul>
+        </div>
+      )}
+      {packSize > 0 && (
+        <div className="question-pack-actions">
+          <Button onClick={() => handleExport('csv')}>{t('questionPack.exportCsv')}</Button>
+          <Button onClick={() => handleExport('json')}>{t('questionPack.exportJson')}</Button>
+          <Button onClick={handleRemove} className="leave-button">{t('questionPack.remove')}</Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QuestionPackEditor;
@@ -0,0 +1,35 @@
+// src/components/Scoreboard.jsx
+import React from 'react';
+import { useTranslation } from '../i18n';
+import './Scoreboard.css';
+
+/**
+ * Displays ranked player standings.
+ * @param {object} props
+ * @param {Array<{id: string, name: string, score: number, rank: number}>} props.standings - Players sorted by rank (from the server).
+ * @param {Object<string, number>} [props.roundPoints] - Points each player (by id) earned in the latest round.
+ * @param {string} [props.title] - Title for the board; "Standings" in the UI language by default.
+ * @param {string} [props.className] - Additional CSS classes.
+ */
+function Scoreboard({ standings = [], roundPoints = {}, title, className = '' }) {
+  const { t } = useTranslation();
+  if (standings.length === 0) return null;
+
+  return (
+    <div className={`scoreboard-container ${className}`}>
+      <h3>{title || t('scoreboard.title')}</h3>
+      <ol className="scoreboard-list">
+        {standings.map((entry) => (
+          <li key={entry.id} className={`scoreboard-item ${entry.rank === 1 ? 'leader' : ''}`}>
+            <span className="scoreboard-rank">#{entry.rank}</span>
+            <span className="scoreboard-name">{entry.name}</span>
+            {roundPoints[entry.id] > 0 && <span className="scoreboard-gain">+{roundPoints[entry.id]}</span>}
+            <span className="scoreboard-score">{t('scoreboard.points', { count: entry.score })}</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default Scoreboard;
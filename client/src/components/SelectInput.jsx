@@ -0,0 +1,36 @@
+import React from 'react';
+import './TextInput.css'; // Shares the wrapper/label/field styles with TextInput
+
+/**
+ * A reusable controlled select (dropdown) component.
+ * @param {object} props
+ * @param {string} props.label - Text label for the select.
+ * @param {string} props.value - The currently selected option value.
+ * @param {function} props.onChange - Function to call when the selection changes.
+ * @param {Array<{value: string, label: string}>} props.options - Options to choose from.
+ * @param {boolean} [props.disabled=false] - Whether the select is non-interactive.
+ * @param {string} [props.id] - HTML id attribute, useful for associating label.
+ * @param {string} [props.className] - Additional CSS classes for the wrapper.
+ */
+function SelectInput({ label, value, onChange, options = [], disabled = false, id, className = '' }) {
+  const selectId = id || `select-input-${label.replace(/\s+/g, '-').toLowerCase()}`; // Generate id if not provided
+
+  return (
+    <div className={`text-input-wrapper ${className}`}>
+      {label && <label htmlFor={selectId}>{label}</label>}
+      <select
+        id={selectId}
+        value={value}
+        onChange={onChange} // Expects parent to pass the event handler e => setValue(e.target.value)
+        disabled={disabled}
+        className="text-input-field"
+      >
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default SelectInput;
@@ -0,0 +1,140 @@
+// src/components/SettingsForm.jsx
+import React from 'react';
+import TextInput from './TextInput';
+import SelectInput from './SelectInput';
+import CheckboxInput from './CheckboxInput';
+import {
+  getLateAnswerPolicyOptions, getLastChanceJudgeOptions, getImposterModeOptions, getImposterSelectionOptions, getRatingOptions, getQuestionSourceOptions,
+  getCategoryName, SETTING_LIMITS, countAvailableQuestions
+} from '../gameSettings';
+import { useTranslation, LANGUAGE_OPTIONS } from '../i18n';
+
+/**
+ * The room settings inputs, shared by room creation (HomePage) and the host's lobby editor (LobbyPage).
+ * Number fields hold '' while being cleared so the user can type a new value.
+ * @param {object} props
+ * @param {object} props.settings - Current settings (see DEFAULT_SETTINGS in gameSettings.js).
+ * @param {function} props.onChange - Called with (key, value) when a setting changes.
+ * @param {object|null} [props.catalog] - Question categories from the server (see questionCatalog.js); null while loading.
+ * @param {number} [props.packSize=0] - Questions in the room's own pack; the question source is only offered when there is one.
+ */
+function SettingsForm({ settings, onChange, catalog = null, packSize = 0 }) {
+  const { t } = useTranslation();
+  const numberInput = (key, label) => (
+    <TextInput
+      label={label}
+      type="number"
+      value={settings[key]}
+      onChange={(e) => {
+        const value = parseInt(e.target.value, 10);
+        onChange(key, Number.isNaN(value) ? '' : value);
+      }}
+      min={SETTING_LIMITS[key].min}
+      max={SETTING_LIMITS[key].max}
+    />
+  );
+
+  // Rating and categories only narrow down the built-in questions; no categories ticked means every category
+  const usesBuiltInQuestions = settings.questionSource !== 'pack';
+  const selectedCategories = settings.categories || [];
+  const toggleCategory = (id, checked) => {
+    onChange('categories', checked ? [...selectedCategories, id] : selectedCategories.filter(category => category !== id));
+  };
+
+  return (
+    <>
+      {numberInput('turnTimer', t('settings.form.turnTimer'))}
+      {numberInput('guessTimer', t('settings.form.guessTimer'))}
+      {numberInput('totalQuestions', t('settings.form.totalQuestions'))}
+      {packSize > 0 && (
+        <SelectInput
+          label={t('settings.form.questionSource')}
+          value={settings.questionSource}
+          onChange={(e) => onChange('questionSource', e.target.value)}
+          options={getQuestionSourceOptions()}
+        />
+      )}
+      {usesBuiltInQuestions && (
+        <>
+          <SelectInput
+            label={t('settings.form.language')}
+            value={settings.language}
+            onChange={(e) => onChange('language', e.target.value)}
+            options={LANGUAGE_OPTIONS}
+          />
+          <SelectInput
+            label={t('settings.form.rating')}
+            value={settings.rating}
+            onChange={(e) => onChange('rating', e.target.value)}
+            options={getRatingOptions()}
+          />
+        </>
+      )}
+      {catalog && usesBuiltInQuestions && (
+        <fieldset className="category-picker">
+          <legend>{t('settings.form.categories')}</legend>
+          {catalog.categories.map(category => (
+            <CheckboxInput
+              key={category.id}
+              id={`category-${category.id}`}
+              label={getCategoryName(category)}
+              checked={selectedCategories.includes(category.id)}
+              onChange={(e) => toggleCategory(category.id, e.target.checked)}
+            />
+          ))}
+          <p className="category-picker-count">{t('settings.form.available', { count: countAvailableQuestions(catalog, settings, packSize) })}</p>
+        </fieldset>
+      )}
+      <SelectInput
+        label={t('settings.form.imposterMode')}
+        value={settings.imposterMode}
+        onChange={(e) => onChange('imposterMode', e.target.value)}
+        options={getImposterModeOptions()}
+      />
+      {settings.imposterMode === 'fixed'
+        ? numberInput('imposterCount', t('settings.form.imposterCount'))
+        : numberInput('playersPerImposter', t('settings.form.playersPerImposter'))}
+      <SelectInput
+        label={t('settings.form.imposterSelection')}
+        value={settings.imposterSelection}
+        onChange={(e) => onChange('imposterSelection', e.target.value)}
+        options={getImposterSelectionOptions()}
+      />
+      <CheckboxInput
+        label={t('settings.form.impostersKnowEachOther')}
+        checked={settings.impostersKnowEachOther}
+        onChange={(e) => onChange('impostersKnowEachOther', e.target.checked)}
+      />
+      <SelectInput
+        label={t('settings.form.lateAnswerPolicy')}
+        value={settings.lateAnswerPolicy}
+        onChange={(e) => onChange('lateAnswerPolicy', e.target.value)}
+        options={getLateAnswerPolicyOptions()}
+      />
+      {settings.lateAnswerPolicy === 'grace' && numberInput('lateAnswerGrace', t('settings.form.lateAnswerGrace'))}
+      <CheckboxInput
+        label={t('settings.form.scoringEnabled')}
+        checked={settings.scoringEnabled}
+        onChange={(e) => onChange('scoringEnabled', e.target.checked)}
+      />
+      <CheckboxInput
+        label={t('settings.form.lastChanceEnabled')}
+        checked={settings.lastChanceEnabled}
+        onChange={(e) => onChange('lastChanceEnabled', e.target.checked)}
+      />
+      {settings.lastChanceEnabled && (
+        <>
+          {numberInput('lastChanceSeconds', t('settings.form.lastChanceSeconds'))}
+          <SelectInput
+            label={t('settings.form.lastChanceJudge')}
+            value={settings.lastChanceJudge}
+            onChange={(e) => onChange('lastChanceJudge', e.target.value)}
+            options={getLastChanceJudgeOptions()}
+          />
+        </>
+      )}
+    </>
+  );
+}
+
+export default SettingsForm;
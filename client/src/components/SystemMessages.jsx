@@ -0,0 +1,25 @@
+// src/components/SystemMessages.jsx
+import React from 'react';
+import { useTranslation } from '../i18n';
+import './SystemMessages.css';
+
+/**
+ * Shows the latest notices from the server ('systemMessage' events), e.g. "Bob left the game."
+ * Notices are shown in the UI language when we have a translation for their messageKey.
+ * @param {object} props
+ * @param {Array<{message: string, messageKey?: string, messageParams?: object, timestamp: number}>} props.messages - Notices, oldest first.
+ * @param {number} [props.limit=3] - Only the latest `limit` notices stay on screen.
+ * @param {string} [props.className] - Additional CSS classes.
+ */
+function SystemMessages({ messages = [], limit = 3, className = '' }) {
+  const { localizeMessage } = useTranslation();
+  if (messages.length === 0) return null;
+
+  return (
+    <ul className={`system-messages ${className}`}>
+      {messages.slice(-limit).map(msg => <li key={`${msg.timestamp}-${msg.message}`}>{localizeMessage(msg)}</li>)}
+    </ul>
+  );
+}
+
+export default SystemMessages;
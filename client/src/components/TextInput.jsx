@@ -12,8 +12,10 @@ import './TextInput.css'; // Optional: Create a CSS file for input styles
  * @param {boolean} [props.disabled=false] - Whether the input is non-interactive.
  * @param {string} [props.id] - HTML id attribute, useful for associating label.
  * @param {string} [props.className] - Additional CSS classes for the wrapper or input.
+ * @param {number|string} [props.min] - Minimum value (number inputs).
+ * @param {number|string} [props.max] - Maximum value (number inputs).
  */
-function TextInput({ label, value, onChange, placeholder = '', type = 'text', disabled = false, id, className = '' }) {
+function TextInput({ label, value, onChange, placeholder = '', type = 'text', disabled = false, id, className = '', min, max }) {
   const inputId = id || `text-input-${label.replace(/\s+/g, '-').toLowerCase()}`; // Generate id if not provided
 
   return (
@@ -26,6 +28,8 @@ function TextInput({ label, value, onChange, placeholder = '', type = 'text', di
         onChange={onChange} // Expects parent to pass the event handler e => setValue(e.target.value)
         placeholder={placeholder}
         disabled={disabled}
+        min={min}
+        max={max}
         className="text-input-field"
       />
     </div>
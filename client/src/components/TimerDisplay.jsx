@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import './TimerDisplay.css'; // Optional: Create a CSS file for timer styles
 
 /**
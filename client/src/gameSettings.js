@@ -0,0 +1,130 @@
+// Shared labels/options for room settings, used by HomePage and LobbyPage.
+// Values must match the server's LATE_ANSWER_POLICIES / LAST_CHANCE_JUDGES / IMPOSTER_MODES / IMPOSTER_SELECTIONS / RATINGS / QUESTION_SOURCES / LANGUAGES,
+// and SETTING_LIMITS must match the bounds in the server's SETTING_RULES.
+// Labels are looked up in the current UI language (see i18n.js), so the options are built on each call.
+import { translate as t, getLanguage, LANGUAGE_OPTIONS } from './i18n';
+
+export const DEFAULT_SETTINGS = {
+  turnTimer: 30,
+  guessTimer: 300, // 5 minutes
+  totalQuestions: 10,
+  lateAnswerPolicy: 'grace',
+  lateAnswerGrace: 15,
+  scoringEnabled: true,
+  lastChanceEnabled: false,
+  lastChanceSeconds: 30,
+  lastChanceJudge: 'host',
+  imposterMode: 'fixed',
+  imposterSelection: 'random', // 'random', 'weighted' (recent imposters less likely) or 'rotation'
+  imposterCount: 1,
+  playersPerImposter: 5,
+  impostersKnowEachOther: false,
+  questionSource: 'bank', // 'bank', 'pack' (the room's uploaded questions) or 'mixed'
+  categories: [], // Built-in question categories to draw from; empty means all of them
+  rating: 'adult',
+  language: 'en', // Language the questions are asked in
+};
+
+// New rooms ask their questions in the creator's UI language
+export const getDefaultSettings = () => ({ ...DEFAULT_SETTINGS, language: getLanguage() });
+
+// Bounds for the numeric settings
+export const SETTING_LIMITS = {
+  turnTimer: { min: 5, max: 600 },
+  guessTimer: { min: 10, max: 1800 },
+  totalQuestions: { min: 1, max: 50 },
+  lateAnswerGrace: { min: 0, max: 300 },
+  lastChanceSeconds: { min: 5, max: 300 },
+  imposterCount: { min: 1, max: 10 },
+  playersPerImposter: { min: 2, max: 20 },
+};
+
+// Number of questions the room can draw from: the built-in ones its categories and
+// rating leave (see questionCatalog.js) and/or its question pack
+export const countAvailableQuestions = (catalog, settings, packSize = 0) => {
+  const source = settings.questionSource || 'bank';
+  const categories = settings.categories || [];
+  const fromBank = source === 'pack' ? 0 : catalog.categories
+    .filter(category => categories.length === 0 || categories.includes(category.id))
+    .reduce((total, { counts }) => total + counts.family + (settings.rating === 'family' ? 0 : counts.adult), 0);
+  return fromBank + (source === 'bank' ? 0 : packSize);
+};
+
+// Returns a list of problems with the numeric settings (empty when all are valid).
+// With the question catalog loaded it also checks there is at least one question -
+// fewer than totalQuestions is fine, the server repeats pairs once they're all asked.
+export const getSettingsErrors = (settings, catalog = null, packSize = 0) => {
+  const errors = Object.entries(SETTING_LIMITS)
+    .filter(([key, { min, max }]) => !Number.isInteger(settings[key]) || settings[key] < min || settings[key] > max)
+    .map(([key, { min, max }]) => t('settings.outOfRange', { setting: t(`settings.limits.${key}`), min, max }));
+  if (catalog && errors.length === 0) {
+    const available = countAvailableQuestions(catalog, settings, packSize);
+    if (available === 0) {
+      errors.push(t('settings.noQuestions'));
+    }
+  }
+  return errors;
+};
+
+// Options for a select whose labels are 'settings.<group>.<value>'
+const buildOptions = (group, values) => values.map(value => ({ value, label: t(`settings.${group}.${value}`) }));
+
+export const getLateAnswerPolicyOptions = () => buildOptions('lateAnswerPolicies', ['strict', 'grace', 'wait']);
+
+export const getLateAnswerPolicyLabel = (settings) => {
+  switch (settings.lateAnswerPolicy) {
+    case 'strict': return t('settings.summary.strict');
+    case 'grace': return t('settings.summary.grace', { seconds: settings.lateAnswerGrace });
+    case 'wait': return t('settings.summary.wait');
+    default: return t('settings.summary.unknown');
+  }
+};
+
+export const getLastChanceJudgeOptions = () => buildOptions('lastChanceJudges', ['host', 'group']);
+
+export const getLastChanceLabel = (settings) => {
+  if (!settings.lastChanceEnabled) return t('settings.summary.off');
+  const judge = settings.lastChanceJudge === 'group' ? t('settings.summary.groupJudges') : t('settings.summary.hostJudges');
+  return `${settings.lastChanceSeconds}s, ${judge}`;
+};
+
+export const getImposterModeOptions = () => buildOptions('imposterModes', ['fixed', 'scaled']);
+
+export const getImposterLabel = (settings) => {
+  const count = settings.imposterMode === 'scaled'
+    ? t('settings.summary.perPlayers', { count: settings.playersPerImposter })
+    : `${settings.imposterCount ?? 1}`;
+  return settings.impostersKnowEachOther ? t('settings.summary.knowEachOther', { count }) : count;
+};
+
+export const getImposterSelectionOptions = () => buildOptions('imposterSelections', ['random', 'weighted', 'rotation']);
+
+// Rooms from before the setting existed pick at random
+export const getImposterSelectionLabel = (settings) =>
+  getImposterSelectionOptions().find(option => option.value === (settings.imposterSelection || 'random'))?.label || t('settings.summary.unknown');
+
+export const getRatingOptions = () => buildOptions('ratings', ['family', 'adult']);
+
+export const getRatingLabel = (settings) =>
+  (settings.rating === 'family' ? t('settings.summary.familyFriendly') : t('settings.summary.includesAdult'));
+
+// Category names come from the server in English; 'categories.<id>' translates the built-in ones
+export const getCategoryName = (category) => t(`categories.${category.id}`, { defaultValue: category.label });
+
+export const getCategoriesLabel = (settings, catalog) => {
+  const categories = settings.categories || [];
+  if (categories.length === 0) return t('settings.summary.allCategories');
+  if (!catalog) return categories.join(', ');
+  return categories.map(id => {
+    const category = catalog.categories.find(c => c.id === id);
+    return category ? getCategoryName(category) : id;
+  }).join(', ');
+};
+
+export const getQuestionSourceOptions = () => buildOptions('questionSources', ['bank', 'mixed', 'pack']);
+
+export const getQuestionSourceLabel = (settings) =>
+  getQuestionSourceOptions().find(option => option.value === (settings.questionSource || 'bank'))?.label || t('settings.summary.unknown');
+
+export const getQuestionLanguageLabel = (settings) =>
+  LANGUAGE_OPTIONS.find(option => option.value === (settings.language || 'en'))?.label || settings.language;
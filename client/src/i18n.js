@@ -0,0 +1,74 @@
+// Translations for the UI. Strings live in locales/<language>.json, grouped by page
+// or component ("lobby.startGame"), with {name} placeholders like the server's messages.
+// Missing strings fall back to English, then to the key itself.
+//
+// Server messages arrive as { message, messageKey, messageParams } (see server/messages.js);
+// localizeMessage() shows our 'server.<messageKey>' translation, or the server's English `message`.
+import { useSyncExternalStore } from 'react';
+import en from './locales/en.json';
+import es from './locales/es.json';
+
+const LANGUAGE_KEY = 'whoIsFake.language';
+const TRANSLATIONS = { en, es };
+
+// Values must match the server's LANGUAGES (rooms can ask their questions in any of them)
+export const LANGUAGE_OPTIONS = [
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Español' },
+];
+
+const detectLanguage = () => {
+  const saved = localStorage.getItem(LANGUAGE_KEY);
+  if (TRANSLATIONS[saved]) return saved;
+  const browser = (navigator.language || 'en').slice(0, 2).toLowerCase();
+  return TRANSLATIONS[browser] ? browser : 'en';
+};
+
+let currentLanguage = detectLanguage();
+const listeners = new Set();
+document.documentElement.lang = currentLanguage;
+
+export const getLanguage = () => currentLanguage;
+
+export const setLanguage = (language) => {
+  if (!TRANSLATIONS[language] || language === currentLanguage) return;
+  currentLanguage = language;
+  localStorage.setItem(LANGUAGE_KEY, language);
+  document.documentElement.lang = language;
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const lookup = (language, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), TRANSLATIONS[language]);
+
+const fillParams = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+
+// Text for `key` in the current language. With a numeric `count` param, a "<key>_one"
+// string (if there is one) is used for exactly one; `defaultValue` replaces the key when nothing matches.
+export const translate = (key, params = {}) => {
+  const keys = params.count === 1 ? [`${key}_one`, key] : [key];
+  for (const language of [currentLanguage, 'en']) {
+    const template = keys.map(k => lookup(language, k)).find(value => typeof value === 'string');
+    if (template !== undefined) return fillParams(template, params);
+  }
+  return params.defaultValue ?? key;
+};
+
+// Text for a server payload's message - our translation when we have one, the server's English otherwise
+export const localizeMessage = (payload) => {
+  if (!payload) return '';
+  const template = payload.messageKey ? lookup(currentLanguage, `server.${payload.messageKey}`) : undefined;
+  return typeof template === 'string' ? fillParams(template, payload.messageParams || {}) : payload.message || '';
+};
+
+// Re-renders the component when the language changes.
+// Returns { t, language, setLanguage, localizeMessage }.
+export const useTranslation = () => {
+  const language = useSyncExternalStore(subscribe, getLanguage);
+  return { t: translate, language, setLanguage, localizeMessage };
+};
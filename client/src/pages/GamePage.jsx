@@ -4,7 +4,14 @@ import Button from '../components/Button';
 import TextInput from '../components/TextInput';
 import TimerDisplay from '../components/TimerDisplay';
 import PlayerList from '../components/PlayerList'; // Might display player status (answered, imposter?)
-import socket from '../socket';
+import Scoreboard from '../components/Scoreboard';
+import NumberLine from '../components/NumberLine';
+import QuestionFeedback from '../components/QuestionFeedback';
+import SystemMessages from '../components/SystemMessages';
+import socket, { emitWithAck } from '../socket';
+import { getMyPlayerId, hasSessionFor, clearSession } from '../session';
+import { recordQuestion } from '../questionHistory';
+import { useTranslation } from '../i18n';
 import './GamePage.css';
 
 // Define potential game states/phases
@@ -14,13 +21,28 @@ const GAME_STATES = {
     ANSWERING: 'answering', // Players are answering
     WAITING_FOR_ANSWERS: 'waiting_for_answers', // Current player submitted, waiting for others
     GUESSING: 'guessing', // All answers are in, guess timer running
+    VOTING: 'voting', // Players secretly vote on who the imposter is
     REVEALING: 'revealing', // Imposter revealed
     GAME_OVER: 'game_over',
 };
 
+// Why a number answer can't be sent yet ('' when it can), checked again by the server
+const getNumberAnswerProblem = (answer, { min, max }, t) => {
+    if (answer.trim() === '') return '';
+    const value = Number(answer);
+    if (!Number.isFinite(value)) return t('game.enterNumber');
+    if (value < min || value > max) return t('game.numberOutOfRange', { min, max });
+    return '';
+};
+
+// Seconds added when the host presses "+ time"
+const TURN_TIMER_EXTENSION = 15;
+const GUESS_TIMER_EXTENSION = 60;
+
 function GamePage() {
     const { roomCode } = useParams();
     const navigate = useNavigate();
+    const { t, localizeMessage } = useTranslation();
 
     // --- State ---
     const [gameState, setGameState] = useState(GAME_STATES.LOADING);
@@ -29,23 +51,39 @@ function GamePage() {
     const [totalQuestions, setTotalQuestions] = useState(0); // Get from initial settings
     const [question, setQuestion] = useState(''); // The question text (real or fake)
     const [isImposter, setIsImposter] = useState(false);
+    const [isSpectator, setIsSpectator] = useState(false); // Watching only - sees the real question, never answers or votes
+    const [spectators, setSpectators] = useState([]);
+    const [imposterCount, setImposterCount] = useState(1); // How many imposters this round has
+    const [fellowImposters, setFellowImposters] = useState([]); // [{ id, name }] - only sent if imposters know each other
+    const [answerRange, setAnswerRange] = useState(null); // { min, max } for number questions, null for text
     const [myAnswer, setMyAnswer] = useState('');
     const [submittedAnswers, setSubmittedAnswers] = useState({}); // { playerId: 'answer text' }
     const [turnTimerRemaining, setTurnTimerRemaining] = useState(null);
     const [timeSinceTurnEnded, setTimeSinceTurnEnded] = useState(null); // null = timer not active, number = seconds elapsed
+    const [lateGraceRemaining, setLateGraceRemaining] = useState(null); // Seconds left to submit late (grace policy only)
+    const [isTurnTimerPaused, setIsTurnTimerPaused] = useState(false);
     const [guessTimerRemaining, setGuessTimerRemaining] = useState(null);
     const [isGuessTimerPaused, setIsGuessTimerPaused] = useState(false);
-    const [revealedData, setRevealedData] = useState(null); // { imposterId: 'xyz', fakeQuestion: '...', imposterName: '...' }
+    const [myVote, setMyVote] = useState(undefined); // undefined = not voted, null = abstained, otherwise a playerId
+    const [revealedData, setRevealedData] = useState(null); // { imposterIds: ['xyz'], imposterNames: ['...'], fakeQuestion: '...', votes, voteCounts, ... }
+    const [lastChance, setLastChance] = useState(null); // { status: 'guessing' | 'judging' | 'done', imposterId, remaining, judge, guess, accepted }
+    const [lastChanceGuessText, setLastChanceGuessText] = useState('');
+    const [myJudgement, setMyJudgement] = useState(null); // true / false once judged
+    const [standings, setStandings] = useState([]); // Ranked [{ id, name, score, rank }] from the server
+    const [roundPoints, setRoundPoints] = useState({}); // { playerId: points earned in the latest round }
     const [isCreator, setIsCreator] = useState(false); // To show creator controls
     const [realQuestionText, setRealQuestionText] = useState(''); // To display during guessing
+    const [numberLine, setNumberLine] = useState(null); // { min, max, outlierIds } for number questions
     const [error, setError] = useState('');
+    const [systemMessages, setSystemMessages] = useState([]); // Latest server notices, e.g. "Bob left the game."
+    const [isRoomLocked, setIsRoomLocked] = useState(false);
 
     // --- Effects for Socket Listeners ---
     useEffect(() => {
         console.log(`GamePage EFFECT RUNNING for roomCode: ${roomCode} - Attaching listeners...`);
         
-        if (!socket.connected) {
-            setError('Connection lost. Please return home.');
+        if (!socket.connected && !hasSessionFor(roomCode)) {
+            setError(t('game.connectionLost'));
             // navigate('/'); // Consider redirecting
             return;
         }
@@ -56,8 +94,7 @@ function GamePage() {
             console.log('Type of data argument:', typeof data);
             console.log('Data argument content:', JSON.stringify(data, null, 2));
 
-            // Start client-side visual timer (optional, server is source of truth)
-            // Consider using server-sent end times for better sync
+            // Timers are driven by the server's 'turnTimerTick' / 'guessTimerTick' events
             if (Array.isArray(data)) { data = data[0]; } // Handle potential array wrap
             if (!data || typeof data !== 'object') { return; } // Validate
 
@@ -67,24 +104,42 @@ function GamePage() {
             setTotalQuestions(data.totalQuestions || 0); // Use || 0 as fallback
             setQuestion(data.question || ''); // Use || '' as fallback
             setIsImposter(data.isImposter || false);
-            setMyAnswer('');
+            setIsSpectator(data.isSpectator || false);
+            setImposterCount(data.imposterCount || 1);
+            setFellowImposters(data.fellowImposters || []);
+            setAnswerRange(data.answerRange || null);
+            // A reconnecting player gets their earlier answer back
+            const hasAnswered = data.myAnswer !== undefined && data.myAnswer !== null;
+            if (hasAnswered) setGameState(GAME_STATES.WAITING_FOR_ANSWERS);
+            setMyAnswer(hasAnswered ? data.myAnswer : '');
             setSubmittedAnswers({});
             setTurnTimerRemaining(data.turnTimerDuration || null);
             setTimeSinceTurnEnded(null);
+            setLateGraceRemaining(null);
+            setIsTurnTimerPaused(false);
+            setMyVote(undefined);
+            setRoundPoints({});
+            setLastChance(null);
+            setLastChanceGuessText('');
+            setMyJudgement(null);
             setRevealedData(null);
             setRealQuestionText('');
+            setNumberLine(null);
             setError('');
             if(data.players) setPlayers(data.players);
-            const me = data.players?.find(p => p.id === socket.id);
+            const me = data.players?.find(p => p.id === getMyPlayerId());
             setIsCreator(me?.isCreator || false);
             console.log('State update functions called.');
         };
 
-        const handleTurnTimerTick = (data) => { // Optional: if server sends ticks
+        const handleTurnTimerTick = (data) => {
             setTurnTimerRemaining(data.remaining);
+            setIsTurnTimerPaused(data.isPaused || false);
+            setTimeSinceTurnEnded(data.overtime ?? null); // Server counts up once the turn time has ended
+            setLateGraceRemaining(data.graceRemaining ?? null);
         };
 
-        const handleGuessTimerTick = (data) => { // Optional: if server sends ticks
+        const handleGuessTimerTick = (data) => {
             setGuessTimerRemaining(data.remaining);
             setIsGuessTimerPaused(data.isPaused || false);
         };
@@ -96,28 +151,45 @@ function GamePage() {
             setTurnTimerRemaining(0); // Stop turn timer display
             setSubmittedAnswers(data.answers); // Show submitted answers
             setGuessTimerRemaining(data.guessTimerDuration); // Start guess timer
-            setTimeSinceTurnEnded(null); 
+            setTimeSinceTurnEnded(null);
+            setLateGraceRemaining(null);
             setIsGuessTimerPaused(false);
-            setRealQuestionText(data.realQuestion || 'Question could not be loaded.');
+            setRealQuestionText(data.realQuestion || t('game.questionNotLoaded'));
+            setNumberLine(data.numberLine || null);
             if (data.players) setPlayers(data.players);
         };
 
 
+        const handleVotingStarted = (data) => {
+            console.log('Voting started:', data);
+            setGameState(GAME_STATES.VOTING);
+            setGuessTimerRemaining(null);
+            setIsGuessTimerPaused(false);
+            setMyVote(data.myVote); // Only set when replaying state after a reconnect
+            if (data.players) setPlayers(data.players);
+        };
+
         const handleReveal = (data) => {
             // --- Add/Modify Logging ---
             console.log('[handleReveal] Data received:', JSON.stringify(data, null, 2)); // Log full data
 
-            // Explicitly extract the name and check its value/type
-            const nameFromPayload = data.imposterName;
-
             // Construct the object we intend to set into state
             const dataToSet = {
-                imposterId: data.imposterId,
-                // Use the extracted name. Make the fallback very obvious for debugging.
-                imposterName: nameFromPayload || '!!! FALLBACK TO UNKNOWN !!!',
-                fakeQuestion: data.fakeQuestion
+                imposterIds: data.imposterIds || [],
+                imposterNames: data.imposterNames || [],
+                fakeQuestion: data.fakeQuestion,
+                votes: data.votes || {},
+                voteCounts: data.voteCounts || {},
+                abstainCount: data.abstainCount || 0,
+                accusedId: data.accusedId ?? null,
+                isTie: data.isTie || false,
+                imposterCaught: data.imposterCaught || false,
+                voided: data.voided || false, // Round cancelled because an imposter left
+                voidReason: data.voidReason ? localizeMessage({ message: data.voidReason, messageKey: data.voidReasonKey, messageParams: data.voidReasonParams }) : ''
             };
 
+            recordQuestion(data.historyRecord); // So later games (in any room) can skip this pair
+
             // Set the state
             setGameState(GAME_STATES.REVEALING);
             setGuessTimerRemaining(null); // Or handle timer state as needed
@@ -126,20 +198,92 @@ function GamePage() {
             // Optional: Update players list to mark imposter visually
             setPlayers(prevPlayers => prevPlayers.map(p => ({
                 ...p,
-                isRevealedImposter: p.id === data.imposterId
+                isRevealedImposter: (data.imposterIds || []).includes(p.id)
             })));
         };
 
+        const handleLastChanceStarted = (data) => {
+            console.log('Last-chance guess started:', data);
+            setLastChance({ status: 'guessing', imposterId: data.imposterId, remaining: data.remaining, judge: data.judge, guess: null, accepted: null });
+            setLastChanceGuessText('');
+            setMyJudgement(null);
+        };
+
+        const handleLastChanceJudgeChanged = (data) => {
+            setLastChance(prev => prev ? { ...prev, judge: data.judge } : prev);
+        };
+
+        const handleLastChanceTick = (data) => {
+            setLastChance(prev => prev ? { ...prev, remaining: data.remaining } : prev);
+        };
+
+        const handleLastChanceGuess = (data) => {
+            setLastChance(prev => prev ? { ...prev, status: 'judging', guess: data.guess, judge: data.judge } : prev);
+        };
+
+        const handleLastChanceResult = (data) => {
+            setLastChance(prev => prev ? { ...prev, status: 'done', guess: data.guess, accepted: data.accepted } : prev);
+        };
+
+        const handleScoreUpdate = (data) => {
+            console.log('Score update:', data);
+            setStandings(data.standings || []);
+            const pointsById = {};
+            (data.roundPoints || []).forEach(entry => { pointsById[entry.playerId] = entry.points; });
+            setRoundPoints(pointsById);
+        };
+
         const handleGameOver = (data) => {
             console.log('Game Over:', data);
             setGameState(GAME_STATES.GAME_OVER);
-            setRevealedData(data.summary || { message: "Game Over!" });
+            setRevealedData(data.summary ? { ...data.summary, message: localizeMessage(data.summary) } : { message: t('game.gameOver') });
             setError(''); // Clear any previous errors
         };
 
+        // The host started another game from the game-over screen - scores start again from zero
+        const handleGameStarted = () => {
+            setStandings([]);
+            setRoundPoints({});
+            setRevealedData(null);
+            setGameState(GAME_STATES.WAITING_FOR_QUESTION);
+        };
+
         const handleGameError = (data) => {
             console.error('Received Game Error:', data);
-            setError(data.message || 'An unknown game error occurred.');
+            setError(localizeMessage(data) || t('game.unknownError'));
+        };
+
+        const handleSystemMessage = (data) => {
+            console.log('System message:', data);
+            setSystemMessages(prev => [...prev, data]);
+        };
+
+        // The player we voted for left, so our vote was dropped
+        const handleVoteCleared = (data) => {
+            setMyVote(undefined);
+            setSystemMessages(prev => [...prev, { ...data, timestamp: Date.now() }]);
+        };
+
+        // Fired when socket.js reclaims our seat after a reconnect / page refresh
+        const handleJoinSuccess = (data) => {
+            if (data.roomCode !== roomCode) return;
+            if (data.status === 'lobby') {
+                navigate(`/lobby/${roomCode}`);
+                return;
+            }
+            socket.emit('getGameRoundState', { roomCode });
+        };
+
+        const handleJoinError = (data) => {
+            console.log('Could not reclaim seat:', data);
+            clearSession();
+            setError(localizeMessage(data) || t('game.rejoinFailed'));
+        };
+
+        const handleKicked = (data) => {
+            console.log('Removed from the room:', data);
+            clearSession();
+            navigate('/', { state: { message: localizeMessage(data) } });
         };
 
         const handleUpdateRoomState = (data) => {
@@ -147,11 +291,14 @@ function GamePage() {
             if (data.roomCode === roomCode) {
                 // Update players list (which now contains 'hasAnswered')
                 setPlayers(data.players || []);
+                setSpectators(data.spectators || []);
+                setIsRoomLocked(data.locked || false);
+                setIsSpectator((data.spectators || []).some(s => s.id === getMyPlayerId()));
                 // Optionally update settings if they can change mid-game
                 // setSettings(data.settings || { turnTimer: 0, guessTimer: 0, totalQuestions: 0 });
 
                 // Update creator status based on potentially updated list
-                const updatedMe = data.players?.find(p => p.id === socket.id);
+                const updatedMe = data.players?.find(p => p.id === getMyPlayerId());
                 setIsCreator(updatedMe?.isCreator || false);
                 setError('');
             }
@@ -161,16 +308,37 @@ function GamePage() {
         console.log(`GamePage: Attaching 'newRound' listener for ${roomCode}`); // Log *before* attaching
         
         socket.on('newRound', handleNewRound);
-        socket.on('turnTimerTick', handleTurnTimerTick); // Optional
+        socket.on('turnTimerTick', handleTurnTimerTick);
         socket.on('allAnswersIn', handleAllAnswersIn);
-        socket.on('guessTimerTick', handleGuessTimerTick); // Optional
+        socket.on('guessTimerTick', handleGuessTimerTick);
+        socket.on('votingStarted', handleVotingStarted);
         socket.on('reveal', handleReveal);
+        socket.on('lastChanceStarted', handleLastChanceStarted);
+        socket.on('lastChanceTick', handleLastChanceTick);
+        socket.on('lastChanceGuess', handleLastChanceGuess);
+        socket.on('lastChanceResult', handleLastChanceResult);
+        socket.on('scoreUpdate', handleScoreUpdate);
         socket.on('gameOver', handleGameOver);
+        socket.on('gameStarted', handleGameStarted);
         socket.on('gameError', handleGameError);
         socket.on('updateRoomState', handleUpdateRoomState);
+        socket.on('joinSuccess', handleJoinSuccess);
+        socket.on('joinError', handleJoinError);
+        socket.on('systemMessage', handleSystemMessage);
+        socket.on('serverRestarting', handleSystemMessage); // socket.js rejoins once the server is back
+        socket.on('kicked', handleKicked);
+        socket.on('abuseDisconnect', handleKicked); // Dropped by the server's rate limiter
+        socket.on('roomClosed', handleKicked); // Everyone left, or the room sat idle too long
+        socket.on('voteCleared', handleVoteCleared);
+        socket.on('lastChanceJudgeChanged', handleLastChanceJudgeChanged);
         
-        console.log(`GamePage: Emitting 'getGameRoundState' for ${roomCode}`);
-        socket.emit('getGameRoundState', { roomCode });
+        if (socket.connected) {
+            console.log(`GamePage: Emitting 'getGameRoundState' for ${roomCode}`);
+            socket.emit('getGameRoundState', { roomCode });
+        } else {
+            console.log(`GamePage: Reconnecting to ${roomCode} with saved session`);
+            socket.connect(); // socket.js rejoins on 'connect', then handleJoinSuccess asks for state
+        }
 
         // --- Cleanup ---
         return () => {
@@ -178,88 +346,83 @@ function GamePage() {
             socket.off('turnTimerTick', handleTurnTimerTick);
             socket.off('allAnswersIn', handleAllAnswersIn);
             socket.off('guessTimerTick', handleGuessTimerTick);
+            socket.off('votingStarted', handleVotingStarted);
             socket.off('reveal', handleReveal);
+            socket.off('lastChanceStarted', handleLastChanceStarted);
+            socket.off('lastChanceTick', handleLastChanceTick);
+            socket.off('lastChanceGuess', handleLastChanceGuess);
+            socket.off('lastChanceResult', handleLastChanceResult);
+            socket.off('scoreUpdate', handleScoreUpdate);
             socket.off('gameOver', handleGameOver);
+            socket.off('gameStarted', handleGameStarted);
             socket.off('gameError', handleGameError);
             socket.off('updateRoomState', handleUpdateRoomState);
+            socket.off('joinSuccess', handleJoinSuccess);
+            socket.off('joinError', handleJoinError);
+            socket.off('systemMessage', handleSystemMessage);
+            socket.off('serverRestarting', handleSystemMessage);
+            socket.off('kicked', handleKicked);
+            socket.off('abuseDisconnect', handleKicked);
+            socket.off('roomClosed', handleKicked);
+            socket.off('voteCleared', handleVoteCleared);
+            socket.off('lastChanceJudgeChanged', handleLastChanceJudgeChanged);
         };
 
-    }, [roomCode]); // Add `players` to deps if needed for finding imposter name
+        // t / localizeMessage never change - they read the current language when called
+    }, [roomCode, navigate, t, localizeMessage]); // Add `players` to deps if needed for finding imposter name
 
-    // --- Client-Side Timers (Visual Only) ---
-    // Turn Timer
-    useEffect(() => {
-        if (gameState === GAME_STATES.ANSWERING && turnTimerRemaining !== null && turnTimerRemaining > 0) {
-            const intervalId = setInterval(() => {
-                setTurnTimerRemaining(prev => {
-                    const nextValue = prev !== null && prev > 0 ? prev - 1 : 0;
-                    // --- Add this check ---
-                    // If timer just hit zero, start the count-up timer
-                    if (nextValue === 0 && prev === 1) {
-                         console.log("Turn timer ended. Starting count-up.");
-                         setTimeSinceTurnEnded(0); // Start count-up at 0 seconds
-                    }
-                    // --- End added check ---
-                    return nextValue;
-                });
-            }, 1000);
-            // Cleanup interval on unmount or if state changes
-            return () => clearInterval(intervalId);
-        }
-    }, [gameState, turnTimerRemaining]);
+    // --- Event Handlers ---
+    const answerProblem = answerRange ? getNumberAnswerProblem(myAnswer, answerRange, t) : '';
 
-    // Guess Timer
-    useEffect(() => {
-        if (gameState === GAME_STATES.GUESSING && guessTimerRemaining !== null && guessTimerRemaining > 0 && !isGuessTimerPaused) {
-            const intervalId = setInterval(() => {
-                setGuessTimerRemaining(prev => (prev !== null && prev > 0 ? prev - 1 : 0));
-            }, 1000);
-            return () => clearInterval(intervalId);
-        }
-    }, [gameState, guessTimerRemaining, isGuessTimerPaused]);
+    // Rejected requests come back through the acknowledgement with a code and message
+    const handleRequestError = (requestError) => {
+        setError(localizeMessage(requestError));
+    };
 
-    // Count-Up Timer Effect (runs when turn timer has ended)
-    useEffect(() => {
-        // Only run if the count-up timer is active (not null) and game is still in answering/waiting phase
-        if ((gameState === GAME_STATES.ANSWERING || gameState === GAME_STATES.WAITING_FOR_ANSWERS) && timeSinceTurnEnded !== null) {
-            const intervalId = setInterval(() => {
-                setTimeSinceTurnEnded(prev => (prev !== null ? prev + 1 : 0)); // Increment seconds
-            }, 1000);
-
-            // Cleanup interval on unmount or if the game state moves on (e.g., to guessing)
-            return () => {
-                console.log("Cleaning up count-up timer interval.");
-                clearInterval(intervalId);
-            };
-        } else {
-             // Ensure timer stops if we exit the relevant game states
-             if (timeSinceTurnEnded !== null) {
-                 console.log("Resetting count-up timer because game state changed or timer was nullified.");
-                 setTimeSinceTurnEnded(null); // Reset if game state moves on
-             }
-        }
-    // Rerun when gameState changes or when timeSinceTurnEnded is first set to 0
-    }, [gameState, timeSinceTurnEnded]);
-    
-    // --- Event Handlers ---
     const handleSubmitAnswer = () => {
        // Prevent submitting empty answers or submitting multiple times
-       if (!myAnswer.trim() || gameState !== GAME_STATES.ANSWERING) {
+       if (!myAnswer.trim() || answerProblem || gameState !== GAME_STATES.ANSWERING) {
         console.log("Submit blocked: Empty answer or not in answering state.");
         return;
    }
    console.log('Submitting answer:', myAnswer);
-   socket.emit('submitAnswer', { roomCode, answerText: myAnswer.trim() });
+   emitWithAck('submitAnswer', { roomCode, answerText: myAnswer.trim() }, {
+       onError: (requestError) => {
+           handleRequestError(requestError);
+           // Let the player try again unless the server already has their answer
+           if (requestError.code !== 'ALREADY_ANSWERED') {
+               setGameState(prev => prev === GAME_STATES.WAITING_FOR_ANSWERS ? GAME_STATES.ANSWERING : prev);
+           }
+       }
+   });
 
    // Update local state immediately to give feedback & disable input/button
    setGameState(GAME_STATES.WAITING_FOR_ANSWERS);
     };
 
+    // --- Host Timer Controls (server owns the timers) ---
+    const handlePauseTurnTimer = () => {
+        emitWithAck('pauseTurnTimer', { roomCode }, { onError: handleRequestError });
+    };
+    const handleResumeTurnTimer = () => {
+        emitWithAck('resumeTurnTimer', { roomCode }, { onError: handleRequestError });
+    };
+    const handleExtendTurnTimer = () => {
+        emitWithAck('extendTurnTimer', { roomCode, seconds: TURN_TIMER_EXTENSION }, { onError: handleRequestError });
+    };
+    const handleSkipTurnTimer = () => {
+        if (gameState !== GAME_STATES.ANSWERING && gameState !== GAME_STATES.WAITING_FOR_ANSWERS) return;
+        emitWithAck('skipTurnTimer', { roomCode }, { onError: handleRequestError });
+    };
+
     const handlePauseGuessTimer = () => {
-        socket.emit('pauseGuessTimer', { roomCode });
+        emitWithAck('pauseGuessTimer', { roomCode }, { onError: handleRequestError });
     };
     const handleResumeGuessTimer = () => {
-        socket.emit('resumeGuessTimer', { roomCode });
+        emitWithAck('resumeGuessTimer', { roomCode }, { onError: handleRequestError });
+    };
+    const handleExtendGuessTimer = () => {
+        emitWithAck('extendGuessTimer', { roomCode, seconds: GUESS_TIMER_EXTENSION }, { onError: handleRequestError });
     };
 
     const handleSkipGuessTimer = () => {
@@ -267,10 +430,46 @@ function GamePage() {
         if (gameState !== GAME_STATES.GUESSING) return;
 
         console.log(`Requesting to skip guess timer for room: ${roomCode}`);
-        socket.emit('skipGuessTimer', { roomCode });
+        emitWithAck('skipGuessTimer', { roomCode }, { onError: handleRequestError });
         // Note: No immediate state change needed here; wait for server's 'reveal' event
     };
 
+    // --- Voting ---
+    const handleCastVote = (targetId) => { // targetId null = abstain
+        if (gameState !== GAME_STATES.VOTING) return;
+        console.log(`Casting vote in room ${roomCode}:`, targetId);
+        const previousVote = myVote;
+        emitWithAck('castVote', { roomCode, targetId }, {
+            onError: (requestError) => { handleRequestError(requestError); setMyVote(previousVote); }
+        });
+        setMyVote(targetId);
+    };
+
+    const handleCloseVoting = () => {
+        if (gameState !== GAME_STATES.VOTING) return;
+        emitWithAck('closeVoting', { roomCode }, { onError: handleRequestError });
+    };
+
+    // --- Last-Chance Guess ---
+    const handleSubmitLastChanceGuess = () => {
+        if (!lastChanceGuessText.trim() || lastChance?.status !== 'guessing') return;
+        emitWithAck('submitLastChanceGuess', { roomCode, guessText: lastChanceGuessText.trim() }, { onError: handleRequestError });
+    };
+
+    const handleJudgeLastChance = (accepted) => {
+        if (lastChance?.status !== 'judging') return;
+        emitWithAck('judgeLastChance', { roomCode, accepted }, {
+            onError: (requestError) => { handleRequestError(requestError); setMyJudgement(null); }
+        });
+        setMyJudgement(accepted);
+    };
+
+    const isLastChanceOpen = lastChance !== null && lastChance.status !== 'done';
+    const amLastChanceImposter = lastChance?.imposterId === getMyPlayerId();
+    const canJudgeLastChance = !isSpectator && !amLastChanceImposter && (lastChance?.judge === 'group' || isCreator);
+
+    const getPlayerName = (playerId) => players.find(p => p.id === playerId)?.name || t('common.someone');
+
     const handleNextQuestion = () => {
         // Optional: check if current state is REVEALING
         if (gameState !== GAME_STATES.REVEALING) return;
@@ -283,33 +482,73 @@ function GamePage() {
         // Clear other round-specific data if necessary (like answers displayed)
         // setSubmittedAnswers({});
 
-        socket.emit('nextQuestion', { roomCode });
+        emitWithAck('nextQuestion', { roomCode }, {
+            // e.g. LAST_CHANCE_OPEN - resync so the reveal comes back
+            onError: (requestError) => {
+                handleRequestError(requestError);
+                socket.emit('getGameRoundState', { roomCode });
+            }
+        });
+    };
+
+    // Same players, fresh scores; questions asked in earlier games are avoided while others are left
+    const handlePlayAgain = () => {
+        setError('');
+        emitWithAck('startGame', { roomCode }, { onError: handleRequestError });
+    };
+
+    // Mid-game promotions take effect when the next round starts
+    const handlePromoteSpectator = (spectatorId) => {
+        emitWithAck('promoteSpectator', { roomCode, spectatorId }, { onError: handleRequestError });
+    };
+
+    // --- Host moderation ---
+    const handleKickPlayer = (targetId, ban) => {
+        const target = [...players, ...spectators].find(p => p.id === targetId);
+        if (!window.confirm(t('lobby.confirmKick', { name: target?.name || t('lobby.thisPlayer') }))) return;
+        emitWithAck('kickPlayer', { roomCode, targetId, ban }, { onError: handleRequestError });
+    };
+
+    const handleMakeHost = (targetId) => {
+        emitWithAck('transferHost', { roomCode, targetId }, { onError: handleRequestError });
+    };
+
+    const handleToggleLock = () => {
+        emitWithAck('setRoomLocked', { roomCode, locked: !isRoomLocked }, { onError: handleRequestError });
     };
 
     const handleReturnHome = () => {
-        socket.disconnect();
+        // Free our seat but keep the connection - the server detaches this socket from the room,
+        // and disconnecting straight after the emit could drop the 'leaveRoom' packet.
+        socket.emit('leaveRoom', { roomCode });
+        clearSession();
         navigate('/');
     };
 
     // --- Render Logic ---
     return (
         <div className="game-container">
-            <h2>Game Room: {roomCode}</h2>
+            <h2>{t('game.title', { roomCode })}</h2>
             {error && <p className="error-message">{error}</p>}
+            <SystemMessages messages={systemMessages} />
 
             {/* Display Loading state initially */}
-            {gameState === GAME_STATES.LOADING && !error && <p>Loading game...</p>}
+            {gameState === GAME_STATES.LOADING && !error && <p>{t('game.loading')}</p>}
 
             {/* Updated Round Info display check */}
             {gameState !== GAME_STATES.LOADING && gameState !== GAME_STATES.GAME_OVER && (
-                <p className="round-info">Round: {currentRound} / {totalQuestions}</p>
+                <p className="round-info">{t('game.round', { round: currentRound, total: totalQuestions })}</p>
             )}
 
             {/* Answering Phase display */}
             {(gameState === GAME_STATES.ANSWERING || gameState === GAME_STATES.WAITING_FOR_ANSWERS) && (
                 <div className="answering-phase">
-                    <h3>Your Question:</h3>
-                    <p className="question-text">{isImposter ? '(You are the Imposter! 🇸) ' : ''} {question || 'Waiting for question...'}</p>
+                    <h3>{isSpectator ? t('game.questionSpectating') : t('game.yourQuestion')}</h3>
+                    <p className="question-text">{isImposter ? `(${t('game.youAreImposter')} 🇸) ` : ''} {question || t('game.waitingForQuestion')}</p>
+                    {imposterCount > 1 && <p className="imposter-count-info">{t('game.imposterCount', { count: imposterCount })}</p>}
+                    {isImposter && fellowImposters.length > 0 && (
+                        <p className="imposter-count-info">{t('game.fellowImposters', { count: fellowImposters.length, names: fellowImposters.map(p => p.name).join(', ') })}</p>
+                    )}
                      {/* --- Conditional Timer Display --- */}
                      {timeSinceTurnEnded === null ? (
                         // Show countdown timer if count-up hasn't started
@@ -317,61 +556,112 @@ function GamePage() {
                     ) : (
                         // Show count-up timer if turn timer ended
                         <div className="timer-ended-display"> {/* Optional wrapper for styling */}
-                            <span>Turn Time Ended! (You can still submit your answer 😄)</span>
+                            <span>
+                                {t('game.turnEnded')} 😄
+                                {lateGraceRemaining !== null && ` ${t('game.lateAnswersClose', { seconds: lateGraceRemaining })}`}
+                            </span>
                             {/* You can reuse TimerDisplay or create a specific one */}
                             <TimerDisplay secondsRemaining={timeSinceTurnEnded} className="turn-timer-ended" />
                             {/* <span> ago</span> */}
                         </div>
                     )}
                     {/* --- End Conditional Timer Display --- */}
+                    {isTurnTimerPaused && <p className="timer-paused-message">{t('game.timerPaused')}</p>}
+                    {isSpectator ? (
+                        <p>{t('game.spectatorAnswering', { count: imposterCount })}</p>
+                    ) : (
+                    <>
+                    {answerRange ? (
+                        <TextInput
+                            label={t('game.numberAnswerLabel', { min: answerRange.min, max: answerRange.max })}
+                            type="number"
+                            value={myAnswer}
+                            onChange={(e) => setMyAnswer(e.target.value)}
+                            disabled={gameState === GAME_STATES.WAITING_FOR_ANSWERS}
+                            placeholder={`${answerRange.min} - ${answerRange.max}`}
+                            min={answerRange.min}
+                            max={answerRange.max}
+                        />
+                    ) : (
                     <TextInput
-                        label="Your Answer:"
+                        label={t('game.answerLabel')}
                         value={myAnswer}
                         onChange={(e) => setMyAnswer(e.target.value)}
                         // Input is disabled if waiting OR if the original turn timer hit 0
                         disabled={gameState === GAME_STATES.WAITING_FOR_ANSWERS}
-                        placeholder="Type your answer here..."
+                        placeholder={t('game.answerPlaceholder')}
                     />
+                    )}
+                    {answerProblem && <p className="warning-message">{answerProblem}</p>}
                     <Button
                         onClick={handleSubmitAnswer}
                         // Button is disabled if waiting OR answer empty OR original turn timer hit 0
-                        disabled={gameState === GAME_STATES.WAITING_FOR_ANSWERS || !myAnswer.trim()}
+                        disabled={gameState === GAME_STATES.WAITING_FOR_ANSWERS || !myAnswer.trim() || answerProblem !== ''}
                     >
-                        Submit Answer
+                        {t('game.submitAnswer')}
                     </Button>
-                    {gameState === GAME_STATES.WAITING_FOR_ANSWERS && <p>Answer submitted! Waiting for others...</p>}
+                    {gameState === GAME_STATES.WAITING_FOR_ANSWERS && <p>{t('game.answerSubmitted')}</p>}
                     {/* Display message if time ran out */}
-                    {turnTimerRemaining === 0 && gameState === GAME_STATES.ANSWERING && <p className="warning-message">Time's up! Waiting for remaining players...</p>}
+                    {turnTimerRemaining === 0 && gameState === GAME_STATES.ANSWERING && <p className="warning-message">{t('game.timesUp')}</p>}
+                    </>
+                    )}
+                    {isCreator && (
+                        <div className="creator-controls">
+                            {isTurnTimerPaused ? (
+                                <Button onClick={handleResumeTurnTimer}>{t('game.resumeTimer')}</Button>
+                            ) : (
+                                <Button onClick={handlePauseTurnTimer}>{t('game.pauseTimer')}</Button>
+                            )}
+                            <Button onClick={handleExtendTurnTimer}>+{TURN_TIMER_EXTENSION}s</Button>
+                            <Button onClick={handleSkipTurnTimer}>{t('game.closeAnswers')}</Button>
+                        </div>
+                    )}
                 </div>
             )}
 
             {/* == Guessing Phase == */}
             {gameState === GAME_STATES.GUESSING && (
                 <div className="guessing-phase">
-                    <h4 className="real-question-display">The actual question was:</h4>
-                    <p className="real-question-text">{realQuestionText || 'Loading question...'}</p>
+                    <h4 className="real-question-display">{t('game.actualQuestion')}</h4>
+                    <p className="real-question-text">{realQuestionText || t('game.loadingQuestion')}</p>
                     
-                    <h3>Answers Submitted:</h3>
+                    <h3>{t('game.answersSubmitted')}</h3>
+                    {numberLine && (
+                        <NumberLine
+                            answers={submittedAnswers}
+                            players={players}
+                            min={numberLine.min}
+                            max={numberLine.max}
+                            outlierIds={numberLine.outlierIds}
+                        />
+                    )}
                     {/* Display submitted answers - Check your PlayerList or add specific rendering */}
                      <ul className="submitted-answers-list">
                          {/* Render answers from submittedAnswers state. Need player names? */}
                          {Object.entries(submittedAnswers).map(([playerId, answer]) => {
                              // Find player name - requires 'players' state to be up-to-date
-                             const playerName = players.find(p => p.id === playerId)?.name || 'Someone';
-                             return <li key={playerId}><strong>{playerName}:</strong> {answer || 'No answer'}</li>;
+                             const playerName = players.find(p => p.id === playerId)?.name || t('common.someone');
+                             return <li key={playerId}><strong>{playerName}:</strong> {answer || t('game.noAnswer')}</li>;
                          })}
                     </ul>
-                    <p>Discuss! Who do you think had a different question?</p>
+                    <p>{t('game.discuss')}</p>
                     <TimerDisplay secondsRemaining={guessTimerRemaining} className="guess-timer" />
+                    {isGuessTimerPaused && <p className="timer-paused-message">{t('game.timerPaused')}</p>}
                     {/* --- Creator Controls Section --- */}
                     {isCreator && ( // Only render controls if user is the creator
                         <div className="creator-controls">
+                            {isGuessTimerPaused ? (
+                                <Button onClick={handleResumeGuessTimer}>{t('game.resumeTimer')}</Button>
+                            ) : (
+                                <Button onClick={handlePauseGuessTimer}>{t('game.pauseTimer')}</Button>
+                            )}
+                            <Button onClick={handleExtendGuessTimer}>+{GUESS_TIMER_EXTENSION}s</Button>
                             <Button
                                 onClick={handleSkipGuessTimer}
                                 // Optional: disable if timer already 0, though skipping then is harmless
                                 // disabled={guessTimerRemaining === 0}
                             >
-                                Reveal
+                                {t('game.startVoting')}
                             </Button>
                             {/* --- End Skip Button --- */}
                         </div>
@@ -380,28 +670,146 @@ function GamePage() {
                 </div>
             )}
 
+            {/* == Voting Phase == */}
+            {gameState === GAME_STATES.VOTING && (
+                <div className="voting-phase">
+                    <h3>{t('game.voteTitle')}</h3>
+                    {isSpectator ? (
+                        <p>{t('game.spectatorVoting')}</p>
+                    ) : (
+                    <>
+                    <p>{t('game.voteHint')}</p>
+                    <div className="vote-options">
+                        {players.filter(p => p.id !== getMyPlayerId()).map(p => (
+                            <Button
+                                key={p.id}
+                                onClick={() => handleCastVote(p.id)}
+                                className={myVote === p.id ? 'vote-selected' : ''}
+                            >
+                                {p.name}
+                            </Button>
+                        ))}
+                        <Button
+                            onClick={() => handleCastVote(null)}
+                            className={`vote-abstain ${myVote === null ? 'vote-selected' : ''}`}
+                        >
+                            {t('game.abstain')}
+                        </Button>
+                    </div>
+                    {myVote !== undefined && (
+                        <p>{myVote === null ? t('game.youAbstained') : t('game.youVotedFor', { name: getPlayerName(myVote) })} {t('game.waitingForOthers')}</p>
+                    )}
+                    </>
+                    )}
+                    {isCreator && (
+                        <div className="creator-controls">
+                            <Button onClick={handleCloseVoting}>{t('game.closeVoting')}</Button>
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* == Revealing Phase == */}
             {gameState === GAME_STATES.REVEALING && revealedData && (
                 <div className="revealing-phase">
-                    <h3>Reveal!</h3>
-                    <p>The player with a different question was: <strong>{revealedData.imposterName || 'Unknown'}!</strong></p>
-                    <p>Their question was: "{revealedData.fakeQuestion}"</p>
+                    {revealedData.voided ? (
+                        <>
+                            <h3>{t('game.roundVoid')}</h3>
+                            <p>{t('game.nobodyScores', { reason: revealedData.voidReason || t('game.roundCancelled') })}</p>
+                            <p>{t('game.theirQuestion', { question: revealedData.fakeQuestion })}</p>
+                        </>
+                    ) : (
+                    <>
+                    <h3>{t('game.reveal')}</h3>
+                    <p>
+                        {t('game.revealedImposters', { count: revealedData.imposterNames.length })}{' '}
+                        <strong>{revealedData.imposterNames.join(', ') || t('game.unknown')}!</strong>
+                    </p>
+                    <p>{t('game.theirQuestion', { question: revealedData.fakeQuestion })}</p>
+                    <p className="vote-outcome">
+                        {revealedData.imposterCaught
+                            ? `🎉 ${t('game.outcome.caught', { count: revealedData.imposterNames.length })}`
+                            : revealedData.isTie
+                                ? `🤷 ${t('game.outcome.tie')}`
+                                : revealedData.accusedId
+                                    ? `😈 ${t('game.outcome.wrongAccusation', { name: getPlayerName(revealedData.accusedId) })}`
+                                    : `😈 ${t('game.outcome.nobodyAccused')}`}
+                    </p>
+                    <h4>{t('game.votes')}</h4>
+                    <ul className="vote-breakdown-list">
+                        {Object.entries(revealedData.votes).map(([voterId, targetId]) => (
+                            <li key={voterId}>
+                                <strong>{getPlayerName(voterId)}</strong> → {targetId === null ? <em>{t('game.abstained')}</em> : getPlayerName(targetId)}
+                            </li>
+                        ))}
+                    </ul>
+                    {/* --- Imposter's Last-Chance Guess --- */}
+                    {lastChance && (
+                        <div className="last-chance-section">
+                            <h4>{t('game.lastChance.title')}</h4>
+                            {lastChance.status === 'guessing' && amLastChanceImposter && (
+                                <>
+                                    <p>{t('game.lastChance.youWereCaught')}</p>
+                                    <TimerDisplay secondsRemaining={lastChance.remaining} className="last-chance-timer" />
+                                    <TextInput
+                                        label={t('game.lastChance.guessLabel')}
+                                        value={lastChanceGuessText}
+                                        onChange={(e) => setLastChanceGuessText(e.target.value)}
+                                        placeholder={t('game.lastChance.guessPlaceholder')}
+                                    />
+                                    <Button onClick={handleSubmitLastChanceGuess} disabled={!lastChanceGuessText.trim()}>{t('game.lastChance.submitGuess')}</Button>
+                                </>
+                            )}
+                            {lastChance.status === 'guessing' && !amLastChanceImposter && (
+                                <>
+                                    <p>{t('game.lastChance.guessing', { name: getPlayerName(lastChance.imposterId) })}</p>
+                                    <TimerDisplay secondsRemaining={lastChance.remaining} className="last-chance-timer" />
+                                </>
+                            )}
+                            {lastChance.status === 'judging' && (
+                                <>
+                                    <p>{t('game.lastChance.theirGuess', { guess: lastChance.guess })}</p>
+                                    {canJudgeLastChance && myJudgement === null && (
+                                        <div className="creator-controls">
+                                            <Button onClick={() => handleJudgeLastChance(true)}>{t('game.lastChance.closeEnough')}</Button>
+                                            <Button onClick={() => handleJudgeLastChance(false)}>{t('game.lastChance.notQuite')}</Button>
+                                        </div>
+                                    )}
+                                    {canJudgeLastChance && myJudgement !== null && <p>{t('game.lastChance.judgementSent')}</p>}
+                                    {!canJudgeLastChance && (
+                                        <p>{lastChance.judge === 'host' ? t('game.lastChance.waitingForHost') : t('game.lastChance.waitingForGroup')}</p>
+                                    )}
+                                </>
+                            )}
+                            {lastChance.status === 'done' && (
+                                <p>
+                                    {lastChance.guess ? t('game.lastChance.theirGuess', { guess: lastChance.guess }) : t('game.lastChance.noGuess')}
+                                    {' - '}
+                                    {lastChance.accepted ? `✅ ${t('game.lastChance.accepted')}` : `❌ ${t('game.lastChance.rejected')}`}
+                                </p>
+                            )}
+                        </div>
+                    )}
+                    </>
+                    )}
+                    {!isSpectator && <QuestionFeedback key={currentRound} roomCode={roomCode} onError={handleRequestError} />}
                     {/* Optionally redisplay answers with names */}
-                    {isCreator && currentRound < totalQuestions && (
-                        <Button onClick={handleNextQuestion}>Next Question ({currentRound + 1} / {totalQuestions})</Button>
+                    {isCreator && !isLastChanceOpen && currentRound < totalQuestions && (
+                        <Button onClick={handleNextQuestion}>{t('game.nextQuestion', { round: currentRound + 1, total: totalQuestions })}</Button>
                     )}
                     {/* Show different message/button if it was the last round */}
-                    {isCreator && currentRound >= totalQuestions && (
-                         // If game doesn't end automatically, creator might need to click something
-                         // Or maybe this button shouldn't render if handleGameOver handles it
-                         // For now, let's assume handleGameOver is triggered by server
-                         <p>That was the last round!</p>
+                    {isCreator && !isLastChanceOpen && currentRound >= totalQuestions && (
+                         // The server ends the game when the host asks for a question after the last round
+                         <>
+                             <p>{t('game.lastRound')}</p>
+                             <Button onClick={handleNextQuestion}>{t('game.showResults')}</Button>
+                         </>
                      )}
-                    {!isCreator && currentRound < totalQuestions && (
-                        <p>Waiting for host ({players.find(p=>p.isCreator)?.name || 'host'}) to start the next round...</p>
+                    {!isCreator && !isLastChanceOpen && currentRound < totalQuestions && (
+                        <p>{t('game.waitingForNextRound', { host: players.find(p=>p.isCreator)?.name || t('lobby.host') })}</p>
                     )}
                      {!isCreator && currentRound >= totalQuestions && (
-                         <p>Game Over!</p>
+                         <p>{t('game.gameOver')}</p>
                      )}
                 </div>
             )}
@@ -409,22 +817,68 @@ function GamePage() {
             {/* == Game Over Phase == */}
             {gameState === GAME_STATES.GAME_OVER && (
                 <div className="game-over-phase">
-                <h2>Game Over!</h2>
+                <h2>{t('game.gameOver')}</h2>
                 {/* Display final scores or summary from revealedData */}
-                {typeof revealedData === 'object' && revealedData !== null && revealedData.message ? (
-                    <p>{revealedData.message}</p>
-                ) : (
-                    // Example: Display summary if it's more complex later
-                     <pre>{JSON.stringify(revealedData, null, 2)}</pre>
+                {revealedData?.message && <p>{revealedData.message}</p>}
+                {revealedData?.leaderboard && (
+                    <Scoreboard standings={revealedData.leaderboard} title={t('game.finalLeaderboard')} className="final-leaderboard" />
+                )}
+                {revealedData?.rounds?.length > 0 && (
+                    <div className="round-breakdown">
+                        <h3>{t('game.roundByRound')}</h3>
+                        {revealedData.rounds.map(round => (
+                            <div key={round.roundNumber} className="round-breakdown-item">
+                                <h4>
+                                    {t('game.breakdown.round', { round: round.roundNumber, names: round.imposterNames.join(', '), count: round.imposterNames.length })}
+                                    {' '}({round.voided ? t('game.breakdown.void') : round.imposterCaught ? t('game.breakdown.caught') : t('game.breakdown.gotAway')})
+                                </h4>
+                                <ul>
+                                    {round.points.filter(entry => entry.points > 0).map(entry => (
+                                        <li key={entry.playerId}>
+                                            <strong>{entry.name}</strong> +{entry.points} ({entry.reasons.map(reason => t(`game.scoreReasons.${reason}`, { defaultValue: reason })).join(', ')})
+                                        </li>
+                                    ))}
+                                    {round.points.every(entry => entry.points === 0) && <li>{t('game.noPoints')}</li>}
+                                </ul>
+                            </div>
+                        ))}
+                    </div>
                 )}
-                <p>Thanks for playing!</p>
-                <Button onClick={handleReturnHome}>Return to Home</Button>
+                <p>{t('game.thanks')}</p>
+                {isCreator
+                    ? <Button onClick={handlePlayAgain}>{t('game.playAgain')}</Button>
+                    : <p>{t('game.waitingForPlayAgain', { host: players.find(p => p.isCreator)?.name || t('lobby.host') })}</p>}
+                <Button onClick={handleReturnHome}>{t('game.returnHome')}</Button>
            </div>
             )}
 
 
+            {/* == Standings (once scores exist) == */}
+            {gameState !== GAME_STATES.GAME_OVER && (
+                <Scoreboard
+                    standings={standings}
+                    roundPoints={gameState === GAME_STATES.REVEALING ? roundPoints : {}}
+                    className="game-scoreboard"
+                />
+            )}
+
             {/* == Player List (Always Visible or Toggleable?) == */}
-            <PlayerList players={players} title="Game Players" className="game-player-list"/>
+            <PlayerList
+                players={players}
+                spectators={spectators}
+                title={t('game.playersTitle')}
+                className="game-player-list"
+                currentPlayerId={getMyPlayerId()}
+                onPromoteSpectator={isCreator ? handlePromoteSpectator : undefined}
+                onKick={isCreator ? handleKickPlayer : undefined}
+                onMakeHost={isCreator ? handleMakeHost : undefined}
+            />
+            {isRoomLocked && <p className="room-locked-notice">🔒 {t('lobby.lockedNotice')}</p>}
+            {isCreator && (
+                <div className="creator-controls">
+                    <Button onClick={handleToggleLock}>{isRoomLocked ? t('lobby.unlockRoom') : t('lobby.lockRoom')}</Button>
+                </div>
+            )}
        
         </div>
     );
@@ -1,33 +1,54 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
 import Button from '../components/Button';
 import TextInput from '../components/TextInput';
-import socket from '../socket';
+import CheckboxInput from '../components/CheckboxInput';
+import SettingsForm from '../components/SettingsForm';
+import { getDefaultSettings, getSettingsErrors } from '../gameSettings';
+import socket, { emitWithAck } from '../socket';
+import { useQuestionCatalog } from '../questionCatalog';
+import { saveSession, clearSession, getClientId } from '../session';
+import { loadQuestionHistory, isRememberingQuestions, setRememberingQuestions } from '../questionHistory';
+import { useTranslation } from '../i18n';
 import './HomePage.css';
 
 function HomePage() {
+  const { t, localizeMessage } = useTranslation();
+
   // --- State for Forms ---
   const [playerName, setPlayerName] = useState('');
   const [roomCode, setRoomCode] = useState('');
+  const [joinAsSpectator, setJoinAsSpectator] = useState(false);
+  const [rememberQuestions, setRememberQuestions] = useState(isRememberingQuestions);
 
-  // State for create room settings (example defaults)
-  const [turnTimer, setTurnTimer] = useState(30);
-  const [guessTimer, setGuessTimer] = useState(300); // 5 minutes = 300 seconds
-  const [totalQuestions, setTotalQuestions] = useState(10);
-
-  const [error, setError] = useState(''); // For displaying errors
+  // State for create room settings
+  const [settings, setSettings] = useState(getDefaultSettings);
+  const catalog = useQuestionCatalog();
+  const settingsErrors = getSettingsErrors(settings, catalog);
 
   const navigate = useNavigate(); // Hook for navigation
+  const location = useLocation();
+
+  // Pages send us home with a message, e.g. after being kicked by the host
+  const [error, setError] = useState(location.state?.message || ''); // For displaying errors
+
+  // The server drops sockets that keep hitting its rate limits
+  useEffect(() => {
+    const handleAbuseDisconnect = (data) => setError(localizeMessage(data));
+    socket.on('abuseDisconnect', handleAbuseDisconnect);
+    return () => socket.off('abuseDisconnect', handleAbuseDisconnect);
+  }, [localizeMessage]);
 
   const handleJoinRoom = (e) => {
     e.preventDefault();
     if (!playerName.trim() || !roomCode.trim()) {
-      setError('Please enter your name and a room code.');
+      setError(t('home.needNameAndCode'));
       return;
     }
     setError('');
     console.log('Attempting to join room:', roomCode, 'as', playerName);
 
+    clearSession(); // A fresh join replaces any seat we held before
     if (!socket.connected) {
       socket.connect();
     }
@@ -35,10 +56,17 @@ function HomePage() {
     // Define handlers *before* emitting
     const onJoinSuccess = (data) => {
       console.log('Joined room successfully:', data);
+      saveSession({ roomCode: data.roomCode, playerId: data.playerId, sessionToken: data.sessionToken, playerName: playerName.trim() });
+      // Games already under way are joined as a spectator
+      if (data.status !== 'lobby') {
+        navigate(`/game/${roomCode.trim()}`);
+        return;
+      }
       // *** Pass received data via navigation state ***
       navigate(`/lobby/${roomCode.trim()}`, {
         state: {
           initialPlayers: data.players,
+          initialSpectators: data.spectators,
           initialSettings: data.settings,
           // You might also want to pass playerName or isCreator status if needed immediately
           playerName: playerName.trim()
@@ -46,16 +74,16 @@ function HomePage() {
       });
     };
 
-    const onJoinError = (data) => {
-      console.error('Failed to join room:', data.message);
-      setError(data.message || 'Failed to join room. Check the code or try again.');
+    // The server's acknowledgement carries the reason, e.g. ROOM_NOT_FOUND or ROOM_LOCKED
+    const onJoinError = (joinError) => {
+      console.error('Failed to join room:', joinError);
+      setError(localizeMessage(joinError) || t('home.joinFailed'));
       cleanupListeners(); // Clean up listeners on error
-      // Consider socket.disconnect() if appropriate
     };
 
     const onConnectError = (err) => {
       console.error("Connection failed:", err.message);
-      setError("Failed to connect to server. Please try again later.");
+      setError(t('home.connectFailed'));
       cleanupListeners(); // Clean up listeners on error
       socket.disconnect();
     };
@@ -63,118 +91,139 @@ function HomePage() {
     // Helper to remove listeners
     const cleanupListeners = () => {
         socket.off('joinSuccess', onJoinSuccess);
-        socket.off('joinError', onJoinError);
         socket.off('connect_error', onConnectError);
     };
 
 
     // Attach temporary listeners
     socket.once('joinSuccess', onJoinSuccess);
-    socket.once('joinError', onJoinError);
     socket.once('connect_error', onConnectError); // Handle connection failure itself
 
 
     // Emit event to server
-    socket.emit('joinRoom', { roomCode: roomCode.trim(), playerName: playerName.trim() });
+    emitWithAck('joinRoom',
+      { roomCode: roomCode.trim(), playerName: playerName.trim(), asSpectator: joinAsSpectator, clientId: getClientId(), questionHistory: loadQuestionHistory() },
+      { onError: onJoinError }
+    );
   };
 
   // --- Event Handlers ---
   const handleCreateRoom = (e) => {
     e.preventDefault(); // Prevent default form submission
     if (!playerName.trim()) {
-      setError('Please enter your name.');
+      setError(t('home.needName'));
+      return;
+    }
+    if (settingsErrors.length > 0) {
+      setError(settingsErrors.join(' '));
       return;
     }
     setError('');
-    console.log('Attempting to create room with settings:', { turnTimer, guessTimer, totalQuestions, playerName });
+    console.log('Attempting to create room with settings:', { ...settings, playerName });
 
+    clearSession(); // A new room replaces any seat we held before
     // Connect the socket before emitting
     if (!socket.connected) {
         socket.connect();
     }
 
     // Listen for the response *before* emitting
-    socket.once('roomCreated', (data) => {
+    const onRoomCreated = (data) => {
       console.log('Room created:', data);
+      saveSession({ roomCode: data.roomCode, playerId: data.playerId, sessionToken: data.sessionToken, playerName: playerName.trim() });
       // Navigate to lobby on successful creation
       navigate(`/lobby/${data.roomCode}`);
       // Maybe pass player name and creator status via state? Or handle in Lobby
-    });
+    };
 
+    // e.g. INVALID_SETTINGS when the server's limits differ from ours
+    const onCreationError = (creationError) => {
+      console.error('Failed to create room:', creationError);
+      setError(localizeMessage(creationError) || t('home.createFailed'));
+      socket.off('roomCreated', onRoomCreated);
+    };
+
+    socket.once('roomCreated', onRoomCreated);
     socket.once('connect_error', (err) => {
       console.error("Connection failed:", err.message);
-      setError("Failed to connect to server. Please try again later.");
+      setError(t('home.connectFailed'));
+      socket.off('roomCreated', onRoomCreated);
       socket.disconnect(); // Clean up failed connection attempt
     });
 
     // Emit event to server
-    socket.emit('createRoom', {
-      settings: { turnTimer, guessTimer, totalQuestions },
+    emitWithAck('createRoom', {
+      settings,
       playerName: playerName.trim(), // Send player name
-    });
+      clientId: getClientId(),
+      questionHistory: loadQuestionHistory() // Lets the server skip pairs we've already played
+    }, { onError: onCreationError });
+  };
+
+  // Forgetting also clears the questions remembered so far
+  const handleRememberQuestionsChange = (e) => {
+    setRememberingQuestions(e.target.checked);
+    setRememberQuestions(e.target.checked);
   };
 
   return (
     <div className="homepage-container">
-      <h1>Welcome!</h1>
+      <h1>{t('home.welcome')}</h1>
       {error && <p className="error-message">{error}</p>}
 
       {/* === Shared Player Name Input === */}
       <TextInput
-        label="Your Name:"
+        label={t('home.yourName')}
         value={playerName}
         onChange={(e) => setPlayerName(e.target.value)}
-        placeholder="Enter your display name"
+        placeholder={t('home.namePlaceholder')}
         className="player-name-input"
       />
+      <CheckboxInput
+        label={t('home.rememberQuestions')}
+        checked={rememberQuestions}
+        onChange={handleRememberQuestionsChange}
+      />
+      <p className="setting-hint">{t('home.rememberQuestionsHint')}</p>
 
       {/* === Create Room Section === */}
       <form onSubmit={handleCreateRoom} className="room-form create-room-form">
-        <h2>Create a New Room</h2>
-         <TextInput
-          label="Turn Timer (seconds):"
-          type="number"
-          value={turnTimer}
-          onChange={(e) => setTurnTimer(parseInt(e.target.value, 10) || 1)} // Ensure it's a positive number
-          min="5" // Example min value
-        />
-         <TextInput
-          label="Guess Timer (seconds):"
-          type="number"
-          value={guessTimer}
-          onChange={(e) => setGuessTimer(parseInt(e.target.value, 10) || 1)}
-          min="30" // Example min value
+        <h2>{t('home.createTitle')}</h2>
+        <SettingsForm
+          settings={settings}
+          onChange={(key, value) => setSettings(prev => ({ ...prev, [key]: value }))}
+          catalog={catalog}
         />
-         <TextInput
-          label="Total Questions:"
-          type="number"
-          value={totalQuestions}
-          onChange={(e) => setTotalQuestions(parseInt(e.target.value, 10) || 1)}
-          min="1" // Example min value
-        />
-        <Button type="submit" disabled={!playerName.trim()}>Create Room</Button>
+        {settingsErrors.map(message => <p key={message} className="warning-message">{message}</p>)}
+        <Button type="submit" disabled={!playerName.trim() || settingsErrors.length > 0}>{t('home.createRoom')}</Button>
       </form>
 
       <hr className="divider" />
 
       {/* === Join Room Section === */}
       <form onSubmit={handleJoinRoom} className="room-form join-room-form">
-            <h2>Join an Existing Room</h2>
+            <h2>{t('home.joinTitle')}</h2>
             {/* Shared Player Name Input should be outside or above this form ideally */}
              <TextInput
-                label="Your Name:"
+                label={t('home.yourName')}
                 value={playerName}
                 onChange={(e) => setPlayerName(e.target.value)}
-                placeholder="Enter your display name"
+                placeholder={t('home.namePlaceholder')}
                 className="player-name-input" /* Add this input if not already present */
              />
              <TextInput
-                label="Room Code:"
+                label={t('home.roomCode')}
                 value={roomCode}
                 onChange={(e) => setRoomCode(e.target.value)}
-                placeholder="Enter room code"
+                placeholder={t('home.roomCodePlaceholder')}
+             />
+             <CheckboxInput
+                label={t('home.joinAsSpectator')}
+                checked={joinAsSpectator}
+                onChange={(e) => setJoinAsSpectator(e.target.checked)}
              />
-             <Button type="submit" disabled={!playerName.trim() || !roomCode.trim()}>Join Room</Button>
+             <p className="setting-hint">{t('home.spectatorHint')}</p>
+             <Button type="submit" disabled={!playerName.trim() || !roomCode.trim()}>{t('home.joinRoom')}</Button>
         </form>
     </div>
   );
@@ -3,34 +3,51 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import PlayerList from '../components/PlayerList';
 import Button from '../components/Button';
-import socket from '../socket';
+import SystemMessages from '../components/SystemMessages';
+import SettingsForm from '../components/SettingsForm';
+import QuestionPackEditor from '../components/QuestionPackEditor';
+import socket, { emitWithAck } from '../socket';
+import { getMyPlayerId, hasSessionFor, clearSession } from '../session';
+import {
+    DEFAULT_SETTINGS, getSettingsErrors, getLateAnswerPolicyLabel, getLastChanceLabel, getImposterLabel, getImposterSelectionLabel, getRatingLabel, getCategoriesLabel,
+    getQuestionSourceLabel, getQuestionLanguageLabel
+} from '../gameSettings';
+import { useQuestionCatalog } from '../questionCatalog';
+import { useTranslation } from '../i18n';
 import './LobbyPage.css';
 
 function LobbyPage() {
     const { roomCode } = useParams();
     const navigate = useNavigate();
     const location = useLocation();
+    const { t, localizeMessage } = useTranslation();
 
     // --- State ---
     // Initialize state using data passed from navigation, or defaults
     const [players, setPlayers] = useState(location.state?.initialPlayers || []);
+    const [spectators, setSpectators] = useState(location.state?.initialSpectators || []);
     const [settings, setSettings] = useState(location.state?.initialSettings || { turnTimer: 0, guessTimer: 0, totalQuestions: 0 });
-    // We'll set isCreator inside useEffect based on socket.id comparison
+    // We'll set isCreator inside useEffect based on our saved player id
     const [isCreator, setIsCreator] = useState(false);
     const [error, setError] = useState('');
+    const [systemMessages, setSystemMessages] = useState([]);
+    const [isRoomLocked, setIsRoomLocked] = useState(false);
+    const [questionPackSize, setQuestionPackSize] = useState(0); // The host's own questions (see QuestionPackEditor)
+    const [settingsDraft, setSettingsDraft] = useState(null); // Host's unsaved edits; null when not editing
+    const catalog = useQuestionCatalog();
 
     // --- Effects for Socket Listeners ---
     useEffect(() => {
         // --- Set initial creator status based *only* on passed state ---
         // This runs once when the component mounts or location.state changes
         const initialPlayersList = location.state?.initialPlayers || [];
-        const meInitially = initialPlayersList.find(p => p.id === socket.id);
+        const meInitially = initialPlayersList.find(p => p.id === getMyPlayerId());
         setIsCreator(meInitially?.isCreator || false);
         // --- End initial creator status check ---
 
-        if (!socket.connected) {
+        if (!socket.connected && !hasSessionFor(roomCode)) {
             console.warn('LobbyPage: Socket not connected on mount.');
-            setError('Not connected to server. Please return home.');
+            setError(t('lobby.notConnected'));
             // navigate('/'); // Consider redirecting
             return; // Stop the effect if socket isn't connected
         }
@@ -40,9 +57,12 @@ function LobbyPage() {
             console.log('Received room state update:', data);
             if (data.roomCode === roomCode) {
                 setPlayers(data.players || []);
+                setSpectators(data.spectators || []);
+                setIsRoomLocked(data.locked || false);
+                setQuestionPackSize(data.questionPackSize || 0);
                 setSettings(data.settings || { turnTimer: 0, guessTimer: 0, totalQuestions: 0 });
                 // Re-determine creator status based on the definitive updated list
-                const updatedMe = data.players?.find(p => p.id === socket.id);
+                const updatedMe = data.players?.find(p => p.id === getMyPlayerId());
                 setIsCreator(updatedMe?.isCreator || false);
                 setError('');
             }
@@ -55,19 +75,58 @@ function LobbyPage() {
              }
         };
 
+        // Fired when socket.js reclaims our seat after a reconnect / page refresh
+        const handleJoinSuccess = (data) => {
+            if (data.roomCode !== roomCode) return;
+            if (data.status !== 'lobby') {
+                navigate(`/game/${roomCode}`);
+                return;
+            }
+            handleUpdateRoomState(data);
+        };
+
+        const handleJoinError = (data) => {
+            console.log('Could not reclaim seat:', data);
+            clearSession();
+            setError(localizeMessage(data) || t('lobby.rejoinFailed'));
+        };
+
+        const handleSystemMessage = (data) => {
+            setSystemMessages(prev => [...prev, data]);
+        };
+
+        const handleKicked = (data) => {
+            console.log('Removed from the room:', data);
+            clearSession();
+            navigate('/', { state: { message: localizeMessage(data) } });
+        };
+
         const handleLobbyError = (data) => {
             console.log('Lobby Error received:', data);
-            setError(data.message || 'An error occurred in the lobby.');
+            setError(localizeMessage(data) || t('lobby.error'));
         };
 
         // --- Register Listeners ---
         socket.on('updateRoomState', handleUpdateRoomState);
         socket.on('gameStarted', handleGameStarted);
         socket.on('lobbyError', handleLobbyError);
+        socket.on('gameError', handleLobbyError); // Host actions report errors as 'gameError'
+        socket.on('systemMessage', handleSystemMessage);
+        socket.on('serverRestarting', handleSystemMessage); // socket.js rejoins once the server is back
+        socket.on('kicked', handleKicked);
+        socket.on('abuseDisconnect', handleKicked); // Dropped by the server's rate limiter
+        socket.on('roomClosed', handleKicked); // Everyone left, or the room sat idle too long
+        socket.on('joinSuccess', handleJoinSuccess);
+        socket.on('joinError', handleJoinError);
 
         // --- Explicitly request state on mount ---
-        console.log(`LobbyPage mounted for ${roomCode}. Requesting initial state.`);
-        socket.emit('getLobbyState', { roomCode });
+        if (socket.connected) {
+            console.log(`LobbyPage mounted for ${roomCode}. Requesting initial state.`);
+            socket.emit('getLobbyState', { roomCode });
+        } else {
+            console.log(`LobbyPage mounted for ${roomCode} without a connection. Reconnecting with saved session.`);
+            socket.connect(); // socket.js rejoins on 'connect'
+        }
         // --- End explicit request ---
 
         // --- Cleanup ---
@@ -76,55 +135,160 @@ function LobbyPage() {
             socket.off('updateRoomState', handleUpdateRoomState);
             socket.off('gameStarted', handleGameStarted);
             socket.off('lobbyError', handleLobbyError);
+            socket.off('gameError', handleLobbyError);
+            socket.off('systemMessage', handleSystemMessage);
+            socket.off('serverRestarting', handleSystemMessage);
+            socket.off('kicked', handleKicked);
+            socket.off('abuseDisconnect', handleKicked);
+            socket.off('roomClosed', handleKicked);
+            socket.off('joinSuccess', handleJoinSuccess);
+            socket.off('joinError', handleJoinError);
         };
 
         // Rerun effect if roomCode changes. Avoid adding location.state here now.
         // Adding navigate might cause loops if errors redirect frequently. Only include if essential.
-    }, [roomCode, navigate]); // Dependency array simplified
+        // t / localizeMessage never change - they read the current language when called.
+    }, [roomCode, navigate, t, localizeMessage]); // Dependency array simplified
 
 
     // --- Event Handlers --- (Keep handleStartGame, handleLeaveLobby)
+      // Rejected requests come back through the acknowledgement, e.g. NOT_HOST or NOT_ENOUGH_PLAYERS
+      const handleRequestError = (requestError) => {
+        setError(localizeMessage(requestError));
+      };
+
       const handleStartGame = () => {
         console.log('Requesting to start game for room:', roomCode);
-        socket.emit('startGame', { roomCode });
+        emitWithAck('startGame', { roomCode }, { onError: handleRequestError });
+      };
+
+      // --- Settings editor (host only) ---
+      const handleEditSettings = () => {
+        setSettingsDraft({ ...DEFAULT_SETTINGS, ...settings });
+      };
+
+      const handleSaveSettings = () => {
+        const problems = getSettingsErrors(settingsDraft, catalog, questionPackSize);
+        if (problems.length > 0) {
+          setError(problems.join(' '));
+          return;
+        }
+        // The server validates again and broadcasts the result through 'updateRoomState'.
+        // Keep the editor open if it rejects the change.
+        emitWithAck('updateSettings', { roomCode, settings: settingsDraft }, {
+          onSuccess: () => { setSettingsDraft(null); setError(''); },
+          onError: handleRequestError
+        });
+      };
+
+      const handlePromoteSpectator = (spectatorId) => {
+        emitWithAck('promoteSpectator', { roomCode, spectatorId }, { onError: handleRequestError });
+      };
+
+      // --- Host moderation ---
+      const handleKickPlayer = (targetId, ban) => {
+        const target = [...players, ...spectators].find(p => p.id === targetId);
+        if (!window.confirm(t('lobby.confirmKick', { name: target?.name || t('lobby.thisPlayer') }))) return;
+        emitWithAck('kickPlayer', { roomCode, targetId, ban }, { onError: handleRequestError });
+      };
+
+      const handleMakeHost = (targetId) => {
+        emitWithAck('transferHost', { roomCode, targetId }, { onError: handleRequestError });
+      };
+
+      const handleToggleLock = () => {
+        emitWithAck('setRoomLocked', { roomCode, locked: !isRoomLocked }, { onError: handleRequestError });
       };
 
       const handleLeaveLobby = () => {
-         socket.disconnect();
+         // Free our seat but keep the connection - the server detaches this socket from the room,
+         // and disconnecting straight after the emit could drop the 'leaveRoom' packet.
+         socket.emit('leaveRoom', { roomCode });
+         clearSession();
          navigate('/');
       };
 
 
+    const isSpectator = spectators.some(s => s.id === getMyPlayerId());
+
     return (
         <div className="lobby-container">
-            <h2>Lobby</h2>
+            <h2>{t('lobby.title')}</h2>
             {error && <p className="error-message">{error}</p>}
-            <p>Room Code: <strong className="room-code">{roomCode}</strong> (Share this with friends!)</p>
+            <SystemMessages messages={systemMessages} />
+            <p>{t('lobby.roomCode')} <strong className="room-code">{roomCode}</strong> ({t('lobby.shareCode')})</p>
+            {isRoomLocked && <p className="room-locked-notice">🔒 {t('lobby.lockedNotice')}</p>}
 
             <div className="lobby-details">
                 <div className="lobby-settings">
-                    <h3>Game Settings</h3>
-                    <p>Turn Timer: {settings.turnTimer} seconds</p>
-                    <p>Guess Timer: {Math.floor(settings.guessTimer / 60)}m {settings.guessTimer % 60}s</p>
-                    <p>Total Questions: {settings.totalQuestions}</p>
+                    <h3>{t('lobby.settingsTitle')}</h3>
+                    {settingsDraft ? (
+                        <>
+                            <SettingsForm
+                                settings={settingsDraft}
+                                onChange={(key, value) => setSettingsDraft(prev => ({ ...prev, [key]: value }))}
+                                catalog={catalog}
+                                packSize={questionPackSize}
+                            />
+                            {getSettingsErrors(settingsDraft, catalog, questionPackSize).map(message => <p key={message} className="warning-message">{message}</p>)}
+                            <div className="settings-actions">
+                                <Button onClick={handleSaveSettings} disabled={getSettingsErrors(settingsDraft, catalog, questionPackSize).length > 0}>{t('lobby.saveSettings')}</Button>
+                                <Button onClick={() => setSettingsDraft(null)}>{t('common.cancel')}</Button>
+                            </div>
+                        </>
+                    ) : (
+                    <>
+                    <p>{t('lobby.summary.turnTimer', { seconds: settings.turnTimer })}</p>
+                    <p>{t('lobby.summary.guessTimer', { minutes: Math.floor(settings.guessTimer / 60), seconds: settings.guessTimer % 60 })}</p>
+                    <p>{t('lobby.summary.totalQuestions', { count: settings.totalQuestions })}</p>
+                    {questionPackSize > 0 && <p>{t('lobby.summary.questionSource', { source: getQuestionSourceLabel(settings), count: questionPackSize })}</p>}
+                    {settings.questionSource !== 'pack' && (
+                        <>
+                        <p>{t('lobby.summary.language', { language: getQuestionLanguageLabel(settings) })}</p>
+                        <p>{t('lobby.summary.categories', { categories: getCategoriesLabel(settings, catalog) })}</p>
+                        <p>{t('lobby.summary.rating', { rating: getRatingLabel(settings) })}</p>
+                        </>
+                    )}
+                    <p>{t('lobby.summary.imposters', { imposters: getImposterLabel(settings) })}</p>
+                    <p>{t('lobby.summary.imposterSelection', { selection: getImposterSelectionLabel(settings) })}</p>
+                    <p>{t('lobby.summary.lateAnswers', { policy: getLateAnswerPolicyLabel(settings) })}</p>
+                    <p>{t('lobby.summary.scoring', { scoring: settings.scoringEnabled === false ? t('settings.summary.off') : t('settings.summary.on') })}</p>
+                    <p>{t('lobby.summary.lastChance', { lastChance: getLastChanceLabel(settings) })}</p>
+                    {isCreator && <Button onClick={handleEditSettings}>{t('lobby.editSettings')}</Button>}
+                    </>
+                    )}
                 </div>
 
                 {/* Pass the current players state to the list */}
-                <PlayerList players={players} title="Players in Lobby" />
+                <PlayerList
+                    players={players}
+                    spectators={spectators}
+                    title={t('lobby.playersTitle')}
+                    currentPlayerId={getMyPlayerId()}
+                    onPromoteSpectator={isCreator ? handlePromoteSpectator : undefined}
+                    onKick={isCreator ? handleKickPlayer : undefined}
+                    onMakeHost={isCreator ? handleMakeHost : undefined}
+                />
             </div>
 
+            {isCreator && <QuestionPackEditor roomCode={roomCode} packSize={questionPackSize} onError={handleRequestError} />}
+
             {/* Only show Start Game button to the creator */}
             {isCreator && (
-                <Button onClick={handleStartGame} disabled={players.length < 2}>
-                    Start Game
-                </Button>
+                <>
+                    <Button onClick={handleStartGame} disabled={players.length < 2}>
+                        {t('lobby.startGame')}
+                    </Button>
+                    <Button onClick={handleToggleLock}>{isRoomLocked ? t('lobby.unlockRoom') : t('lobby.lockRoom')}</Button>
+                </>
             )}
-            {!isCreator && players.length > 0 && <p>Waiting for the host ({players.find(p=>p.isCreator)?.name || 'host'}) to start the game...</p>}
-            {players.length === 0 && !error && <p>Loading players...</p>}
+            {isSpectator && <p>{t('lobby.spectating')}</p>}
+            {!isCreator && players.length > 0 && <p>{t('lobby.waitingForHost', { host: players.find(p=>p.isCreator)?.name || t('lobby.host') })}</p>}
+            {players.length === 0 && !error && <p>{t('lobby.loadingPlayers')}</p>}
 
 
             <Button onClick={handleLeaveLobby} className="leave-button">
-                Leave Lobby
+                {t('lobby.leave')}
             </Button>
         </div>
     );
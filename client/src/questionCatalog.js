@@ -0,0 +1,27 @@
+// The question categories the server offers, for the settings form.
+// GET /questions/categories -> { ratings, languages, categories: [{ id, label, tags, counts: { family, adult } }] }
+import { useEffect, useState } from 'react';
+import { SERVER_URL } from './socket';
+
+let cachedCatalog = null; // The bank rarely changes; fetch it once per page load
+
+// Returns the catalog, or null while it loads (or if the server can't be reached -
+// the form then offers no categories and the server still checks the settings).
+export const useQuestionCatalog = () => {
+  const [catalog, setCatalog] = useState(cachedCatalog);
+
+  useEffect(() => {
+    if (cachedCatalog) return undefined;
+    let cancelled = false;
+    fetch(`${SERVER_URL}/questions/categories`)
+      .then(response => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+      .then(data => {
+        cachedCatalog = data;
+        if (!cancelled) setCatalog(data);
+      })
+      .catch(error => console.warn('Could not load the question categories:', error));
+    return () => { cancelled = true; };
+  }, []);
+
+  return catalog;
+};
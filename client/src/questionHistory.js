@@ -0,0 +1,34 @@
+// The question pairs this device has been asked, kept across games and sessions.
+// Sent on createRoom / joinRoom so the server can prefer pairs nobody in the room
+// has seen recently (see pickQuestionKey in server/gameEngine.js).
+// Players can opt out, in which case we send an empty history and keep nothing.
+
+const HISTORY_KEY = 'whoIsFake.questionHistory';
+const REMEMBER_KEY = 'whoIsFake.rememberQuestions';
+const HISTORY_LIMIT = 200; // Same cap as the server
+
+export const isRememberingQuestions = () => localStorage.getItem(REMEMBER_KEY) !== 'false';
+
+export const setRememberingQuestions = (remember) => {
+  localStorage.setItem(REMEMBER_KEY, remember ? 'true' : 'false');
+  if (!remember) localStorage.removeItem(HISTORY_KEY);
+};
+
+// Oldest first, as { real, fake, askedAt }
+export const loadQuestionHistory = () => {
+  if (!isRememberingQuestions()) return [];
+  try {
+    const history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    return Array.isArray(history) ? history : [];
+  } catch {
+    return [];
+  }
+};
+
+// Called with the reveal's historyRecord - a pair asked again moves to the end
+export const recordQuestion = (record) => {
+  if (!record || !isRememberingQuestions()) return;
+  const history = loadQuestionHistory().filter(r => r.real !== record.real || r.fake !== record.fake);
+  history.push({ real: record.real, fake: record.fake, askedAt: record.askedAt });
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(-HISTORY_LIMIT)));
+};
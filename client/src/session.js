@@ -0,0 +1,40 @@
+// Remembers which seat this browser holds so a refresh, a locked phone or a
+// network blip can reclaim it. The server issues the session token on
+// createRoom / joinRoom; socket.js sends it back whenever the socket connects.
+
+const SESSION_KEY = 'whoIsFake.session';
+
+export const saveSession = ({ roomCode, playerId, sessionToken, playerName }) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ roomCode, playerId, sessionToken, playerName }));
+};
+
+export const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+// Our stable player id (players are no longer identified by socket.id)
+export const getMyPlayerId = () => loadSession()?.playerId || null;
+
+export const hasSessionFor = (roomCode) => loadSession()?.roomCode === roomCode;
+
+// A per-browser id that outlives sessions. Sent on create / join so a host can
+// ban a kicked player "by session" rather than only by name.
+const CLIENT_ID_KEY = 'whoIsFake.clientId';
+
+export const getClientId = () => {
+  let clientId = localStorage.getItem(CLIENT_ID_KEY);
+  if (!clientId) {
+    // randomUUID is only available on https / localhost
+    clientId = crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem(CLIENT_ID_KEY, clientId);
+  }
+  return clientId;
+};
@@ -1,9 +1,12 @@
 import { io } from 'socket.io-client';
+import { loadSession } from './session';
+import { loadQuestionHistory } from './questionHistory';
+import { translate } from './i18n';
 
 // IMPORTANT: Make sure this URL matches your backend server URL!
 // If your backend runs on port 3001, this is correct.
 // const SERVER_URL = 'http://localhost:3001';
-const SERVER_URL = 'https://who-is-fake.onrender.com';
+export const SERVER_URL = 'https://who-is-fake.onrender.com';
 // Create the socket instance
 // 'autoConnect: false' prevents it from connecting immediately on load.
 // We will call socket.connect() manually when the user joins or creates a room.
@@ -11,6 +14,33 @@ const socket = io(SERVER_URL, {
   autoConnect: false
 });
 
+// Reclaim our seat whenever the socket (re)connects - covers network blips and page refreshes.
+// Pages listen for 'joinSuccess' / 'joinError' to resync afterwards.
+socket.on('connect', () => {
+  const session = loadSession();
+  if (session) {
+    console.log(`Reconnecting to room ${session.roomCode} with saved session.`);
+    socket.emit('joinRoom', {
+      roomCode: session.roomCode, sessionToken: session.sessionToken, playerName: session.playerName,
+      questionHistory: loadQuestionHistory()
+    });
+  }
+});
+
+// Emits a client event and hands the server's acknowledgement to the callbacks.
+// The server answers every event with { ok: true, result } or { ok: false, error: { code, message, messageKey, messageParams } },
+// so `onError` receives an error code the page can react to alongside a message it can show (see localizeMessage in i18n.js).
+export const emitWithAck = (event, payload, { onSuccess, onError } = {}) => {
+  socket.emit(event, payload, (response) => {
+    if (response?.ok) {
+      onSuccess?.(response.result);
+      return;
+    }
+    console.warn(`Server rejected '${event}':`, response?.error);
+    onError?.(response?.error || { code: 'SERVER_ERROR', message: translate('common.somethingWentWrong') });
+  });
+};
+
 // Optional: Log socket events for debugging (can be removed later)
 socket.onAny((event, ...args) => {
   console.log(`>>> socket.js [onAny] Event Received: Name='${event}', Args=`, args);
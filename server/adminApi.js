@@ -0,0 +1,157 @@
+// server/adminApi.js
+// Token-protected REST endpoints for managing the question bank, mounted at /admin:
+//   GET    /admin/questions?search=&category=&rating=&tag=  -> { questions: [{ key, ...entry }] }
+//   GET    /admin/questions/:key                             -> { question }
+//   POST   /admin/questions       { key?, real, fake, category?, tags?, rating?, answerType? }
+//                                                            -> 201 { question }
+//   PUT    /admin/questions/:key  changes the given fields   -> { question }
+//   DELETE /admin/questions/:key                             -> 204
+//   POST   /admin/questions/reload  re-reads the bank file   -> { count, errors }
+//   GET    /admin/questions/report?minRounds=                -> { pairs: [...] }
+//          players' ratings and catch rates per pair, most obvious first (see questionFeedback.js)
+// Requests need "Authorization: Bearer <ADMIN_TOKEN>". Failures answer
+// { error: { code, message } }, like socket acknowledgements. Every change is
+// validated and handed to `bankStore.replace`, which writes the bank file and
+// swaps it in (see the question bank section of server.js).
+const crypto = require('crypto');
+const express = require('express');
+const { ERROR_CODES, EventError } = require('./errors');
+const { formatMessage } = require('./messages');
+const { QUESTION_KEY_PATTERN, normalizeEntry, normalizeQuestionBank, searchQuestions } = require('./questionBank');
+const { buildFeedbackReport } = require('./questionFeedback');
+
+const HTTP_STATUS = {
+  [ERROR_CODES.UNAUTHORIZED]: 401,
+  [ERROR_CODES.QUESTION_NOT_FOUND]: 404,
+  [ERROR_CODES.QUESTION_EXISTS]: 409,
+  [ERROR_CODES.INVALID_QUESTION]: 400
+};
+
+// Compares hashes so the check takes the same time however much of the token matches
+const tokensMatch = (given, expected) => {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+};
+
+// A free key made from the real question, e.g. 'best_pizza_topping'
+const keyFromQuestion = (real, questions) => {
+  const base = real.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40) || 'question';
+  let key = base;
+  for (let suffix = 2; questions[key]; suffix += 1) { key = `${base}_${suffix}`; }
+  return key;
+};
+
+const toEntry = (fields) => {
+  try {
+    return normalizeEntry(fields);
+  } catch (error) {
+    throw new EventError(ERROR_CODES.INVALID_QUESTION, 'invalidQuestion', { problem: error.message });
+  }
+};
+
+// `bankStore` is { get() -> bank, replace(bank), reload() -> bank }
+// `feedbackStore` is { read() -> entries }; without one the report is empty.
+const createAdminRouter = ({ token, bankStore, feedbackStore = { read: () => [] } }) => {
+  const router = express.Router();
+  router.use(express.json({ limit: '100kb' }));
+
+  router.use((req, res, next) => {
+    const [scheme, given] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !given || !tokensMatch(given, token)) {
+      next(new EventError(ERROR_CODES.UNAUTHORIZED, 'adminTokenRequired'));
+      return;
+    }
+    next();
+  });
+
+  const requireQuestion = (key) => {
+    const entry = bankStore.get().questions[key];
+    if (!entry) throw new EventError(ERROR_CODES.QUESTION_NOT_FOUND, 'questionNotFound', { key });
+    return entry;
+  };
+
+  // Applies a change to a copy of the questions and stores the result
+  const changeQuestions = (change) => {
+    const { questions, categories } = bankStore.get();
+    const updated = { ...questions };
+    change(updated);
+    bankStore.replace(normalizeQuestionBank({ categories, questions: updated }));
+  };
+
+  router.get('/questions', (req, res) => {
+    const { search, category, rating, tag } = req.query;
+    res.json({ questions: searchQuestions(bankStore.get().questions, { search, category, rating, tag }) });
+  });
+
+  // A file that can't be loaded leaves the current questions in place
+  router.post('/questions/reload', (req, res) => {
+    let bank;
+    try {
+      bank = bankStore.reload();
+    } catch (error) {
+      throw new EventError(ERROR_CODES.INVALID_QUESTION, 'questionFileUnreadable', { problem: error.message });
+    }
+    res.json({ count: Object.keys(bank.questions).length, errors: bank.errors });
+  });
+
+  router.get('/questions/report', (req, res) => {
+    const minRounds = Math.max(parseInt(req.query.minRounds, 10) || 1, 1);
+    res.json({ pairs: buildFeedbackReport(feedbackStore.read(), { questions: bankStore.get().questions, minRounds }) });
+  });
+
+  router.get('/questions/:key', (req, res) => {
+    res.json({ question: { key: req.params.key, ...requireQuestion(req.params.key) } });
+  });
+
+  router.post('/questions', (req, res) => {
+    const { key: requestedKey, ...fields } = req.body || {};
+    const entry = toEntry(fields);
+    const { questions } = bankStore.get();
+    if (requestedKey !== undefined && (typeof requestedKey !== 'string' || !QUESTION_KEY_PATTERN.test(requestedKey))) {
+      throw new EventError(ERROR_CODES.INVALID_QUESTION, 'invalidQuestionKey');
+    }
+    if (requestedKey && questions[requestedKey]) {
+      throw new EventError(ERROR_CODES.QUESTION_EXISTS, 'questionExists', { key: requestedKey });
+    }
+    const key = requestedKey || keyFromQuestion(entry.real, questions);
+    changeQuestions(updated => { updated[key] = entry; });
+    console.log(`Admin added question '${key}'`);
+    res.status(201).json({ question: { key, ...entry } });
+  });
+
+  router.put('/questions/:key', (req, res) => {
+    const { key } = req.params;
+    const fields = { ...req.body };
+    delete fields.key; // The key comes from the URL
+    const entry = toEntry({ ...requireQuestion(key), ...fields });
+    changeQuestions(updated => { updated[key] = entry; });
+    console.log(`Admin edited question '${key}'`);
+    res.json({ question: { key, ...entry } });
+  });
+
+  router.delete('/questions/:key', (req, res) => {
+    const { key } = req.params;
+    requireQuestion(key);
+    changeQuestions(updated => { delete updated[key]; });
+    console.log(`Admin deleted question '${key}'`);
+    res.status(204).end();
+  });
+
+  // Express hands thrown errors (and bad JSON bodies) to this 4-argument handler
+  router.use((error, req, res, next) => {
+    if (error instanceof EventError) {
+      res.status(HTTP_STATUS[error.code] || 400).json({ error: { code: error.code, message: error.message } });
+      return;
+    }
+    if (error.type === 'entity.parse.failed') {
+      res.status(400).json({ error: { code: ERROR_CODES.INVALID_QUESTION, message: formatMessage('invalidJsonBody') } });
+      return;
+    }
+    console.error('Admin API error:', error);
+    res.status(500).json({ error: { code: ERROR_CODES.SERVER_ERROR, message: formatMessage('serverError') } });
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
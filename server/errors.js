@@ -0,0 +1,46 @@
+// server/errors.js
+// Error codes sent to clients. Handlers (and the game engine) report problems by
+// throwing an EventError with a code and a message key (see messages.js);
+// server.js turns it into { ok: false, error: { code, message, messageKey, messageParams } }.
+const { formatMessage } = require('./messages');
+
+const ERROR_CODES = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  NOT_HOST: 'NOT_HOST',
+  WRONG_PHASE: 'WRONG_PHASE',
+  ALREADY_ANSWERED: 'ALREADY_ANSWERED',
+  ALREADY_RATED: 'ALREADY_RATED',
+  INVALID_ANSWER: 'INVALID_ANSWER',
+  INVALID_TARGET: 'INVALID_TARGET',
+  ROOM_LOCKED: 'ROOM_LOCKED',
+  BANNED: 'BANNED',
+  SEAT_UNAVAILABLE: 'SEAT_UNAVAILABLE',
+  INVALID_SETTINGS: 'INVALID_SETTINGS',
+  NOT_ENOUGH_PLAYERS: 'NOT_ENOUGH_PLAYERS',
+  LAST_CHANCE_OPEN: 'LAST_CHANCE_OPEN',
+  NO_QUESTIONS: 'NO_QUESTIONS',
+  INVALID_QUESTION_PACK: 'INVALID_QUESTION_PACK',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  QUESTION_NOT_FOUND: 'QUESTION_NOT_FOUND',
+  QUESTION_EXISTS: 'QUESTION_EXISTS',
+  INVALID_QUESTION: 'INVALID_QUESTION',
+  ROOM_FULL: 'ROOM_FULL',
+  SERVER_FULL: 'SERVER_FULL',
+  RATE_LIMITED: 'RATE_LIMITED',
+  JOIN_THROTTLED: 'JOIN_THROTTLED',
+  ABUSE: 'ABUSE',
+  SERVER_ERROR: 'SERVER_ERROR'
+};
+
+class EventError extends Error {
+  constructor(code, messageKey, messageParams = {}) {
+    super(formatMessage(messageKey, messageParams));
+    this.code = code;
+    this.messageKey = messageKey;
+    this.messageParams = messageParams;
+  }
+}
+
+module.exports = { ERROR_CODES, EventError };
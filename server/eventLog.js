@@ -0,0 +1,203 @@
+// server/eventLog.js
+// Append-only log of every game engine command a room runs and what came of it,
+// one JSON object per line in <directory>/<roomCode>.jsonl. scripts/replay.js
+// rebuilds a game from its log step by step. Entries:
+//   { seq, at, kind: 'snapshot', room }
+//       The room as the next command found it. Written before a room's first
+//       command and after the room changed outside the engine (joins, kicks,
+//       settings...), since those changes can't be replayed. server.js reports
+//       such changes with markChanged().
+//   { seq, at, kind: 'command', command, events, result, hash }
+//   { seq, at, kind: 'command', command, error: { code, message }, hash }
+//       `hash` identifies the room after the command (see stateHash), so a
+//       replay can tell whether it still matches the original game.
+//   { seq, at, kind: 'command', command, repeat, hash }
+//       `repeat` timer ticks in a row that only counted down, at `at` the last.
+//       They are held back in the room and written as one entry once something
+//       else happens.
+// The room remembers its last seq and hash (and any held-back ticks) in room.eventLog.
+// Lines are written through one stream per room. When the room closes, archive()
+// ends it and renames the log to <roomCode>-<closedAt>.jsonl, so the game can
+// still be replayed after its room code is reused.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { applyCommand } = require('./gameEngine');
+
+const DEFAULT_EVENT_LOG_DIR = path.join(__dirname, 'storage', 'event-logs');
+
+// The part of a room the engine works with. Session tokens, activity stamps and
+// the log's own bookkeeping are left out - they change outside the engine all the time.
+const replayableState = (room) => {
+  const { sessions, lastActivity, expiryWarned, eventLog, ...state } = room;
+  const { timerHeartbeat, ...gameState } = room.gameState;
+  return { ...state, gameState };
+};
+
+const stateHash = (room) =>
+  crypto.createHash('sha1').update(JSON.stringify(replayableState(room))).digest('hex');
+
+const logFilePath = (directory, roomCode) => path.join(directory, `${roomCode}.jsonl`);
+const archivedLogFilePath = (directory, roomCode, closedAt) => path.join(directory, `${roomCode}-${closedAt}.jsonl`);
+
+// A tick whose only events are countdown updates
+const isQuietTick = (command, outcome) =>
+  command.type === 'tick' && !outcome.error && outcome.result == null &&
+  (outcome.events || []).every(({ event }) => event.endsWith('Tick'));
+
+// `directory` may be empty to turn logging off.
+const createEventLog = (directory) => {
+  const streams = new Map(); // key: roomCode, value: fs.WriteStream
+
+  const write = (roomCode, entries) => {
+    if (entries.length === 0) return;
+    let stream = streams.get(roomCode);
+    if (!stream) {
+      try {
+        fs.mkdirSync(directory, { recursive: true });
+      } catch (error) {
+        console.error(`Failed to write the event log of room [${roomCode}]:`, error);
+        return;
+      }
+      stream = fs.createWriteStream(logFilePath(directory, roomCode), { flags: 'a' });
+      stream.on('error', (error) => {
+        console.error(`Failed to write the event log of room [${roomCode}]:`, error);
+        if (streams.get(roomCode) === stream) streams.delete(roomCode);
+      });
+      streams.set(roomCode, stream);
+    }
+    stream.write(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  };
+
+  // Writes the ticks held back in `log` as one entry. `room` is where they left
+  // the room, so this is the only place their hash is worked out.
+  const flushTicks = (room, log, entries) => {
+    if (!log.ticks) return log;
+    const { command, repeat, at } = log.ticks;
+    const seq = log.seq + 1;
+    const hash = stateHash(room);
+    entries.push({ seq, at, kind: 'command', command, repeat, hash });
+    return { seq, hash };
+  };
+
+  // Logs the command `before` went through. `after` is the resulting room, or
+  // `before` itself when the command was rejected with `outcome.error`.
+  // The room is only hashed once per command: the hash `before` was left with
+  // still holds unless markChanged() said otherwise.
+  const record = (before, after, at, command, outcome) => {
+    if (!directory) return;
+    const quiet = isQuietTick(command, outcome);
+    const entries = [];
+    let log = before.eventLog || { seq: 0, hash: null, changed: true };
+    if (log.ticks && !(quiet && isDeepStrictEqual(log.ticks.command, command))) {
+      log = flushTicks(before, log, entries);
+    }
+    if (log.changed) {
+      const hash = stateHash(before);
+      if (hash !== log.hash) {
+        entries.push({ seq: log.seq + 1, at, kind: 'snapshot', room: replayableState(before) });
+        log = { seq: log.seq + 1, hash };
+      }
+      log = { ...log, changed: false };
+    }
+
+    if (quiet) {
+      after.eventLog = { ...log, ticks: { command, repeat: (log.ticks?.repeat || 0) + 1, at } };
+    } else {
+      const seq = log.seq + 1;
+      const hash = stateHash(after);
+      entries.push({ seq, at, kind: 'command', command, ...outcome, hash });
+      after.eventLog = { seq, hash };
+    }
+    write(before.roomCode, entries);
+  };
+
+  // Tells the log that `room` may be about to change outside the engine, so the
+  // next command checks it and takes a snapshot if it did.
+  const markChanged = (room) => {
+    if (!directory || !room.eventLog) return;
+    const entries = [];
+    room.eventLog = { ...flushTicks(room, room.eventLog, entries), changed: true };
+    write(room.roomCode, entries);
+  };
+
+  // Resolves once everything written for the room (or, without a room code,
+  // every room) is on disk.
+  const close = (roomCode) => {
+    const roomCodes = roomCode ? [roomCode] : [...streams.keys()];
+    return Promise.all(roomCodes.map(code => new Promise(resolve => {
+      const stream = streams.get(code);
+      if (!stream) { resolve(); return; }
+      streams.delete(code);
+      stream.end(() => resolve());
+    })));
+  };
+
+  // Moves a closed room's log out of the way of the next room with its code.
+  // Resolves with the archived file, or null if the room logged nothing.
+  const archive = async (roomCode, closedAt = Date.now()) => {
+    if (!directory) return null;
+    await close(roomCode);
+    const archivedFile = archivedLogFilePath(directory, roomCode, closedAt);
+    try {
+      await fs.promises.rename(logFilePath(directory, roomCode), archivedFile);
+      return archivedFile;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Failed to archive the event log of room [${roomCode}]:`, error);
+      return null;
+    }
+  };
+
+  return { record, markChanged, close, archive };
+};
+
+// Sorted by seq: with a shared room store several processes append to the same
+// log, and their writes needn't land in the order the commands ran.
+const readEventLog = (file) => fs.readFileSync(file, 'utf8')
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => JSON.parse(line))
+  .sort((a, b) => a.seq - b.seq);
+
+// Re-runs a log's commands through the engine (`repeat` times for held-back
+// ticks). Calls onStep(entry, step) for every entry, where step is
+// { room, events, result, error, matches } - `matches` is false once the
+// replayed room no longer has the logged hash (e.g. the question bank or the
+// engine changed since). Returns the last room.
+const replayEventLog = (entries, questions, onStep = () => {}) => {
+  let room = null;
+  for (const entry of entries) {
+    if (entry.kind === 'snapshot') {
+      room = entry.room;
+      onStep(entry, { room, events: [], result: null, error: null, matches: true });
+      continue;
+    }
+    if (!room) throw new Error(`Entry ${entry.seq} comes before any snapshot of the room`);
+
+    const env = { questions, now: () => entry.at };
+    let step = { room, events: [], result: null, error: null };
+    try {
+      for (let i = 0; i < (entry.repeat || 1); i += 1) {
+        const outcome = applyCommand(step.room, entry.command, env);
+        step = { ...outcome, events: [...step.events, ...outcome.events], error: null };
+      }
+    } catch (error) {
+      step = { ...step, result: null, error: { code: error.code, message: error.message } };
+    }
+    room = step.room;
+    onStep(entry, { ...step, matches: stateHash(room) === entry.hash && (step.error?.code ?? null) === (entry.error?.code ?? null) });
+  }
+  return room;
+};
+
+module.exports = {
+  DEFAULT_EVENT_LOG_DIR,
+  createEventLog,
+  readEventLog,
+  replayEventLog,
+  replayableState,
+  stateHash,
+  logFilePath,
+  archivedLogFilePath
+};
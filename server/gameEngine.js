@@ -0,0 +1,1097 @@
+// server/gameEngine.js
+// The game rules as a state machine over room.gameState.status:
+//   lobby -> playing -> guessing -> voting -> revealing -> playing ... -> gameover
+// applyCommand(room, command, env) works on a copy of the room and returns
+// { room, events, result }: the updated room, the events to send
+// ({ to, event, payload } - `to` is the room code or a member id) and the
+// value for the client's acknowledgement. Invalid commands throw an EventError.
+// Nothing in here touches sockets, intervals or the clock: server.js sends the
+// events and ticks every timer that getRunningTimers reports with 'tick' commands.
+// `env` supplies the question bank ({ key: entry }, see questionBank.js), random() and now().
+// Without env.random the room's own seeded generator (room.rng, see random.js)
+// is used, so the same room and commands always give the same game.
+const { ERROR_CODES, EventError } = require('./errors');
+const { buildMessage } = require('./messages');
+const { nextRandom } = require('./random');
+const { filterQuestionKeys, localizeQuestion } = require('./questionBank');
+const { FEEDBACK_OPTIONS } = require('./questionFeedback');
+
+const MIN_PLAYERS = 2; // Fewer players than this can't start, or keep playing, a game
+const DEFAULT_TIMER_EXTENSION = 30; // Seconds added by an 'extend' request without an amount
+const MAX_TIMER_EXTENSION = 600;
+const MAX_ANSWER_LENGTH = 150; // Longer text answers are clipped
+
+const SCORE_CORRECT_VOTE = 2;      // Non-imposter who voted for an imposter
+const SCORE_IMPOSTER_SURVIVED = 2; // Imposter was not accused by the group
+const SCORE_IMPOSTER_BLENDED = 1;  // Imposter did not receive a single vote
+const SCORE_LAST_CHANCE = 2;       // Caught imposter's last-chance guess was accepted
+
+// ==============================================================
+// --- Shared Lookups & Payloads ---
+// ==============================================================
+// A seated player (not a spectator)
+const requirePlayer = (room, playerId) => {
+  const player = room.players.find(p => p.id === playerId);
+  if (!player) throw new EventError(ERROR_CODES.NOT_IN_ROOM, 'notPlaying');
+  return player;
+};
+
+const requireHost = (room, playerId) => {
+  const player = room.players.find(p => p.id === playerId);
+  if (!player || !player.isCreator) throw new EventError(ERROR_CODES.NOT_HOST, 'hostOnly');
+  return player;
+};
+
+// `messageKey` (see messages.js) explains the refusal
+const requirePhase = (room, status, messageKey) => {
+  if (room.gameState.status !== status) throw new EventError(ERROR_CODES.WRONG_PHASE, messageKey);
+};
+
+// Payload of 'updateRoomState'
+const buildRoomState = (room) => ({
+  roomCode: room.roomCode,
+  players: room.players,
+  spectators: room.spectators,
+  settings: room.settings,
+  locked: room.locked,
+  // Only the size - the questions themselves would give the game away
+  questionPackSize: room.questionPack ? Object.keys(room.questionPack.questions).length : 0
+});
+
+const emitRoomState = (ctx) => ctx.emit(ctx.room.roomCode, 'updateRoomState', buildRoomState(ctx.room));
+
+const sendSystemMessage = (ctx, messageKey, messageParams) => {
+  const { roomCode } = ctx.room;
+  ctx.emit(roomCode, 'systemMessage', { roomCode, ...buildMessage(messageKey, messageParams), timestamp: ctx.now() });
+};
+
+const createPlayer = (id, name, isCreator) => ({
+  id,
+  name,
+  isCreator,
+  connected: true,
+  hasAnswered: false,
+  hasVoted: false,
+  score: 0
+});
+
+
+// ==============================================================
+// --- Spectators ---
+// ==============================================================
+// Spectators are kept in room.spectators, apart from room.players, so they never
+// count towards answers, votes, judging or the imposter pick. They are in the
+// room's socket.io room and so see the real question, the answers and the reveal.
+
+// Turns a spectator into a player, keeping their id (and so their session).
+const promoteSpectator = (room, spectatorId) => {
+  const index = room.spectators.findIndex(s => s.id === spectatorId);
+  if (index === -1) return null;
+  const [spectator] = room.spectators.splice(index, 1);
+  const player = { ...createPlayer(spectator.id, spectator.name, false), connected: spectator.connected };
+  room.players.push(player);
+  return player;
+};
+
+// Called at a round boundary: promotes everyone the host picked. Returns their names.
+const promoteWaitingSpectators = (room) => {
+  return room.spectators
+    .filter(s => s.joinNextRound)
+    .map(s => promoteSpectator(room, s.id)?.name)
+    .filter(Boolean);
+};
+
+
+// ==============================================================
+// --- Imposter Selection ---
+// ==============================================================
+const getImposterCount = (settings, playerCount) => {
+  const wanted = settings.imposterMode === 'scaled'
+    ? Math.floor(playerCount / settings.playersPerImposter)
+    : settings.imposterCount;
+  return Math.min(Math.max(wanted, 1), Math.max(playerCount - 1, 1));
+};
+
+// How each round's imposters are picked (settings.imposterSelection):
+//   'random'   - everyone has the same odds every round
+//   'weighted' - a player's odds grow with the rounds since their last turn as
+//                imposter, up to the player count (where new players start)
+//   'rotation' - nobody is picked again until every player has had a turn
+// gameState.imposterHistory = { rounds, rotation } remembers the picks across
+// games: `rounds` holds each round's imposter ids (oldest first, capped) and
+// `rotation` the players who already had their turn in the current cycle.
+// Both are kept whatever the strategy, so switching strategies picks up from there.
+const IMPOSTER_HISTORY_LIMIT = 100;
+
+const roundsSinceImposter = (rounds, playerId) => {
+  for (let i = rounds.length - 1; i >= 0; i -= 1) {
+    if (rounds[i].includes(playerId)) return rounds.length - i;
+  }
+  return Infinity;
+};
+
+// Index into `weights` chosen with odds proportional to each weight.
+// Equal weights give Math.floor(random() * weights.length).
+const pickWeightedIndex = (weights, random) => {
+  let target = random() * weights.reduce((total, weight) => total + weight, 0);
+  const index = weights.findIndex(weight => (target -= weight) < 0);
+  return index === -1 ? weights.length - 1 : index;
+};
+
+// Picks a set of distinct imposter ids for a new round and records them in gameState.imposterHistory.
+const pickImposterIds = (room, random) => {
+  const { settings, gameState } = room;
+  const strategy = settings.imposterSelection || 'random';
+  const { rounds = [], rotation = [] } = gameState.imposterHistory || {};
+  let candidateIds = room.players.map(p => p.id);
+  let cycle = rotation.filter(id => candidateIds.includes(id)); // Players who left drop out of the cycle
+  const imposterIds = [];
+  const count = getImposterCount(settings, candidateIds.length);
+  while (imposterIds.length < count && candidateIds.length > 0) {
+    let pool = candidateIds;
+    if (strategy === 'rotation') {
+      pool = candidateIds.filter(id => !cycle.includes(id));
+      if (pool.length === 0) { // Everyone left has had a turn - a new cycle starts
+        cycle = [];
+        pool = candidateIds;
+      }
+    }
+    const weights = strategy === 'weighted'
+      ? pool.map(id => Math.min(roundsSinceImposter(rounds, id), room.players.length))
+      : pool.map(() => 1);
+    const imposterId = pool[pickWeightedIndex(weights, random)];
+    imposterIds.push(imposterId);
+    candidateIds = candidateIds.filter(id => id !== imposterId);
+    cycle = cycle.length + 1 >= room.players.length ? [] : [...cycle, imposterId];
+  }
+  gameState.imposterHistory = { rounds: [...rounds, imposterIds].slice(-IMPOSTER_HISTORY_LIMIT), rotation: cycle };
+  return imposterIds;
+};
+
+// Number questions (see questionBank.js) come with the range answers must fall in;
+// text questions have none.
+const getAnswerRange = (question) =>
+  (question?.answerType === 'number' ? { min: question.min, max: question.max } : null);
+
+// Builds the per-player 'newRound' payload. Imposters get the fake question and,
+// if the room allows it, the names of their fellow imposters.
+const buildRoundPayload = (room, player, turnTimerDuration) => {
+  const { roundNumber, imposterIds, currentQuestion } = room.gameState;
+  const isPlayerImposter = imposterIds.includes(player.id);
+  const payload = {
+    roomCode: room.roomCode,
+    roundNumber,
+    totalQuestions: room.settings.totalQuestions,
+    turnTimerDuration,
+    question: isPlayerImposter ? currentQuestion.fake : currentQuestion.real,
+    answerType: currentQuestion.answerType || 'text',
+    answerRange: getAnswerRange(currentQuestion),
+    isImposter: isPlayerImposter,
+    isSpectator: player.isSpectator === true, // Spectators always see the real question
+    imposterCount: imposterIds.length,
+    players: room.players
+  };
+  if (isPlayerImposter && room.settings.impostersKnowEachOther) {
+    payload.fellowImposters = room.players
+      .filter(p => p.id !== player.id && imposterIds.includes(p.id))
+      .map(p => ({ id: p.id, name: p.name }));
+  }
+  return payload;
+};
+
+// Sends 'newRound' individually - each player's question depends on their role.
+const emitNewRound = (ctx) => {
+  const { room } = ctx;
+  [...room.players, ...room.spectators].forEach(member => {
+    ctx.emit(member.id, 'newRound', buildRoundPayload(room, member, room.settings.turnTimer));
+  });
+};
+
+
+// ==============================================================
+// --- Timers ---
+// ==============================================================
+// Remaining time and pause state live in room.gameState; each 'tick' command
+// advances one timer by a second.
+const buildTurnTimerTick = (room) => {
+  const { remaining, isPaused, overtime } = room.gameState.turnTimer;
+  const { lateAnswerPolicy, lateAnswerGrace } = room.settings;
+  const graceRemaining = (lateAnswerPolicy === 'grace' && overtime !== null)
+    ? Math.max(lateAnswerGrace - overtime, 0)
+    : null;
+  return { roomCode: room.roomCode, remaining, isPaused, overtime, graceRemaining };
+};
+
+const buildGuessTimerTick = (room) => {
+  const { remaining, isPaused } = room.gameState.guessTimer;
+  return { roomCode: room.roomCode, remaining, isPaused };
+};
+
+const emitTurnTimerTick = (ctx) => {
+  if (!ctx.room.gameState.turnTimer) return;
+  ctx.emit(ctx.room.roomCode, 'turnTimerTick', buildTurnTimerTick(ctx.room));
+};
+
+const emitGuessTimerTick = (ctx) => {
+  if (!ctx.room.gameState.guessTimer) return;
+  ctx.emit(ctx.room.roomCode, 'guessTimerTick', buildGuessTimerTick(ctx.room));
+};
+
+// Which timers should be ticking in the room's current phase
+const getRunningTimers = (room) => {
+  const { status, turnTimer, guessTimer, lastChance } = room.gameState;
+  return {
+    turn: status === 'playing' && Boolean(turnTimer),
+    guess: status === 'guessing' && Boolean(guessTimer),
+    lastChance: status === 'revealing' && lastChance?.status === 'guessing'
+  };
+};
+
+const startTurnTimer = (ctx) => {
+  ctx.room.gameState.turnTimer = { remaining: ctx.room.settings.turnTimer, isPaused: false, overtime: null };
+  emitTurnTimerTick(ctx);
+};
+
+const tickTurnTimer = (ctx) => {
+  const { room } = ctx;
+  if (!getRunningTimers(room).turn) return;
+  const timer = room.gameState.turnTimer;
+  if (timer.isPaused) return;
+
+  const { lateAnswerPolicy, lateAnswerGrace } = room.settings;
+  if (timer.remaining > 0) {
+    timer.remaining -= 1;
+    if (timer.remaining === 0) {
+      if (lateAnswerPolicy === 'strict' || (lateAnswerPolicy === 'grace' && lateAnswerGrace <= 0)) {
+        endAnsweringPhase(ctx);
+        return;
+      }
+      timer.overtime = 0; // Start counting late time
+    }
+  } else {
+    timer.overtime += 1;
+    if (lateAnswerPolicy === 'grace' && timer.overtime >= lateAnswerGrace) {
+      endAnsweringPhase(ctx);
+      return;
+    }
+  }
+  emitTurnTimerTick(ctx);
+};
+
+const startGuessTimer = (ctx) => {
+  ctx.room.gameState.guessTimer = { remaining: ctx.room.settings.guessTimer, isPaused: false };
+  emitGuessTimerTick(ctx);
+};
+
+const tickGuessTimer = (ctx) => {
+  const { room } = ctx;
+  if (!getRunningTimers(room).guess) return;
+  const timer = room.gameState.guessTimer;
+  if (timer.isPaused) return;
+
+  timer.remaining = Math.max(timer.remaining - 1, 0);
+  emitGuessTimerTick(ctx);
+  if (timer.remaining === 0) {
+    startVotingPhase(ctx);
+  }
+};
+
+
+// ==============================================================
+// --- Question History ---
+// ==============================================================
+// Rooms remember the pairs they asked across games (room.questionHistory.asked),
+// and members can bring the pairs their device has seen before
+// (room.questionHistory.members, by member id - see questionHistory.js in the client).
+// Records are { real, fake, askedAt } with the untranslated text, so they still match
+// after a key is renamed or a pack is uploaded again. New rounds prefer pairs nobody
+// present has seen, then the ones seen longest ago (see pickQuestionKey).
+const QUESTION_HISTORY_LIMIT = 200;
+const MAX_HISTORY_TEXT_LENGTH = 300;
+
+const samePair = (a, b) => a.real.toLowerCase() === b.real.toLowerCase() && a.fake.toLowerCase() === b.fake.toLowerCase();
+
+// Keeps the well-formed records of a history sent by a client, oldest first
+const normalizeQuestionHistory = (raw) => {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(record => record && typeof record.real === 'string' && typeof record.fake === 'string'
+      && record.real.length <= MAX_HISTORY_TEXT_LENGTH && record.fake.length <= MAX_HISTORY_TEXT_LENGTH
+      && Number.isFinite(record.askedAt))
+    .map(({ real, fake, askedAt }) => ({ real, fake, askedAt }))
+    .sort((a, b) => a.askedAt - b.askedAt)
+    .slice(-QUESTION_HISTORY_LIMIT);
+};
+
+// Adds `record` to `history`, dropping any older record of the same pair
+const addToHistory = (history, record) =>
+  [...history.filter(r => !samePair(r, record)), record].slice(-QUESTION_HISTORY_LIMIT);
+
+// When anyone in the room last saw the pair (-Infinity when nobody present has)
+const lastSeenAt = (room, entry) => {
+  const { asked = [], members = {} } = room.questionHistory || {};
+  const presentIds = [...room.players, ...room.spectators].map(m => m.id);
+  return [asked, ...presentIds.map(id => members[id] || [])].flat()
+    .filter(record => samePair(record, entry))
+    .reduce((latest, record) => Math.max(latest, record.askedAt), -Infinity);
+};
+
+// Remembers the history a member's device sent when they joined (empty to forget it)
+const setMemberQuestionHistory = (room, memberId, history) => {
+  const { asked = [], members = {} } = room.questionHistory || {};
+  const others = Object.fromEntries(Object.entries(members).filter(([id]) => id !== memberId));
+  const records = normalizeQuestionHistory(history);
+  room.questionHistory = { asked, members: records.length > 0 ? { ...others, [memberId]: records } : others };
+};
+
+
+// ==============================================================
+// --- Rounds & Phase Transitions ---
+// ==============================================================
+// The questions a room draws from, by settings.questionSource:
+//   'bank'  - the built-in bank, narrowed to the room's categories and rating
+//   'pack'  - only the room's own question pack (see questionPack.js)
+//   'mixed' - both
+const getQuestionPool = (ctx) => {
+  const { settings, questionPack } = ctx.room;
+  const source = settings.questionSource || 'bank';
+  const pool = {};
+  if (source !== 'pack') {
+    filterQuestionKeys(ctx.questions, settings).forEach(key => { pool[key] = ctx.questions[key]; });
+  }
+  if (source !== 'bank' && questionPack) Object.assign(pool, questionPack.questions);
+  return pool;
+};
+
+// gameState.usedQuestions keeps the text of every pair the game has asked
+// (key -> { real, fake }), so a pair the admin API renames or re-adds mid-game
+// (see adminApi.js) isn't asked twice.
+const getUnusedQuestionKeys = (ctx) => {
+  const { usedQuestionKeys, usedQuestions = {} } = ctx.room.gameState;
+  const askedPairs = Object.values(usedQuestions);
+  return Object.entries(getQuestionPool(ctx))
+    .filter(([key, entry]) => !usedQuestionKeys.includes(key) && !askedPairs.some(pair => samePair(pair, entry)))
+    .map(([key]) => key);
+};
+
+// Picks a pair this game hasn't asked - or, once it has asked them all, any pair,
+// so the game repeats rather than ending early. Among those it prefers pairs nobody
+// present has seen, then the ones seen longest ago, breaking ties at random.
+const pickQuestionKey = (ctx) => {
+  const pool = getQuestionPool(ctx);
+  const unusedKeys = getUnusedQuestionKeys(ctx);
+  const candidates = unusedKeys.length > 0 ? unusedKeys : Object.keys(pool);
+  const seenAt = candidates.map(key => lastSeenAt(ctx.room, pool[key]));
+  const oldest = Math.min(...seenAt);
+  const freshest = candidates.filter((key, i) => seenAt[i] === oldest);
+  return freshest[Math.floor(ctx.random() * freshest.length)];
+};
+
+// Sets up round `roundNumber` with a new question (see pickQuestionKey) and new imposters.
+// Callers make sure the question pool isn't empty.
+const startRound = (ctx, roundNumber) => {
+  const { room } = ctx;
+  const { gameState } = room;
+  const questionKey = pickQuestionKey(ctx);
+  const entry = getQuestionPool(ctx)[questionKey];
+  const { answerType, min, max } = entry;
+  const { real, fake } = localizeQuestion(entry, room.settings.language);
+  const historyRecord = { real: entry.real, fake: entry.fake, askedAt: ctx.now() };
+  const { asked = [], members = {} } = room.questionHistory || {};
+  room.questionHistory = { asked: addToHistory(asked, historyRecord), members };
+
+  gameState.status = 'playing';
+  gameState.roundNumber = roundNumber;
+  gameState.usedQuestionKeys.push(questionKey);
+  gameState.usedQuestions = { ...gameState.usedQuestions, [questionKey]: { real: entry.real, fake: entry.fake } };
+  gameState.currentQuestion = { real, fake, answerType, ...getAnswerRange({ answerType, min, max }), historyRecord };
+  gameState.answers = {};
+  gameState.votes = {};
+  gameState.questionFeedback = {};
+  gameState.lastChance = null;
+  gameState.revealedData = null;
+  room.players.forEach(p => { p.hasAnswered = false; p.hasVoted = false; delete p.isRevealedImposter; delete p.currentAnswer; });
+  gameState.imposterIds = pickImposterIds(room, ctx.random);
+
+  emitNewRound(ctx);
+  startTurnTimer(ctx);
+};
+
+// Text answers are clipped to MAX_ANSWER_LENGTH; number answers must be a
+// number inside the question's range and are stored in plain form ('007' -> '7').
+const readAnswer = (question, answerText) => {
+  const text = answerText.trim();
+  const range = getAnswerRange(question);
+  if (!range) return text.substring(0, MAX_ANSWER_LENGTH);
+  const value = text === '' ? NaN : Number(text);
+  if (!Number.isFinite(value) || value < range.min || value > range.max) {
+    throw new EventError(ERROR_CODES.INVALID_ANSWER, 'numberAnswerOutOfRange', range);
+  }
+  return String(value);
+};
+
+// Answers and votes are keyed by player id and may include players who have
+// since left, so "everyone is done" is always checked against the current players.
+const allPlayersAnswered = (room) => room.players.every(p => p.id in room.gameState.answers);
+const allPlayersVoted = (room) => room.players.every(p => p.id in room.gameState.votes);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Ids of the number answers far from everyone else's: further from the median
+// than three times the typical (median) distance, and at least a tenth of the
+// range away so a close group doesn't flag small differences. With fewer than
+// three answers there is no "everyone else" to compare with.
+const findNumberOutliers = (answers, { min, max }) => {
+  const numbers = Object.entries(answers)
+    .filter(([, answer]) => answer !== null)
+    .map(([playerId, answer]) => ({ playerId, value: Number(answer) }));
+  if (numbers.length < 3) return [];
+  const center = median(numbers.map(({ value }) => value));
+  const spread = median(numbers.map(({ value }) => Math.abs(value - center)));
+  const threshold = Math.max(3 * spread, (max - min) / 10);
+  return numbers.filter(({ value }) => Math.abs(value - center) > threshold).map(({ playerId }) => playerId);
+};
+
+// Number rounds add `numberLine` ({ min, max, outlierIds }) for plotting the answers
+const buildAllAnswersPayload = (room) => {
+  const { answers, currentQuestion } = room.gameState;
+  const range = getAnswerRange(currentQuestion);
+  return {
+    roomCode: room.roomCode,
+    answers,
+    missingAnswerIds: Object.keys(answers).filter(id => answers[id] === null),
+    guessTimerDuration: room.settings.guessTimer,
+    realQuestion: currentQuestion?.real || 'Error: Question not found',
+    answerType: currentQuestion?.answerType || 'text',
+    numberLine: range && { ...range, outlierIds: findNumberOutliers(answers, range) },
+    players: room.players
+  };
+};
+
+// Closes the answering phase: any player who has not answered gets a null
+// ("no answer") entry, then everyone moves on to guessing.
+const endAnsweringPhase = (ctx) => {
+  const { room } = ctx;
+  if (room.gameState.status !== 'playing') return;
+
+  room.gameState.status = 'guessing';
+  room.players.forEach(p => {
+    if (!(p.id in room.gameState.answers)) { room.gameState.answers[p.id] = null; } // Marked as "no answer"
+  });
+
+  ctx.emit(room.roomCode, 'allAnswersIn', buildAllAnswersPayload(room));
+  startGuessTimer(ctx);
+};
+
+// Ends the discussion and opens the secret vote on who the imposter is.
+const startVotingPhase = (ctx) => {
+  const { room } = ctx;
+  if (room.gameState.status !== 'guessing') return;
+
+  room.gameState.status = 'voting';
+  room.gameState.votes = {};
+  room.players.forEach(p => { p.hasVoted = false; });
+
+  ctx.emit(room.roomCode, 'votingStarted', { roomCode: room.roomCode, players: room.players });
+};
+
+// Counts the votes of a room. `votes` maps voterId -> targetId (null = abstain).
+// The single most-voted player is accused; a tie for first place, or nobody
+// voting for anyone, means no one is accused. Accusing any imposter catches them.
+const tallyVotes = (votes, imposterIds) => {
+  const voteCounts = {};
+  let abstainCount = 0;
+  Object.values(votes).forEach(targetId => {
+    if (targetId === null) { abstainCount += 1; return; }
+    voteCounts[targetId] = (voteCounts[targetId] || 0) + 1;
+  });
+
+  const topCount = Math.max(0, ...Object.values(voteCounts));
+  const leaders = Object.keys(voteCounts).filter(id => voteCounts[id] === topCount);
+  const isTie = topCount > 0 && leaders.length > 1;
+  const accusedId = (topCount > 0 && !isTie) ? leaders[0] : null;
+
+  return {
+    votes, voteCounts, abstainCount, accusedId, isTie,
+    imposterCaught: accusedId !== null && imposterIds.includes(accusedId)
+  };
+};
+
+
+// ==============================================================
+// --- Scoring ---
+// ==============================================================
+// Works out the points each player earns for a round from its vote result.
+// Returns [{ playerId, name, points, reasons: [string] }] for every player.
+const scoreRound = (players, imposterIds, voteResult) => {
+  return players.map(p => {
+    const reasons = [];
+    let points = 0;
+    if (imposterIds.includes(p.id)) {
+      if (voteResult.accusedId !== p.id) { points += SCORE_IMPOSTER_SURVIVED; reasons.push('survived'); }
+      if (!voteResult.voteCounts[p.id]) { points += SCORE_IMPOSTER_BLENDED; reasons.push('blended in'); }
+    } else if (imposterIds.includes(voteResult.votes[p.id])) {
+      points += SCORE_CORRECT_VOTE;
+      reasons.push('found the imposter');
+    }
+    return { playerId: p.id, name: p.name, points, reasons };
+  });
+};
+
+// Players sorted by score with a shared rank for equal scores (1, 1, 3, ...).
+const buildStandings = (players) => {
+  const sorted = [...players].sort((a, b) => (b.score || 0) - (a.score || 0));
+  return sorted.map(p => {
+    const score = p.score || 0;
+    const rank = sorted.findIndex(other => (other.score || 0) === score) + 1;
+    return { rank, id: p.id, name: p.name, score };
+  });
+};
+
+// Summary sent with 'gameOver'. Leaderboard and rounds are null when scoring is off.
+const buildGameSummary = (room, messageKey, messageParams) => {
+  const { scoringEnabled } = room.settings;
+  return {
+    ...buildMessage(messageKey, messageParams),
+    leaderboard: scoringEnabled ? buildStandings(room.players) : null,
+    rounds: scoringEnabled ? room.gameState.roundHistory : null
+  };
+};
+
+// Finishes the game for everyone in the room with a final summary.
+const endGame = (ctx, messageKey, messageParams) => {
+  const { room } = ctx;
+  room.gameState.status = 'gameover';
+  room.gameState.summary = buildGameSummary(room, messageKey, messageParams);
+  ctx.emit(room.roomCode, 'gameOver', { roomCode: room.roomCode, summary: room.gameState.summary });
+};
+
+const emitScoreUpdate = (ctx, roundPoints) => {
+  const { room } = ctx;
+  ctx.emit(room.roomCode, 'scoreUpdate', {
+    roomCode: room.roomCode,
+    roundNumber: room.gameState.roundNumber,
+    roundPoints,
+    standings: buildStandings(room.players)
+  });
+};
+
+// Ends the voting phase, counts the votes and reveals every imposter to the room.
+const revealImposter = (ctx) => {
+  const { room } = ctx;
+  const { roomCode } = room;
+  if (room.gameState.status !== 'voting') return;
+
+  const { imposterIds, currentQuestion } = room.gameState;
+  if (imposterIds.length === 0 || !currentQuestion) {
+    ctx.emit(roomCode, 'gameError', buildMessage('revealFailed'));
+    return;
+  }
+
+  room.gameState.status = 'revealing';
+
+  const imposterNames = imposterIds.map(id => room.players.find(p => p.id === id)?.name || 'Unknown Name');
+  const fakeQuestion = currentQuestion.fake;
+  room.players.forEach(p => {
+    if (!(p.id in room.gameState.votes)) { room.gameState.votes[p.id] = null; } // Didn't vote = abstain
+  });
+  const voteResult = tallyVotes(room.gameState.votes, imposterIds);
+  room.gameState.revealedData = {
+    roomCode, imposterIds, imposterNames, fakeQuestion, historyRecord: currentQuestion.historyRecord, ...voteResult
+  };
+  ctx.emit(roomCode, 'reveal', room.gameState.revealedData);
+
+  if (room.settings.scoringEnabled) {
+    const roundPoints = scoreRound(room.players, imposterIds, voteResult);
+    roundPoints.forEach(({ playerId, points }) => {
+      const player = room.players.find(p => p.id === playerId);
+      if (player) { player.score = (player.score || 0) + points; }
+    });
+    room.gameState.roundHistory.push({
+      roundNumber: room.gameState.roundNumber,
+      imposterIds, imposterNames,
+      imposterCaught: voteResult.imposterCaught,
+      points: roundPoints
+    });
+    emitScoreUpdate(ctx, roundPoints);
+  }
+
+  if (room.settings.lastChanceEnabled && voteResult.imposterCaught) {
+    startLastChance(ctx, voteResult.accusedId);
+  }
+};
+
+
+// ==============================================================
+// --- Imposter's Last-Chance Guess ---
+// ==============================================================
+// A caught imposter gets `lastChanceSeconds` to type what they think the real
+// question was. The guess is then judged by the host or the group (see
+// LAST_CHANCE_JUDGES in server.js). Other imposters never judge. State lives in room.gameState.lastChance:
+//   { status: 'guessing' | 'judging' | 'done', imposterId, judge, remaining, guess, judgements, accepted }
+const startLastChance = (ctx, caughtImposterId) => {
+  const { room } = ctx;
+  // A host who is an imposter can't judge the guess, so the group decides instead
+  const host = room.players.find(p => p.isCreator);
+  const judge = (room.settings.lastChanceJudge === 'host' && host && !room.gameState.imposterIds.includes(host.id)) ? 'host' : 'group';
+  room.gameState.lastChance = {
+    status: 'guessing',
+    imposterId: caughtImposterId,
+    judge,
+    remaining: room.settings.lastChanceSeconds,
+    guess: null,
+    judgements: {}, // key: judge playerId, value: true (close enough) / false
+    accepted: null
+  };
+
+  ctx.emit(room.roomCode, 'lastChanceStarted', {
+    roomCode: room.roomCode,
+    imposterId: caughtImposterId,
+    remaining: room.gameState.lastChance.remaining,
+    judge
+  });
+};
+
+const tickLastChance = (ctx) => {
+  const { room } = ctx;
+  if (!getRunningTimers(room).lastChance) return;
+  const { lastChance } = room.gameState;
+  lastChance.remaining = Math.max(lastChance.remaining - 1, 0);
+  ctx.emit(room.roomCode, 'lastChanceTick', { roomCode: room.roomCode, remaining: lastChance.remaining });
+  if (lastChance.remaining === 0) {
+    finishLastChance(ctx, false);
+  }
+};
+
+// Records the outcome of the last-chance guess and awards points if accepted.
+const finishLastChance = (ctx, accepted) => {
+  const { room } = ctx;
+  const { lastChance, roundHistory } = room.gameState;
+  if (!lastChance || lastChance.status === 'done') return;
+
+  lastChance.status = 'done';
+  lastChance.accepted = accepted;
+  ctx.emit(room.roomCode, 'lastChanceResult', {
+    roomCode: room.roomCode,
+    guess: lastChance.guess,
+    accepted,
+    judgements: lastChance.judgements
+  });
+
+  const { imposterId } = lastChance;
+  const imposter = room.players.find(p => p.id === imposterId);
+  const roundEntry = roundHistory[roundHistory.length - 1];
+  if (accepted && room.settings.scoringEnabled && imposter && roundEntry) {
+    imposter.score = (imposter.score || 0) + SCORE_LAST_CHANCE;
+    const imposterPoints = roundEntry.points.find(entry => entry.playerId === imposterId);
+    if (imposterPoints) {
+      imposterPoints.points += SCORE_LAST_CHANCE;
+      imposterPoints.reasons.push('guessed the question');
+    }
+    roundEntry.lastChanceAccepted = true;
+    emitScoreUpdate(ctx, roundEntry.points);
+  }
+};
+
+// Checks a group judgement: once every non-imposter has judged, the majority wins (ties reject).
+const checkGroupJudgement = (ctx) => {
+  const { room } = ctx;
+  const { lastChance } = room.gameState;
+  if (!lastChance || lastChance.status !== 'judging') return;
+
+  const judges = room.players.filter(p => !room.gameState.imposterIds.includes(p.id));
+  const verdicts = judges.map(p => lastChance.judgements[p.id]).filter(v => v !== undefined);
+  if (verdicts.length < judges.length) return;
+
+  const acceptCount = verdicts.filter(Boolean).length;
+  finishLastChance(ctx, acceptCount > verdicts.length - acceptCount);
+};
+
+// When the host changes during an open last-chance guess the new host judges,
+// unless they are an imposter themselves - then the group decides instead.
+const ensureHostCanJudge = (ctx) => {
+  const { room } = ctx;
+  const { lastChance } = room.gameState;
+  if (!lastChance || lastChance.status === 'done' || lastChance.judge !== 'host') return;
+  const host = room.players.find(p => p.isCreator);
+  if (host && !room.gameState.imposterIds.includes(host.id)) return;
+  lastChance.judge = 'group';
+  ctx.emit(room.roomCode, 'lastChanceJudgeChanged', { roomCode: room.roomCode, judge: 'group' });
+  checkGroupJudgement(ctx);
+};
+
+
+// ==============================================================
+// --- Mid-Game Departures ---
+// ==============================================================
+// What happens when a player leaves for good (explicit leave, or their
+// reconnect grace period ran out) depends on the phase:
+//   - fewer than MIN_PLAYERS left    -> the game ends with the current standings
+//   - an imposter left before reveal -> the round is void, nobody scores
+//   - answering / voting             -> the remaining players are recounted
+//   - last chance                    -> the guess is dropped or re-judged
+// Remaining players are told what happened with a 'systemMessage'.
+
+// Ends the current round without a vote result. The host moves on with 'nextQuestion' as usual.
+const voidRound = (ctx, reasonKey, reasonParams, departedPlayer) => {
+  const { room } = ctx;
+  const { roomCode } = room;
+  room.gameState.status = 'revealing';
+  room.gameState.lastChance = null;
+
+  const { imposterIds, currentQuestion } = room.gameState;
+  const reason = buildMessage(reasonKey, reasonParams);
+  const imposterNames = imposterIds.map(id =>
+    (id === departedPlayer?.id ? departedPlayer.name : room.players.find(p => p.id === id)?.name) || 'Unknown Name');
+  room.gameState.revealedData = {
+    roomCode, imposterIds, imposterNames,
+    fakeQuestion: currentQuestion?.fake || '',
+    historyRecord: currentQuestion?.historyRecord || null,
+    votes: {}, voteCounts: {}, abstainCount: 0, accusedId: null, isTie: false, imposterCaught: false,
+    voided: true, voidReason: reason.message, voidReasonKey: reason.messageKey, voidReasonParams: reason.messageParams
+  };
+  if (room.settings.scoringEnabled) {
+    room.gameState.roundHistory.push({
+      roundNumber: room.gameState.roundNumber,
+      imposterIds, imposterNames,
+      imposterCaught: false,
+      voided: true,
+      points: []
+    });
+  }
+
+  ctx.emit(roomCode, 'reveal', room.gameState.revealedData);
+};
+
+// `departedPlayer` has already been removed from room.players. `wasKicked`
+// players were already announced by the kick itself.
+const handleDeparture = (ctx, departedPlayer, wasKicked) => {
+  const { room } = ctx;
+  const { gameState } = room;
+  const { status } = gameState;
+  if (status === 'lobby' || status === 'gameover') return;
+
+  if (!wasKicked) { sendSystemMessage(ctx, 'playerLeft', { name: departedPlayer.name }); }
+
+  if (room.players.length < MIN_PLAYERS) {
+    sendSystemMessage(ctx, 'notEnoughPlayersLeft');
+    endGame(ctx, 'gameEndedPlayersLeft', { name: departedPlayer.name });
+    return;
+  }
+
+  // Their own vote and any votes cast for them no longer count
+  delete gameState.votes[departedPlayer.id];
+  const rePollIds = Object.keys(gameState.votes).filter(voterId => gameState.votes[voterId] === departedPlayer.id);
+
+  const wasImposter = gameState.imposterIds.includes(departedPlayer.id);
+  if (wasImposter && ['playing', 'guessing', 'voting'].includes(status)) {
+    voidRound(ctx, gameState.imposterIds.length > 1 ? 'oneImposterLeft' : 'imposterLeft', { name: departedPlayer.name }, departedPlayer);
+    sendSystemMessage(ctx, 'roundVoidImposterLeft', { name: departedPlayer.name });
+    return;
+  }
+
+  if (status === 'playing' && allPlayersAnswered(room)) {
+    endAnsweringPhase(ctx);
+  } else if (status === 'voting') {
+    rePollIds.forEach(voterId => {
+      delete gameState.votes[voterId];
+      const voter = room.players.find(p => p.id === voterId);
+      if (voter) { voter.hasVoted = false; }
+      ctx.emit(voterId, 'voteCleared', { roomCode: room.roomCode, ...buildMessage('votedPlayerLeft', { name: departedPlayer.name }) });
+    });
+    if (allPlayersVoted(room)) {
+      revealImposter(ctx);
+    }
+  } else if (status === 'revealing' && gameState.lastChance && gameState.lastChance.status !== 'done') {
+    const { lastChance } = gameState;
+    if (lastChance.imposterId === departedPlayer.id) {
+      finishLastChance(ctx, false);
+    } else if (lastChance.judge === 'host' && departedPlayer.isCreator) {
+      ensureHostCanJudge(ctx);
+    } else if (lastChance.judge === 'group') {
+      checkGroupJudgement(ctx);
+    }
+  }
+};
+
+
+// ==============================================================
+// --- Commands ---
+// ==============================================================
+// Each command handler gets the context and the command; `playerId` is the sender.
+const TIMER_TICKS = { turn: tickTurnTimer, guess: tickGuessTimer, lastChance: tickLastChance };
+
+const COMMANDS = {
+  startGame: (ctx, { playerId }) => {
+    const { room } = ctx;
+    requireHost(room, playerId);
+    // A finished room can play again; its question history carries over
+    if (room.gameState.status !== 'gameover') requirePhase(room, 'lobby', 'gameAlreadyStarted');
+    if (room.players.length < MIN_PLAYERS) {
+      throw new EventError(ERROR_CODES.NOT_ENOUGH_PLAYERS, 'notEnoughPlayers', { count: MIN_PLAYERS });
+    }
+    const source = room.settings.questionSource || 'bank';
+    if (source !== 'bank' && !room.questionPack) {
+      throw new EventError(ERROR_CODES.NO_QUESTIONS, 'needQuestionPack');
+    }
+    if (source !== 'pack' && Object.keys(ctx.questions).length === 0) {
+      throw new EventError(ERROR_CODES.NO_QUESTIONS, 'questionsMisconfigured');
+    }
+    const available = Object.keys(getQuestionPool(ctx)).length;
+    // A pool smaller than totalQuestions is fine: pickQuestionKey repeats pairs once they're all asked
+    if (available === 0) {
+      throw new EventError(ERROR_CODES.NO_QUESTIONS, 'noMatchingQuestions');
+    }
+
+    room.gameState.usedQuestionKeys = [];
+    room.gameState.usedQuestions = {};
+    room.gameState.roundHistory = [];
+    room.gameState.summary = null;
+    const promotedNames = promoteWaitingSpectators(room); // Spectators the host let in after the last game
+    room.players.forEach(p => { p.score = 0; });
+    if (promotedNames.length > 0) emitRoomState(ctx);
+
+    ctx.emit(room.roomCode, 'gameStarted', { roomCode: room.roomCode });
+    startRound(ctx, 1);
+  },
+
+  submitAnswer: (ctx, { playerId, answerText }) => {
+    const { room } = ctx;
+    const player = requirePlayer(room, playerId);
+    requirePhase(room, 'playing', 'answeringClosed');
+    if (player.id in room.gameState.answers) {
+      throw new EventError(ERROR_CODES.ALREADY_ANSWERED, 'alreadyAnswered');
+    }
+
+    const sanitizedAnswer = readAnswer(room.gameState.currentQuestion, answerText);
+    room.gameState.answers[player.id] = sanitizedAnswer;
+    player.hasAnswered = true;
+    emitRoomState(ctx); // Shows everyone who has answered
+
+    if (allPlayersAnswered(room)) {
+      endAnsweringPhase(ctx);
+    }
+    return { answer: sanitizedAnswer };
+  },
+
+  // Host-only: `timer` is 'turn' (while playing) or 'guess' (while guessing),
+  // `action` is 'pause', 'resume' or 'extend' (by `seconds`)
+  controlTimer: (ctx, { playerId, timer: timerName, action, seconds }) => {
+    const { room } = ctx;
+    requireHost(room, playerId);
+    const phase = timerName === 'turn' ? 'playing' : 'guessing';
+    requirePhase(room, phase, `${timerName}TimerNotRunning`);
+    const timer = room.gameState[`${timerName}Timer`];
+    if (!timer) {
+      throw new EventError(ERROR_CODES.WRONG_PHASE, `${timerName}TimerNotRunning`);
+    }
+
+    if (action === 'pause') {
+      timer.isPaused = true;
+    } else if (action === 'resume') {
+      timer.isPaused = false;
+    } else if (action === 'extend') {
+      timer.remaining += Math.min(Math.max(Math.round(seconds) || DEFAULT_TIMER_EXTENSION, 1), MAX_TIMER_EXTENSION);
+      if (timerName === 'turn') { timer.overtime = null; } // Back inside regular turn time
+    }
+
+    if (timerName === 'turn') { emitTurnTimerTick(ctx); } else { emitGuessTimerTick(ctx); }
+    return { remaining: timer.remaining, isPaused: timer.isPaused };
+  },
+
+  // Host closes answering early (e.g. under the 'wait' late answer policy)
+  closeAnswering: (ctx, { playerId }) => {
+    requireHost(ctx.room, playerId);
+    requirePhase(ctx.room, 'playing', 'answeringNotOpen');
+    endAnsweringPhase(ctx);
+  },
+
+  // Host skips the rest of the guess timer
+  closeGuessing: (ctx, { playerId }) => {
+    requireHost(ctx.room, playerId);
+    requirePhase(ctx.room, 'guessing', 'guessTimerNotRunning');
+    startVotingPhase(ctx);
+  },
+
+  castVote: (ctx, { playerId, targetId = null }) => {
+    const { room } = ctx;
+    const player = requirePlayer(room, playerId);
+    requirePhase(room, 'voting', 'votingNotOpen');
+    if (targetId !== null && (targetId === player.id || !room.players.some(p => p.id === targetId))) {
+      throw new EventError(ERROR_CODES.INVALID_TARGET, 'invalidVoteTarget');
+    }
+
+    // Votes stay secret until the reveal; players may change their vote until then
+    room.gameState.votes[player.id] = targetId;
+    player.hasVoted = true;
+    emitRoomState(ctx);
+
+    if (allPlayersVoted(room)) {
+      revealImposter(ctx);
+    }
+    return { targetId };
+  },
+
+  // Host ends voting early; players who have not voted count as abstaining
+  closeVoting: (ctx, { playerId }) => {
+    requireHost(ctx.room, playerId);
+    requirePhase(ctx.room, 'voting', 'votingNotOpen');
+    revealImposter(ctx);
+  },
+
+  submitLastChanceGuess: (ctx, { playerId, guessText }) => {
+    const { room } = ctx;
+    const { lastChance } = room.gameState;
+    if (!lastChance || lastChance.status !== 'guessing') {
+      throw new EventError(ERROR_CODES.WRONG_PHASE, 'noLastChanceOpen');
+    }
+    if (playerId !== lastChance.imposterId) {
+      throw new EventError(ERROR_CODES.NOT_IN_ROOM, 'onlyCaughtImposterGuesses');
+    }
+
+    const sanitizedGuess = guessText.trim().substring(0, 200);
+    lastChance.guess = sanitizedGuess;
+    lastChance.status = 'judging';
+    ctx.emit(room.roomCode, 'lastChanceGuess', { roomCode: room.roomCode, guess: sanitizedGuess, judge: lastChance.judge });
+    return { guess: sanitizedGuess };
+  },
+
+  judgeLastChance: (ctx, { playerId, accepted }) => {
+    const { room } = ctx;
+    const player = requirePlayer(room, playerId);
+    const { lastChance } = room.gameState;
+    if (!lastChance || lastChance.status !== 'judging') {
+      throw new EventError(ERROR_CODES.WRONG_PHASE, 'noGuessToJudge');
+    }
+    if (room.gameState.imposterIds.includes(player.id)) { // Imposters can't judge the guess
+      throw new EventError(ERROR_CODES.NOT_IN_ROOM, 'impostersCannotJudge');
+    }
+
+    if (lastChance.judge === 'host') {
+      if (!player.isCreator) {
+        throw new EventError(ERROR_CODES.NOT_HOST, 'onlyHostJudges');
+      }
+      lastChance.judgements[player.id] = accepted;
+      finishLastChance(ctx, accepted);
+    } else {
+      lastChance.judgements[player.id] = accepted;
+      checkGroupJudgement(ctx);
+    }
+  },
+
+  // Once per round, after the reveal. The result is the record server.js
+  // stores for the question report (see questionFeedback.js).
+  rateQuestion: (ctx, { playerId, feedback }) => {
+    const { room } = ctx;
+    const player = requirePlayer(room, playerId);
+    requirePhase(room, 'revealing', 'roundNotRevealed');
+    if (!FEEDBACK_OPTIONS.includes(feedback)) {
+      throw new EventError(ERROR_CODES.INVALID_PAYLOAD, 'invalidQuestionFeedback');
+    }
+    const { questionFeedback = {}, usedQuestionKeys, currentQuestion, revealedData } = room.gameState;
+    if (player.id in questionFeedback) {
+      throw new EventError(ERROR_CODES.ALREADY_RATED, 'alreadyRated');
+    }
+
+    room.gameState.questionFeedback = { ...questionFeedback, [player.id]: feedback };
+    const key = usedQuestionKeys[usedQuestionKeys.length - 1];
+    const { real, fake, askedAt } = currentQuestion.historyRecord;
+    return {
+      feedback,
+      record: {
+        at: ctx.now(), roomCode: room.roomCode, roundStartedAt: askedAt,
+        key, source: key.startsWith('pack:') ? 'pack' : 'bank', real, fake, feedback,
+        imposterCaught: revealedData.voided ? null : revealedData.imposterCaught
+      }
+    };
+  },
+
+  nextQuestion: (ctx, { playerId }) => {
+    const { room } = ctx;
+    requireHost(room, playerId);
+    requirePhase(room, 'revealing', 'roundNotRevealed');
+    if (room.gameState.lastChance && room.gameState.lastChance.status !== 'done') {
+      throw new EventError(ERROR_CODES.LAST_CHANCE_OPEN, 'lastChanceStillOpen');
+    }
+
+    const { roundNumber } = room.gameState;
+    const { totalQuestions } = room.settings;
+    if (roundNumber >= totalQuestions) {
+      endGame(ctx, 'gameFinished', { rounds: totalQuestions });
+      return { gameOver: true };
+    }
+    if (Object.keys(getQuestionPool(ctx)).length === 0) {
+      endGame(ctx, 'gameEndedOutOfQuestions', { round: roundNumber });
+      return { gameOver: true };
+    }
+
+    // Spectators the host promoted join at the round boundary
+    const promotedNames = promoteWaitingSpectators(room);
+    if (promotedNames.length > 0) {
+      emitRoomState(ctx);
+      sendSystemMessage(ctx, promotedNames.length > 1 ? 'playersJoinedGame' : 'playerJoinedGame', { names: promotedNames.join(', ') });
+    }
+
+    startRound(ctx, roundNumber + 1);
+    return { gameOver: false, roundNumber: roundNumber + 1 };
+  },
+
+  // Sent by server.js after removing `player` from room.players
+  playerLeft: (ctx, { player, wasKicked = false }) => {
+    handleDeparture(ctx, player, wasKicked);
+  },
+
+  // Sent by server.js after the host role moved to another player
+  hostChanged: (ctx) => {
+    ensureHostCanJudge(ctx);
+  },
+
+  // One second of the `timer` timer ('turn', 'guess' or 'lastChance')
+  tick: (ctx, { timer }) => {
+    TIMER_TICKS[timer](ctx);
+  }
+};
+
+const applyCommand = (room, command, env = {}) => {
+  const handler = COMMANDS[command.type];
+  if (!handler) throw new Error(`Unknown game command '${command.type}'`);
+
+  const events = [];
+  const copy = structuredClone(room);
+  const ctx = {
+    room: copy,
+    questions: env.questions || {},
+    random: env.random || (copy.rng ? () => nextRandom(copy.rng) : Math.random),
+    now: env.now || Date.now,
+    // Payloads are copied so later changes in the same command don't leak into earlier events
+    emit: (to, event, payload) => { events.push({ to, event, payload: structuredClone(payload) }); }
+  };
+  const result = handler(ctx, command);
+  return { room: ctx.room, events, result: result ?? null };
+};
+
+module.exports = {
+  MIN_PLAYERS,
+  applyCommand,
+  getRunningTimers,
+  requirePlayer,
+  requireHost,
+  requirePhase,
+  createPlayer,
+  promoteSpectator,
+  setMemberQuestionHistory,
+  buildRoomState,
+  buildRoundPayload,
+  buildTurnTimerTick,
+  buildGuessTimerTick,
+  buildAllAnswersPayload,
+  buildStandings,
+  tallyVotes,
+  findNumberOutliers,
+  scoreRound,
+  getImposterCount
+};
@@ -0,0 +1,141 @@
+// server/messages.js
+// Every message the server shows players, in English, by key. Payloads carry
+// the English text together with its key and parameters,
+//   { message, messageKey, messageParams }
+// so clients can show their own translation (see client/src/i18n.js) and fall
+// back to `message` for keys they don't know. Templates fill in {name} parameters.
+const MESSAGES = {
+  // --- Request errors (see EventError in errors.js) ---
+  invalidPayload: '{problem}',
+  roomNotFound: 'Room {roomCode} not found.',
+  notInRoom: 'You are not in this room.',
+  notPlaying: 'You are not playing in this room.',
+  hostOnly: 'Only the host can do that.',
+  rateLimited: "You're doing that too often. Try again in {seconds}s.",
+  joinThrottled: 'Too many failed attempts to join. Try again in {seconds}s.',
+  serverFull: 'The server is full right now. Please try again later.',
+  invalidSettings: 'Invalid settings: {problems}',
+  seatUnavailable: 'Your seat in this room is no longer available.',
+  roomLocked: 'This room is locked by the host.',
+  banned: 'You have been removed from this room by the host.',
+  spectatorsFull: 'This room has no space for more spectators.',
+  roomFull: 'This room is full ({max} players). You can still join as a spectator.',
+  playersFull: 'The room already has the maximum of {max} players.',
+  settingsLobbyOnly: 'Settings can only be changed in the lobby.',
+  packLobbyOnly: 'Question packs can only be changed in the lobby.',
+  invalidQuestionPack: '{problem}',
+  packHasNoUsableQuestions: 'The pack has no usable questions. {problems}',
+  noQuestionPack: 'This room has no question pack.',
+  cannotKick: 'You cannot kick that player.',
+  newHostMustBePlayer: 'Only another player can become the host.',
+  spectatorGone: 'That spectator is no longer here.',
+  gameInProgress: 'Game is already in progress.',
+  gameAlreadyStarted: 'The game has already started.',
+  notEnoughPlayers: 'At least {count} players are needed to start.',
+  needQuestionPack: 'Upload a question pack first, or play with the built-in questions.',
+  questionsMisconfigured: 'Error with game questions configuration.',
+  noMatchingQuestions: 'No questions match the chosen categories and rating.',
+  answeringClosed: 'Answering is closed for this round.',
+  answeringNotOpen: 'Answering is not open right now.',
+  alreadyAnswered: 'You have already submitted an answer.',
+  numberAnswerOutOfRange: 'Answer with a number from {min} to {max}.',
+  turnTimerNotRunning: 'The turn timer is not running right now.',
+  guessTimerNotRunning: 'The guess timer is not running right now.',
+  votingNotOpen: 'Voting is not open right now.',
+  invalidVoteTarget: 'You cannot vote for that player.',
+  noLastChanceOpen: 'There is no last-chance guess open.',
+  onlyCaughtImposterGuesses: 'Only the caught imposter can make this guess.',
+  noGuessToJudge: 'There is no guess waiting to be judged.',
+  impostersCannotJudge: 'Imposters cannot judge the guess.',
+  onlyHostJudges: 'Only the host judges this guess.',
+  roundNotRevealed: 'The current round has not been revealed yet.',
+  lastChanceStillOpen: "Wait for the imposter's last-chance guess to be judged.",
+  invalidQuestionFeedback: 'Rate the question as too easy, good or too hard.',
+  alreadyRated: 'You have already rated this question.',
+
+  // --- Unexpected failures, one per client event ---
+  createRoomFailed: 'Failed to create room. Please try again.',
+  joinRoomFailed: 'Failed to join room. A server error occurred.',
+  updateSettingsFailed: 'Failed to update the settings.',
+  uploadPackFailed: 'Failed to upload the question pack.',
+  removePackFailed: 'Failed to remove the question pack.',
+  exportPackFailed: 'Failed to export the question pack.',
+  startGameFailed: 'A server error occurred while starting the game.',
+  answerFailed: 'Error processing your answer.',
+  timerFailed: 'Error updating the timer.',
+  skipTimerFailed: 'Error processing skip timer request.',
+  voteFailed: 'Error processing your vote.',
+  closeVotingFailed: 'Error closing the vote.',
+  guessFailed: 'Error processing your guess.',
+  judgementFailed: 'Error processing your judgement.',
+  nextRoundFailed: 'Error starting next round.',
+  kickFailed: 'Error removing the player.',
+  transferHostFailed: 'Error changing the host.',
+  lockFailed: 'Error locking the room.',
+  promoteFailed: 'Error promoting the spectator.',
+  lobbyStateFailed: 'Error retrieving room state.',
+  gameStateFailed: 'Error retrieving current game state.',
+  leaveFailed: 'Error leaving the room.',
+  revealFailed: 'Could not reveal the imposter for this round.',
+  rateQuestionFailed: 'Error saving your rating.',
+
+  // --- System messages and notices ---
+  playerLeft: '{name} left the game.',
+  votedPlayerLeft: '{name} left - please vote again.',
+  notEnoughPlayersLeft: 'Not enough players left to keep playing.',
+  roundVoidImposterLeft: "{name} had a different question, so this round doesn't count.",
+  imposterLeft: '{name} was the imposter and left',
+  oneImposterLeft: '{name} was an imposter and left',
+  playerJoinedGame: '{names} joined the game as a player.',
+  playersJoinedGame: '{names} joined the game as players.',
+  newHost: '{name} is now the host.',
+  hostTransferred: '{host} made {name} the host.',
+  playerReconnected: '{name} reconnected.',
+  playerLostConnection: '{name} lost connection. Their seat is held for {seconds}s.',
+  nowWatching: '{name} is now watching.',
+  spectatorJoinsNextRound: '{name} will join as a player next round.',
+  playerRemoved: '{name} was removed by the host.',
+  settingsChanged: 'The host changed the game settings.',
+  packUploaded: 'The host uploaded a question pack with {count} questions.',
+  packRemoved: 'The host removed the question pack.',
+  roomLockedNotice: 'The host locked the room - nobody new can join.',
+  roomUnlockedNotice: 'The host unlocked the room.',
+  roomIdleWarning: 'This room will close in {seconds}s due to inactivity.',
+  roomIdleClosed: 'This room was closed after {minutes} minutes without activity.',
+  allPlayersLeft: 'All players have left - this room is closed.',
+  removedByHost: 'You were removed from the room by the host.',
+  removedAndBanned: 'You were removed from the room by the host and cannot rejoin.',
+  serverRestarting: 'The server is restarting - you will be reconnected automatically.',
+  disconnectedForAbuse: 'You were disconnected for sending too many requests.',
+
+  // --- Game over summaries ---
+  gameFinished: 'Game finished after {rounds} rounds.',
+  gameEndedOutOfQuestions: 'Game ended early - no questions were left after round {round}.',
+  gameEndedPlayersLeft: 'Game ended early - not enough players left after {name} left.',
+
+  // --- Admin API (see adminApi.js) ---
+  adminTokenRequired: 'A valid admin token is required.',
+  questionNotFound: "No question with key '{key}'.",
+  questionExists: "A question with key '{key}' already exists.",
+  invalidQuestion: 'The question {problem}.',
+  invalidQuestionKey: 'The key may only use letters, digits and underscores (at most 60).',
+  questionFileUnreadable: 'The question file could not be loaded ({problem}).',
+  invalidJsonBody: 'The request body is not valid JSON.',
+  serverError: 'Something went wrong on the server.'
+};
+
+// English text for `key`. Unknown keys come back as they are so a typo shows
+// up in the UI instead of crashing a handler.
+const formatMessage = (key, params = {}) => {
+  const template = MESSAGES[key];
+  if (template === undefined) {
+    console.warn(`Unknown message key: ${key}`);
+    return key;
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+// The message fields of a payload: { message, messageKey, messageParams }
+const buildMessage = (key, params = {}) => ({ message: formatMessage(key, params), messageKey: key, messageParams: params });
+
+module.exports = { MESSAGES, formatMessage, buildMessage };
@@ -0,0 +1,163 @@
+// server/questionBank.js
+// Loads the question bank and picks the part of it a room plays with.
+// data/questions.json looks like
+//   {
+//     "categories": { "food": "Food & Drink", ... },
+//     "questions": {
+//       "pizza_topping": { "real": "...", "fake": "...", "category": "food",
+//                          "tags": ["opinions"], "rating": "family", "answerType": "text" },
+//       "work_hours":    { ..., "answerType": "number", "min": 0, "max": 80 }
+//     }
+//   }
+// Number questions carry the range every answer must fall in. Any question may
+// carry translations, e.g. "translations": { "es": { "real": "...", "fake": "..." } };
+// rooms playing in a language a pair isn't translated to get it in English.
+// The old format - a flat map of key -> [real, fake] - still loads; its pairs
+// land in DEFAULT_CATEGORY, rated 'adult' and answered with text. Either way
+// the bank becomes { questions: { key: entry }, categories: { id: label } }.
+const fs = require('fs');
+
+// Content ratings, mildest first. A room set to a rating plays every question up to it.
+const RATINGS = ['family', 'adult'];
+const ANSWER_TYPES = ['text', 'number'];
+const DEFAULT_CATEGORY = 'general';
+const DEFAULT_NUMBER_RANGE = { min: 0, max: 100 };
+// Languages a room can play in; `real` / `fake` are always in the first
+const LANGUAGES = ['en', 'es'];
+const QUESTION_KEY_PATTERN = /^[a-z0-9_]{1,60}$/i; // Pack keys ('pack:1') can never match
+
+const labelFromId = (id) => id.charAt(0).toUpperCase() + id.slice(1).replace(/[_-]+/g, ' ');
+
+const normalizeTranslations = (raw) => {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('translations must be an object');
+  const translations = {};
+  Object.entries(raw).forEach(([language, text]) => {
+    if (!LANGUAGES.slice(1).includes(language)) throw new Error(`translations must be for: ${LANGUAGES.slice(1).join(', ')}`);
+    const { real, fake } = text || {};
+    if (typeof real !== 'string' || !real.trim() || typeof fake !== 'string' || !fake.trim()) {
+      throw new Error(`has an incomplete '${language}' translation`);
+    }
+    translations[language] = { real: real.trim(), fake: fake.trim() };
+  });
+  return translations;
+};
+
+// Turns one raw entry into { real, fake, category, tags, rating, answerType },
+// plus { min, max } for number questions and `translations` when it has any.
+// Entries without a rating get the least restrictive one: only pairs tagged
+// 'family' reach family rooms. Throws with a readable reason when the entry can't be used.
+const normalizeEntry = (raw) => {
+  if (Array.isArray(raw)) {
+    if (raw.length !== 2) throw new Error('needs exactly two questions, [real, fake]');
+    raw = { real: raw[0], fake: raw[1] };
+  }
+  if (raw === null || typeof raw !== 'object') throw new Error('must be [real, fake] or an object');
+
+  const { real, fake, category = DEFAULT_CATEGORY, tags = [], rating = RATINGS[RATINGS.length - 1], answerType = ANSWER_TYPES[0] } = raw;
+  if (typeof real !== 'string' || !real.trim()) throw new Error('has no real question');
+  if (typeof fake !== 'string' || !fake.trim()) throw new Error('has no fake question');
+  if (typeof category !== 'string' || !category.trim()) throw new Error('has an empty category');
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) throw new Error('tags must be a list of strings');
+  if (!RATINGS.includes(rating)) throw new Error(`rating must be one of: ${RATINGS.join(', ')}`);
+  if (!ANSWER_TYPES.includes(answerType)) throw new Error(`answerType must be one of: ${ANSWER_TYPES.join(', ')}`);
+
+  const entry = { real: real.trim(), fake: fake.trim(), category: category.trim(), tags, rating, answerType };
+  if (answerType === 'number') {
+    const { min = DEFAULT_NUMBER_RANGE.min, max = DEFAULT_NUMBER_RANGE.max } = raw;
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) throw new Error('needs a number range with min below max');
+    Object.assign(entry, { min, max });
+  }
+  if (raw.translations !== undefined) entry.translations = normalizeTranslations(raw.translations);
+  return entry;
+};
+
+// Returns { questions, categories, errors }. Broken entries are skipped and
+// reported in `errors` so one typo doesn't take the whole bank down.
+const normalizeQuestionBank = (raw) => {
+  const isNewFormat = raw && typeof raw.questions === 'object' && !Array.isArray(raw.questions);
+  const rawQuestions = isNewFormat ? raw.questions : raw;
+  const questions = {};
+  const errors = [];
+
+  Object.entries(rawQuestions || {}).forEach(([key, entry]) => {
+    try {
+      questions[key] = normalizeEntry(entry);
+    } catch (error) {
+      errors.push(`Question '${key}' ${error.message}.`);
+    }
+  });
+
+  // Declared categories keep their order; empty ones are left out
+  const usedCategories = new Set(Object.values(questions).map(entry => entry.category));
+  const declaredLabels = (isNewFormat && raw.categories) || {};
+  const categories = {};
+  [...new Set([...Object.keys(declaredLabels), ...usedCategories])]
+    .filter(id => usedCategories.has(id))
+    .forEach(id => { categories[id] = declaredLabels[id] || labelFromId(id); });
+  return { questions, categories, errors };
+};
+
+const loadQuestionBank = (file) => normalizeQuestionBank(JSON.parse(fs.readFileSync(file, 'utf8')));
+
+// Writes the bank in the current format. A temp file is written first so a crash
+// mid-write never leaves a truncated bank. Returns the text that was written.
+const saveQuestionBank = (file, { questions, categories }) => {
+  const content = `${JSON.stringify({ categories, questions }, null, 2)}\n`;
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, content);
+  fs.renameSync(tempFile, file);
+  return content;
+};
+
+// Bank entries as [{ key, ...entry }], optionally narrowed down. `search` matches
+// the key or either question, case-insensitively.
+const searchQuestions = (questions, { search = '', category, rating, tag } = {}) => {
+  const needle = search.trim().toLowerCase();
+  return Object.entries(questions)
+    .filter(([key, entry]) => !needle || [key, entry.real, entry.fake].some(text => text.toLowerCase().includes(needle)))
+    .filter(([, entry]) => !category || entry.category === category)
+    .filter(([, entry]) => !rating || entry.rating === rating)
+    .filter(([, entry]) => !tag || entry.tags.includes(tag))
+    .map(([key, entry]) => ({ key, ...entry }));
+};
+
+// The pair's { real, fake } in `language`, falling back to the original
+const localizeQuestion = (entry, language) => entry.translations?.[language] || { real: entry.real, fake: entry.fake };
+
+// Keys of the questions a room with `settings` may draw: its chosen categories
+// (none chosen = every category) up to its content rating.
+const filterQuestionKeys = (questions, settings) => {
+  const categories = settings.categories || [];
+  const maxRating = RATINGS.indexOf(settings.rating || RATINGS[RATINGS.length - 1]);
+  return Object.keys(questions).filter(key => {
+    const entry = questions[key];
+    return (categories.length === 0 || categories.includes(entry.category))
+      && RATINGS.indexOf(entry.rating) <= maxRating;
+  });
+};
+
+// What the clients need to offer categories and show how many questions a choice leaves:
+// [{ id, label, tags, counts: { family: n, adult: n } }]
+const summarizeCategories = ({ questions, categories }) =>
+  Object.entries(categories).map(([id, label]) => {
+    const entries = Object.values(questions).filter(entry => entry.category === id);
+    const counts = Object.fromEntries(RATINGS.map(rating => [rating, entries.filter(e => e.rating === rating).length]));
+    const tags = [...new Set(entries.flatMap(entry => entry.tags))].sort();
+    return { id, label, tags, counts };
+  });
+
+module.exports = {
+  RATINGS,
+  ANSWER_TYPES,
+  LANGUAGES,
+  DEFAULT_CATEGORY,
+  QUESTION_KEY_PATTERN,
+  normalizeEntry,
+  normalizeQuestionBank,
+  loadQuestionBank,
+  saveQuestionBank,
+  localizeQuestion,
+  searchQuestions,
+  filterQuestionKeys,
+  summarizeCategories
+};
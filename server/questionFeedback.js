@@ -0,0 +1,106 @@
+// server/questionFeedback.js
+// What players thought of the pair they just played, for tuning the question bank.
+// After a reveal each player can call the pair too easy, good or too hard (the
+// engine's rateQuestion command); server.js appends the result to a local file,
+// one JSON object per line:
+//   { at, roomCode, roundStartedAt, key, source, real, fake, feedback, imposterCaught }
+// `roundStartedAt` and `roomCode` identify the round, so the report counts each
+// round's catch once however many players rated it. `imposterCaught` is null for
+// rounds that were voided. scripts/questionReport.js and GET /admin/questions/report
+// rank the pairs with buildFeedbackReport.
+const fs = require('fs');
+const path = require('path');
+
+const FEEDBACK_OPTIONS = ['tooEasy', 'good', 'tooHard'];
+const DEFAULT_FEEDBACK_FILE = path.join(__dirname, 'storage', 'question-feedback.jsonl');
+
+// Share of rounds caught / votes cast above which a pair counts as too easy (or,
+// mirrored, too hard)
+const CATCH_RATE_LIMIT = 0.75;
+const VOTE_SHARE_LIMIT = 0.5;
+
+// `file` may be empty to turn storing off.
+const createFeedbackStore = (file) => {
+  const record = (entry) => {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.error('Failed to store question feedback:', error);
+    }
+  };
+
+  // Lines that aren't valid JSON (e.g. cut short by a crash) are skipped
+  const read = () => {
+    if (!file || !fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  };
+
+  return { record, read };
+};
+
+const share = (count, total) => (total > 0 ? count / total : null);
+
+// 'tooEasy' | 'tooHard' | 'ok', or 'needsData' below `minRounds` rounds. The
+// votes decide first; the catch rate only when the votes don't lean the other way.
+const judgePair = ({ rounds, catchRate, votes }, minRounds) => {
+  if (rounds < minRounds) return 'needsData';
+  const easyShare = share(votes.tooEasy, votes.total) ?? 0;
+  const hardShare = share(votes.tooHard, votes.total) ?? 0;
+  if (easyShare >= VOTE_SHARE_LIMIT || (catchRate !== null && catchRate >= CATCH_RATE_LIMIT && easyShare >= hardShare)) return 'tooEasy';
+  if (hardShare >= VOTE_SHARE_LIMIT || (catchRate !== null && catchRate <= 1 - CATCH_RATE_LIMIT && hardShare >= easyShare)) return 'tooHard';
+  return 'ok';
+};
+
+// One row per pair (matched by its text, so renamed keys keep their history):
+//   { key, source, real, fake, inBank, rounds, catchRate, votes: { tooEasy, good, tooHard, total }, verdict }
+// `key` is the pair's current key in `questions` when it is still there.
+// Sorted from the most obvious pair (highest catch rate, most "too easy" votes)
+// to the hardest; pairs without a catch rate go last.
+const buildFeedbackReport = (entries, { questions = {}, minRounds = 1 } = {}) => {
+  const pairs = new Map();
+  entries.forEach(entry => {
+    if (typeof entry?.real !== 'string' || typeof entry.fake !== 'string' || !FEEDBACK_OPTIONS.includes(entry.feedback)) return;
+    const pairId = JSON.stringify([entry.real, entry.fake]);
+    if (!pairs.has(pairId)) {
+      pairs.set(pairId, { key: entry.key, source: entry.source, real: entry.real, fake: entry.fake, rounds: new Map(), votes: { tooEasy: 0, good: 0, tooHard: 0, total: 0 } });
+    }
+    const pair = pairs.get(pairId);
+    pair.key = entry.key; // The latest key it was played under
+    pair.source = entry.source;
+    pair.rounds.set(`${entry.roomCode}:${entry.roundStartedAt}`, entry.imposterCaught ?? null);
+    pair.votes[entry.feedback] += 1;
+    pair.votes.total += 1;
+  });
+
+  const rows = [...pairs.values()].map(({ rounds, ...pair }) => {
+    const bankKey = Object.keys(questions).find(key => questions[key].real === pair.real && questions[key].fake === pair.fake);
+    const outcomes = [...rounds.values()].filter(caught => caught !== null);
+    const row = {
+      ...pair,
+      key: bankKey || pair.key,
+      inBank: Boolean(bankKey),
+      rounds: rounds.size,
+      catchRate: share(outcomes.filter(Boolean).length, outcomes.length)
+    };
+    return { ...row, verdict: judgePair(row, minRounds) };
+  });
+
+  const easiness = (row) => share(row.votes.tooEasy - row.votes.tooHard, row.votes.total) ?? 0;
+  return rows.sort((a, b) =>
+    (b.catchRate ?? -1) - (a.catchRate ?? -1) || easiness(b) - easiness(a) || b.rounds - a.rounds);
+};
+
+module.exports = {
+  FEEDBACK_OPTIONS,
+  DEFAULT_FEEDBACK_FILE,
+  createFeedbackStore,
+  buildFeedbackReport
+};
@@ -0,0 +1,135 @@
+// server/questionPack.js
+// Custom question packs a host uploads for one room. A pack is pasted or uploaded
+// as JSON or CSV and kept in the room as room.questionPack = { questions: { key: entry } }
+// with entries in the question bank's shape (see questionBank.js), so it is saved,
+// shared and logged with the room and disappears with it.
+//   CSV:  one "real,fake" pair per line; an optional "real,fake" header line is skipped.
+//         Fields with commas, quotes or line breaks go in double quotes ("" for a quote).
+//   JSON: a list of [real, fake] pairs or { real, fake, rating?, answerType?, min?, max?, tags? }
+//         objects, or a question bank file (its categories are ignored).
+const { normalizeEntry } = require('./questionBank');
+
+const PACK_FORMATS = ['json', 'csv'];
+const PACK_CATEGORY = 'custom';
+const MAX_PACK_QUESTIONS = 200;
+const MAX_PACK_CONTENT_LENGTH = 100000;
+const MAX_QUESTION_LENGTH = 300;
+
+// Splits CSV text into rows of fields, with each row's 1-based line number
+const parseCsvRows = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) rows.push({ line: rowLine, fields: row });
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') { field += '"'; i += 1; }
+      else if (char === '"') { inQuotes = false; }
+      else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) throw new Error(`Line ${rowLine} has an unclosed quote.`);
+  endRow();
+  return rows;
+};
+
+// Both formats become [{ row, raw }], `row` being what the host sees in error messages
+const readCsv = (content) => {
+  const rows = parseCsvRows(content);
+  const [first] = rows;
+  if (first && first.fields.map(value => value.trim().toLowerCase()).join(',') === 'real,fake') rows.shift();
+  return rows.map(({ line, fields }) => ({
+    row: `Line ${line}`,
+    raw: fields.length === 2 ? fields : new Error(`needs exactly two columns (real, fake), found ${fields.length}`)
+  }));
+};
+
+const readJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`The pack is not valid JSON (${error.message}).`);
+  }
+  if (Array.isArray(data)) return data.map((raw, i) => ({ row: `Item ${i + 1}`, raw }));
+  const questions = data && typeof data.questions === 'object' && !Array.isArray(data.questions) ? data.questions : data;
+  if (!questions || typeof questions !== 'object') throw new Error('The pack must be a list of questions or a question bank.');
+  return Object.entries(questions).map(([key, raw]) => ({ row: `'${key}'`, raw }));
+};
+
+const duplicateKey = ({ real, fake }) => `${real}\n${fake}`.toLowerCase().replace(/\s+/g, ' ');
+
+// Parses pack text. Returns { questions, errors } where errors is [{ row, message }]
+// for every row that was skipped, duplicates included. Throws when the text as a
+// whole can't be read.
+const parseQuestionPack = (format, content) => {
+  if (!PACK_FORMATS.includes(format)) throw new Error(`The pack format must be one of: ${PACK_FORMATS.join(', ')}.`);
+  if (content.length > MAX_PACK_CONTENT_LENGTH) throw new Error(`The pack must be at most ${MAX_PACK_CONTENT_LENGTH} characters.`);
+  const rows = format === 'csv' ? readCsv(content) : readJson(content);
+
+  const questions = {};
+  const errors = [];
+  const seen = new Map(); // duplicate key -> row it first appeared in
+  rows.forEach(({ row, raw }) => {
+    try {
+      if (raw instanceof Error) throw raw;
+      const entry = { ...normalizeEntry(raw), category: PACK_CATEGORY };
+      if (entry.real.length > MAX_QUESTION_LENGTH || entry.fake.length > MAX_QUESTION_LENGTH) {
+        throw new Error(`has a question longer than ${MAX_QUESTION_LENGTH} characters`);
+      }
+      if (entry.real.toLowerCase() === entry.fake.toLowerCase()) throw new Error('has the same real and fake question');
+      const key = duplicateKey(entry);
+      if (seen.has(key)) throw new Error(`repeats ${seen.get(key)}`);
+      if (Object.keys(questions).length >= MAX_PACK_QUESTIONS) throw new Error(`is over the limit of ${MAX_PACK_QUESTIONS} questions`);
+      seen.set(key, row);
+      questions[`pack:${Object.keys(questions).length + 1}`] = entry; // Can't clash with bank keys
+    } catch (error) {
+      errors.push({ row, message: `${row} ${error.message}.` });
+    }
+  });
+  return { questions, errors };
+};
+
+const csvField = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// The pack as text the host can upload again later
+const exportQuestionPack = (pack, format) => {
+  const entries = Object.values(pack.questions);
+  if (format === 'csv') {
+    return ['real,fake', ...entries.map(({ real, fake }) => `${csvField(real)},${csvField(fake)}`)].join('\n') + '\n';
+  }
+  return `${JSON.stringify(entries.map(({ real, fake, tags, rating, answerType, min, max }) => ({ real, fake, tags, rating, answerType, min, max })), null, 2)}\n`;
+};
+
+module.exports = {
+  PACK_FORMATS,
+  PACK_CATEGORY,
+  MAX_PACK_CONTENT_LENGTH,
+  parseQuestionPack,
+  exportQuestionPack
+};
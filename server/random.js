@@ -0,0 +1,31 @@
+// server/random.js
+// Seedable random numbers for rooms, so a game's question and imposter picks can
+// be reproduced from its seed. The generator's whole state is one 32-bit number
+// kept in the room as room.rng = { seed, state }, so it is saved, shared and
+// logged like any other room field.
+const crypto = require('crypto');
+
+// FNV-1a: turns a seed string into the generator's starting state
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+const generateSeed = () => crypto.randomBytes(8).toString('hex');
+
+const createRng = (seed = generateSeed()) => ({ seed: String(seed), state: hashSeed(seed) });
+
+// mulberry32: advances rng.state and returns a number in [0, 1), like Math.random()
+const nextRandom = (rng) => {
+  rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+  let t = rng.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+module.exports = { createRng, generateSeed, nextRandom };
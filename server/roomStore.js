@@ -0,0 +1,97 @@
+// server/roomStore.js
+// Room storage behind one async interface, so rooms can live outside a single
+// server process:
+//   get(roomCode)      -> room object or null
+//   save(room)         -> stores the room under room.roomCode
+//   delete(roomCode)
+//   list()             -> array of room codes
+//   lock(roomCode, fn) -> runs fn (sync or async) while nobody else holds the room
+// Rooms are plain data (see server.js), so they round-trip through JSON as-is.
+const { v4: uuidv4 } = require('uuid');
+
+const KEY_PREFIX = 'whoIsFake';
+const LOCK_TTL_MS = 10000;    // A lock held by a crashed process expires after this
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000; // Give up waiting for another holder after this
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs callers for the same key one after another within this process.
+const createLocalMutex = () => {
+  const queues = new Map(); // key: lock key, value: promise that settles when the last queued caller is done
+  return (key, fn) => {
+    const previous = queues.get(key) || Promise.resolve();
+    const result = previous.then(() => fn());
+    const done = result.then(() => {}, () => {});
+    queues.set(key, done);
+    done.then(() => { if (queues.get(key) === done) queues.delete(key); });
+    return result;
+  };
+};
+
+// Keeps rooms in the given object (server.js's `rooms`), i.e. inside this process.
+const createMemoryRoomStore = (rooms) => {
+  const withLock = createLocalMutex();
+  return {
+    shared: false,
+    get: async (roomCode) => rooms[roomCode] || null,
+    save: async (room) => { rooms[room.roomCode] = room; },
+    delete: async (roomCode) => { delete rooms[roomCode]; },
+    list: async () => Object.keys(rooms),
+    lock: (roomCode, fn) => withLock(roomCode, fn)
+  };
+};
+
+// Keeps rooms in Redis (a connected node-redis v4 client) so every server process sees them.
+// Locks are Redis keys set with NX and an expiry; callers in this process queue locally first.
+// `options` can shorten the lock timings (tests).
+const createRedisRoomStore = (client, { lockTtlMs = LOCK_TTL_MS, lockTimeoutMs = LOCK_TIMEOUT_MS } = {}) => {
+  const roomKey = (roomCode) => `${KEY_PREFIX}:room:${roomCode}`;
+  const lockKey = (roomCode) => `${KEY_PREFIX}:lock:${roomCode}`;
+  const roomSetKey = `${KEY_PREFIX}:rooms`;
+  const withLocalLock = createLocalMutex();
+
+  const acquireLock = async (roomCode) => {
+    const token = uuidv4();
+    const deadline = Date.now() + lockTimeoutMs;
+    while (Date.now() < deadline) {
+      if (await client.set(lockKey(roomCode), token, { NX: true, PX: lockTtlMs })) return token;
+      await sleep(LOCK_RETRY_MS);
+    }
+    throw new Error(`Timed out waiting for the lock on room ${roomCode}`);
+  };
+
+  // Only delete the lock if it is still ours - it may have expired and been taken over
+  const releaseLock = async (roomCode, token) => {
+    if (await client.get(lockKey(roomCode)) === token) {
+      await client.del(lockKey(roomCode));
+    }
+  };
+
+  return {
+    shared: true,
+    get: async (roomCode) => {
+      const json = await client.get(roomKey(roomCode));
+      return json ? JSON.parse(json) : null;
+    },
+    save: async (room) => {
+      await client.set(roomKey(room.roomCode), JSON.stringify(room));
+      await client.sAdd(roomSetKey, room.roomCode);
+    },
+    delete: async (roomCode) => {
+      await client.del(roomKey(roomCode));
+      await client.sRem(roomSetKey, roomCode);
+    },
+    list: () => client.sMembers(roomSetKey),
+    lock: (roomCode, fn) => withLocalLock(roomCode, async () => {
+      const token = await acquireLock(roomCode);
+      try {
+        return await fn();
+      } finally {
+        await releaseLock(roomCode, token);
+      }
+    })
+  };
+};
+
+module.exports = { createMemoryRoomStore, createRedisRoomStore };
@@ -0,0 +1,213 @@
+// server/scripts/localRedis.js
+// A small in-memory stand-in for Redis, so the shared room store and the
+// Socket.IO Redis adapter can be tried locally without installing Redis:
+//
+//   npm run local-redis                                     (listens on LOCAL_REDIS_PORT, default 6379)
+//   REDIS_URL=redis://localhost:6379 PORT=3001 npm start
+//   REDIS_URL=redis://localhost:6379 PORT=3002 npm start
+//
+// It only understands the commands the server uses: string GET/SET (with NX/XX
+// and expiry), DEL, the set commands, and pub/sub. Data is lost when it stops.
+// Use a real Redis in production.
+const net = require('net');
+
+const PORT = parseInt(process.env.LOCAL_REDIS_PORT, 10) || 6379;
+
+const strings = new Map();            // key: string, value: { value: Buffer, expiresAt: number | null }
+const sets = new Map();               // key: string, value: Set of strings
+const channelSubscribers = new Map(); // key: channel, value: Set of connections
+const patternSubscribers = new Map(); // key: glob pattern, value: Set of connections
+
+// --- RESP2 replies ---
+const simpleString = (text) => Buffer.from(`+${text}\r\n`);
+const errorReply = (text) => Buffer.from(`-ERR ${text}\r\n`);
+const integer = (value) => Buffer.from(`:${value}\r\n`);
+const bulkString = (value) => {
+  if (value === null) return Buffer.from('$-1\r\n');
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${data.length}\r\n`), data, Buffer.from('\r\n')]);
+};
+const arrayReply = (items) => Buffer.concat([Buffer.from(`*${items.length}\r\n`), ...items]);
+
+// Parses one command (an array of bulk strings) starting at `offset`.
+// Returns { args, next } or null when the buffer doesn't hold the whole command yet.
+const parseCommand = (buffer, offset) => {
+  if (buffer[offset] !== 0x2a) throw new Error('expected a RESP array'); // '*'
+  let lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const count = parseInt(buffer.toString('utf8', offset + 1, lineEnd), 10);
+  let position = lineEnd + 2;
+  const args = [];
+  for (let i = 0; i < count; i += 1) {
+    lineEnd = buffer.indexOf('\r\n', position);
+    if (lineEnd === -1) return null;
+    const length = parseInt(buffer.toString('utf8', position + 1, lineEnd), 10);
+    const start = lineEnd + 2;
+    if (buffer.length < start + length + 2) return null;
+    args.push(buffer.subarray(start, start + length));
+    position = start + length + 2;
+  }
+  return { args, next: position };
+};
+
+const readString = (key) => {
+  const entry = strings.get(key);
+  if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    strings.delete(key);
+    return null;
+  }
+  return entry || null;
+};
+
+const globToRegExp = (pattern) => new RegExp(`^${pattern
+  .split('')
+  .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+  .join('')}$`);
+
+const publish = (channel, message) => {
+  let receivers = 0;
+  (channelSubscribers.get(channel) || new Set()).forEach(connection => {
+    connection.write(arrayReply([bulkString('message'), bulkString(channel), bulkString(message)]));
+    receivers += 1;
+  });
+  patternSubscribers.forEach((connections, pattern) => {
+    if (!globToRegExp(pattern).test(channel)) return;
+    connections.forEach(connection => {
+      connection.write(arrayReply([bulkString('pmessage'), bulkString(pattern), bulkString(channel), bulkString(message)]));
+      receivers += 1;
+    });
+  });
+  return receivers;
+};
+
+const subscriptionCount = (connection) => connection.channels.size + connection.patterns.size;
+
+// (Un)subscribes `connection` and writes one confirmation per channel or pattern
+const updateSubscriptions = (connection, kind, names, subscribe) => {
+  const registry = kind === 'pattern' ? patternSubscribers : channelSubscribers;
+  const own = kind === 'pattern' ? connection.patterns : connection.channels;
+  const replyName = `${subscribe ? '' : 'un'}${kind === 'pattern' ? 'psubscribe' : 'subscribe'}`;
+  const targets = names.length > 0 || subscribe ? names : [...own];
+
+  targets.forEach(name => {
+    if (subscribe) {
+      if (!registry.has(name)) registry.set(name, new Set());
+      registry.get(name).add(connection);
+      own.add(name);
+    } else {
+      registry.get(name)?.delete(connection);
+      if (registry.get(name)?.size === 0) registry.delete(name);
+      own.delete(name);
+    }
+    connection.write(arrayReply([bulkString(replyName), bulkString(name), integer(subscriptionCount(connection))]));
+  });
+};
+
+const runCommand = (connection, args) => {
+  const command = args[0].toString().toUpperCase();
+  const text = args.slice(1).map(arg => arg.toString());
+
+  switch (command) {
+    case 'PING':
+      return simpleString('PONG');
+    case 'CLIENT':
+    case 'SELECT':
+      return simpleString('OK');
+    case 'QUIT':
+      connection.end(simpleString('OK'));
+      return null;
+    case 'GET': {
+      const entry = readString(text[0]);
+      return bulkString(entry ? entry.value : null);
+    }
+    case 'SET': {
+      const [key] = text;
+      const options = text.slice(2).map(option => option.toUpperCase());
+      const exists = readString(key) !== null;
+      if ((options.includes('NX') && exists) || (options.includes('XX') && !exists)) return bulkString(null);
+      let expiresAt = null;
+      const pxIndex = options.indexOf('PX');
+      const exIndex = options.indexOf('EX');
+      if (pxIndex !== -1) expiresAt = Date.now() + parseInt(text[pxIndex + 3], 10);
+      if (exIndex !== -1) expiresAt = Date.now() + parseInt(text[exIndex + 3], 10) * 1000;
+      strings.set(key, { value: Buffer.from(args[2]), expiresAt });
+      return simpleString('OK');
+    }
+    case 'DEL':
+      return integer(text.filter(key => {
+        const existed = readString(key) !== null || sets.has(key);
+        strings.delete(key);
+        sets.delete(key);
+        return existed;
+      }).length);
+    case 'SADD': {
+      if (!sets.has(text[0])) sets.set(text[0], new Set());
+      const members = sets.get(text[0]);
+      const added = text.slice(1).filter(member => !members.has(member));
+      added.forEach(member => members.add(member));
+      return integer(added.length);
+    }
+    case 'SREM': {
+      const members = sets.get(text[0]) || new Set();
+      const removed = text.slice(1).filter(member => members.delete(member));
+      if (members.size === 0) sets.delete(text[0]);
+      return integer(removed.length);
+    }
+    case 'SMEMBERS':
+      return arrayReply([...(sets.get(text[0]) || [])].map(bulkString));
+    case 'PUBLISH':
+      return integer(publish(text[0], args[2]));
+    case 'SUBSCRIBE':
+    case 'UNSUBSCRIBE':
+      updateSubscriptions(connection, 'channel', text, command === 'SUBSCRIBE');
+      return null;
+    case 'PSUBSCRIBE':
+    case 'PUNSUBSCRIBE':
+      updateSubscriptions(connection, 'pattern', text, command === 'PSUBSCRIBE');
+      return null;
+    case 'PUBSUB': {
+      if (text[0].toUpperCase() !== 'NUMSUB') return errorReply(`unsupported PUBSUB subcommand '${text[0]}'`);
+      return arrayReply(text.slice(1).flatMap(channel => [
+        bulkString(channel),
+        integer(channelSubscribers.get(channel)?.size || 0)
+      ]));
+    }
+    default:
+      return errorReply(`unknown command '${command}' (this is only a local stand-in for Redis)`);
+  }
+};
+
+const server = net.createServer(connection => {
+  connection.channels = new Set();
+  connection.patterns = new Set();
+  let pending = Buffer.alloc(0);
+
+  connection.on('data', chunk => {
+    pending = Buffer.concat([pending, chunk]);
+    let offset = 0;
+    try {
+      let parsed = parseCommand(pending, offset);
+      while (parsed) {
+        const reply = runCommand(connection, parsed.args);
+        if (reply) connection.write(reply);
+        offset = parsed.next;
+        parsed = offset < pending.length ? parseCommand(pending, offset) : null;
+      }
+    } catch (error) {
+      connection.end(errorReply(error.message));
+      return;
+    }
+    pending = pending.subarray(offset);
+  });
+
+  const forgetConnection = () => {
+    connection.channels.forEach(channel => channelSubscribers.get(channel)?.delete(connection));
+    connection.patterns.forEach(pattern => patternSubscribers.get(pattern)?.delete(connection));
+  };
+  connection.on('close', forgetConnection);
+  connection.on('error', forgetConnection);
+});
+
+server.listen(PORT, () => {
+  console.log(`Local Redis stand-in listening on port ${PORT}`);
+});
@@ -0,0 +1,78 @@
+// server/scripts/questionReport.js
+// Ranks the question pairs by how often the imposter was caught and how players
+// rated them after the reveal (see questionFeedback.js), to find the pairs in
+// data/questions.json worth pruning or tuning:
+//
+//   npm run question-report -- [path/to/feedback.jsonl] [--min-rounds <n>] [--questions <file>] [--json]
+//
+// Most obvious pairs come first. Pairs played in fewer than --min-rounds rounds
+// (default 3) are listed but not judged. --json prints the rows as JSON instead.
+// Without a file the report reads QUESTION_FEEDBACK_FILE.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_FEEDBACK_FILE, createFeedbackStore, buildFeedbackReport } = require('../questionFeedback');
+const { loadQuestionBank } = require('../questionBank');
+
+const USAGE = 'Usage: npm run question-report -- [path/to/feedback.jsonl] [--min-rounds <n>] [--questions <file>] [--json]';
+
+const VERDICT_LABELS = { tooEasy: 'TOO EASY', tooHard: 'TOO HARD', ok: 'ok', needsData: 'needs data' };
+
+const parseArgs = (argv) => {
+  const options = {
+    file: process.env.QUESTION_FEEDBACK_FILE || DEFAULT_FEEDBACK_FILE,
+    minRounds: 3,
+    json: false,
+    questionsFile: path.join(__dirname, '..', 'data', 'questions.json')
+  };
+  let fileGiven = false;
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--min-rounds') { options.minRounds = parseInt(argv[i += 1], 10); }
+    else if (arg === '--questions') { options.questionsFile = argv[i += 1]; }
+    else if (arg === '--json') { options.json = true; }
+    else if (!fileGiven) { options.file = arg; fileGiven = true; }
+    else { throw new Error(`Unexpected argument '${arg}'`); }
+  }
+  if (!Number.isInteger(options.minRounds) || options.minRounds < 1) throw new Error('--min-rounds needs a positive number');
+  return options;
+};
+
+const percent = (value) => (value === null ? '  -' : `${Math.round(value * 100)}%`.padStart(4));
+
+const describeRow = (row) => {
+  const { votes } = row;
+  const name = row.inBank ? row.key : `${row.key} (${row.source === 'pack' ? 'pack' : 'no longer in the bank'})`;
+  return [
+    `${VERDICT_LABELS[row.verdict].padEnd(10)} caught ${percent(row.catchRate)} of ${row.rounds} round(s)`,
+    `easy/good/hard ${votes.tooEasy}/${votes.good}/${votes.tooHard}`,
+    `${name}: "${row.real}" / "${row.fake}"`
+  ].join('  ');
+};
+
+const main = () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(2);
+  }
+
+  if (!fs.existsSync(options.file)) {
+    console.error(`No question feedback at ${options.file}`);
+    process.exit(2);
+  }
+  const { questions } = loadQuestionBank(options.questionsFile);
+  const rows = buildFeedbackReport(createFeedbackStore(options.file).read(), { questions, minRounds: options.minRounds });
+
+  if (options.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  console.log(`${rows.length} pair(s) rated in ${options.file}, most obvious first:\n`);
+  rows.forEach(row => console.log(describeRow(row)));
+  const flagged = rows.filter(row => row.verdict === 'tooEasy' || row.verdict === 'tooHard').length;
+  console.log(`\n${flagged} pair(s) flagged as too easy or too hard.`);
+};
+
+main();
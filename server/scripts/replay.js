@@ -0,0 +1,102 @@
+// server/scripts/replay.js
+// Rebuilds a game from its event log (see eventLog.js), for debugging and for
+// settling "was that fair?" questions:
+//
+//   npm run replay -- <roomCode | path/to/log.jsonl> [--until <seq>] [--ticks] [--questions <file>]
+//
+// Prints every step with the events it sent, the question and imposters of each
+// round, and flags any step where the replayed room no longer matches the log.
+// --until stops after that entry and prints the rebuilt room as JSON.
+// --ticks also lists the timer ticks that only count down.
+// Room codes are looked up in EVENT_LOG_DIR. Closed rooms' logs are archived
+// there as <roomCode>-<closedAt>.jsonl; pass those by path.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_EVENT_LOG_DIR, readEventLog, replayEventLog, logFilePath } = require('../eventLog');
+const { loadQuestionBank } = require('../questionBank');
+
+const USAGE = 'Usage: npm run replay -- <roomCode | path/to/log.jsonl> [--until <seq>] [--ticks] [--questions <file>]';
+
+const parseArgs = (argv) => {
+  const options = { target: null, until: null, ticks: false, questionsFile: path.join(__dirname, '..', 'data', 'questions.json') };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--until') { options.until = parseInt(argv[i += 1], 10); }
+    else if (arg === '--ticks') { options.ticks = true; }
+    else if (arg === '--questions') { options.questionsFile = argv[i += 1]; }
+    else if (!options.target) { options.target = arg; }
+    else { throw new Error(`Unexpected argument '${arg}'`); }
+  }
+  if (!options.target) throw new Error('Missing room code or log file');
+  if (options.until !== null && !Number.isInteger(options.until)) throw new Error('--until needs an entry number');
+  return options;
+};
+
+const resolveLogFile = (target) => {
+  if (fs.existsSync(target)) return target;
+  return logFilePath(process.env.EVENT_LOG_DIR || DEFAULT_EVENT_LOG_DIR, target.toUpperCase());
+};
+
+const playerName = (room, playerId) => room.players.find(p => p.id === playerId)?.name || playerId;
+
+const describeStep = (entry, { room, events, error, matches }) => {
+  const time = new Date(entry.at).toISOString();
+  if (entry.kind === 'snapshot') {
+    const names = room.players.map(p => p.name).join(', ');
+    return `#${entry.seq} ${time} snapshot: ${room.gameState.status}, round ${room.gameState.roundNumber}, players: ${names}`;
+  }
+
+  const { type, ...details } = entry.command;
+  const args = Object.keys(details).length > 0 ? ` ${JSON.stringify(details)}` : '';
+  const times = entry.repeat > 1 ? ` x${entry.repeat}` : '';
+  const outcome = error
+    ? `rejected (${error.code}: ${error.message})`
+    : [...new Set(events.map(e => e.event))].join(', ') || 'no events';
+  const lines = [`#${entry.seq} ${time} ${type}${args}${times} -> ${outcome}`];
+
+  if (events.some(e => e.event === 'newRound')) {
+    const { roundNumber, currentQuestion, imposterIds } = room.gameState;
+    lines.push(`    round ${roundNumber}: "${currentQuestion.real}" / "${currentQuestion.fake}"`);
+    lines.push(`    imposters: ${imposterIds.map(id => playerName(room, id)).join(', ')}`);
+  }
+  if (!matches) {
+    lines.push('    !! replayed room differs from the log here - was the question bank or the engine changed?');
+  }
+  return lines.join('\n');
+};
+
+const main = () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(2);
+  }
+
+  const logFile = resolveLogFile(options.target);
+  if (!fs.existsSync(logFile)) {
+    console.error(`No event log at ${logFile}`);
+    process.exit(2);
+  }
+  const { questions } = loadQuestionBank(options.questionsFile);
+  const entries = readEventLog(logFile).filter(entry => options.until === null || entry.seq <= options.until);
+  console.log(`Replaying ${entries.length} entries from ${logFile}`);
+
+  let mismatches = 0;
+  const room = replayEventLog(entries, questions, (entry, step) => {
+    if (!step.matches) mismatches += 1;
+    const quietTick = entry.command?.type === 'tick' && step.events.every(e => e.event.endsWith('Tick'));
+    if (quietTick && !options.ticks && step.matches) return;
+    console.log(describeStep(entry, step));
+  });
+
+  if (options.until !== null) {
+    console.log(`\nRoom after entry #${options.until}:`);
+    console.log(JSON.stringify(room, null, 2));
+  }
+  console.log(mismatches === 0 ? '\nReplay matches the log.' : `\n${mismatches} step(s) differ from the log.`);
+  process.exit(mismatches === 0 ? 0 : 1);
+};
+
+main();
@@ -6,6 +6,21 @@ const cors = require('cors'); // Import the CORS middleware
 const { v4: uuidv4 } = require('uuid'); // Import UUID generator
 const fs = require('fs');
 const path = require('path'); // To handle file paths correctly
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createMemoryRoomStore, createRedisRoomStore } = require('./roomStore');
+const { ERROR_CODES, EventError } = require('./errors');
+const { buildMessage } = require('./messages');
+const { createRng } = require('./random');
+const { DEFAULT_EVENT_LOG_DIR, createEventLog } = require('./eventLog');
+const { FEEDBACK_OPTIONS, DEFAULT_FEEDBACK_FILE, createFeedbackStore } = require('./questionFeedback');
+const { RATINGS, LANGUAGES, loadQuestionBank, saveQuestionBank, summarizeCategories } = require('./questionBank');
+const { PACK_FORMATS, MAX_PACK_CONTENT_LENGTH, parseQuestionPack, exportQuestionPack } = require('./questionPack');
+const { createAdminRouter } = require('./adminApi');
+const {
+  applyCommand, getRunningTimers, requirePlayer, requireHost, requirePhase, createPlayer, promoteSpectator,
+  setMemberQuestionHistory, buildRoomState, buildRoundPayload, buildTurnTimerTick, buildGuessTimerTick, buildAllAnswersPayload, buildStandings
+} = require('./gameEngine');
 
 // --- Configuration ---
 const PORT = process.env.PORT || 3001; // Port for the backend server
@@ -33,549 +48,1465 @@ const io = new Server(server, {
 });
 
 // ==============================================================
-// --- In-Memory Storage for Rooms ---
+// --- Room Storage ---
 // ==============================================================
+// Handlers work on `rooms`, but the room store (see roomStore.js) is the source
+// of truth: withRoom() locks a room, loads it into `rooms`, runs the handler and
+// saves the result. By default the store is `rooms` itself; with REDIS_URL set
+// it is shared by every server process (see startServer at the bottom).
 const rooms = {};
+let roomStore = createMemoryRoomStore(rooms);
+
+// Runs `fn` while holding the room's lock, with rooms[roomCode] freshly loaded.
+// Whatever `fn` leaves in rooms[roomCode] is saved (or deleted) afterwards.
+// `fn` must not call withRoom for the same room - locks aren't re-entrant.
+// Pass `engineOnly` when `fn` changes the room only through runGameCommand;
+// otherwise the event log is told the room may change outside the engine.
+const withRoom = async (roomCode, fn, { engineOnly = false } = {}) => {
+  if (!roomCode) return fn();
+  return roomStore.lock(roomCode, async () => {
+    const stored = await roomStore.get(roomCode);
+    if (stored) { rooms[roomCode] = stored; } else { delete rooms[roomCode]; }
+    if (stored && !engineOnly) { eventLog.markChanged(stored); }
+    try {
+      return await fn();
+    } finally {
+      if (rooms[roomCode]) {
+        await roomStore.save(rooms[roomCode]);
+      } else if (stored) {
+        await roomStore.delete(roomCode);
+      }
+      // Other processes may change a shared room at any time, so don't keep a stale copy
+      if (roomStore.shared) { delete rooms[roomCode]; }
+    }
+  });
+};
 
 // Helper function to generate a short, somewhat unique room code
 const generateRoomCode = () => {
   return uuidv4().substring(0, 6).toUpperCase();
 };
 
+// Players take part in rounds; spectators only watch (see Spectators in gameEngine.js).
+const findMember = (room, memberId) =>
+  room.players.find(p => p.id === memberId) || room.spectators.find(s => s.id === memberId);
+
 // ==============================================================
 // --- Question Bank Loading ---
 // ==============================================================
-let questionsData = {};
+// See questionBank.js for the file format (the old flat format still loads).
+// The bank is reloaded whenever the file changes - by hand or through the admin
+// API (see adminApi.js) - so edits reach new rounds without a restart. A file
+// that fails to load leaves the previous bank in place. Rounds already started
+// keep their question's text (see usedQuestions in gameEngine.js).
+const QUESTIONS_FILE = process.env.QUESTIONS_FILE || path.join(__dirname, 'data', 'questions.json'); // Assume data folder is sibling to server.js
+const QUESTIONS_RELOAD_DELAY_MS = 200; // Editors often write a file in several steps
+let questionBank = { questions: {}, categories: {}, errors: [] };
+let lastWrittenQuestions = null; // Our own writes don't need reloading
+let questionsWatcher = null;
+
+// Reads QUESTIONS_FILE into `questionBank`. Throws (keeping the old bank) when it can't be read.
+const reloadQuestionBank = (reason) => {
+    const loaded = loadQuestionBank(QUESTIONS_FILE);
+    loaded.errors.forEach(problem => console.warn(`Skipping a question: ${problem}`));
+    questionBank = loaded;
+    console.log(`Successfully loaded ${Object.keys(questionBank.questions).length} question pairs in ${Object.keys(questionBank.categories).length} categories (${reason}).`);
+    return questionBank;
+};
+
+// Writes a changed bank (admin API) and uses it straight away
+const replaceQuestionBank = (bank) => {
+    lastWrittenQuestions = saveQuestionBank(QUESTIONS_FILE, bank);
+    questionBank = bank;
+};
+
+// Watches the directory rather than the file: saving by rename replaces the file,
+// which would end a watch on the file itself.
+const watchQuestionBank = () => {
+    let reloadTimeout = null;
+    try {
+        questionsWatcher = fs.watch(path.dirname(QUESTIONS_FILE), (eventType, filename) => {
+            if (filename !== path.basename(QUESTIONS_FILE)) return;
+            clearTimeout(reloadTimeout);
+            reloadTimeout = setTimeout(() => {
+                try {
+                    if (fs.readFileSync(QUESTIONS_FILE, 'utf8') === lastWrittenQuestions) return;
+                    reloadQuestionBank('file changed');
+                } catch (error) {
+                    console.error(`!!! Failed to reload ${QUESTIONS_FILE} - keeping the previous questions:`, error.message);
+                }
+            }, QUESTIONS_RELOAD_DELAY_MS);
+        });
+    } catch (error) {
+        console.error(`Not watching ${QUESTIONS_FILE} for changes:`, error.message);
+    }
+};
+
 try {
-    const questionsPath = path.join(__dirname, 'data', 'questions.json'); // Assume data folder is sibling to server.js
-    const rawData = fs.readFileSync(questionsPath);
-    questionsData = JSON.parse(rawData);
-    console.log(`Successfully loaded ${Object.keys(questionsData).length} question pairs.`);
+    reloadQuestionBank('startup');
 } catch (error) {
     console.error("!!! Failed to load questions.json:", error);
-    console.error("!!! Ensure 'data/questions.json' exists relative to server.js and is valid JSON.");
-    questionsData = {}; // Ensure it's an empty object if loading fails
+    console.error(`!!! Ensure '${QUESTIONS_FILE}' exists and is valid JSON.`);
 }
-const allQuestionKeys = Object.keys(questionsData); // Get all question keys once
+watchQuestionBank();
+
+// Players' "too easy / good / too hard" ratings of each pair after its reveal,
+// with whether the imposter was caught (see questionFeedback.js).
+// QUESTION_FEEDBACK_FILE='' stops storing them.
+const QUESTION_FEEDBACK_FILE = process.env.QUESTION_FEEDBACK_FILE ?? DEFAULT_FEEDBACK_FILE;
+const questionFeedback = createFeedbackStore(QUESTION_FEEDBACK_FILE);
 // --- End Load Questions ---
 
 
+// ==============================================================
+// --- Game Settings Defaults ---
+// ==============================================================
+// Late answer policies for when the turn timer reaches zero:
+//   'strict' - close answering immediately
+//   'grace'  - keep accepting answers for `lateAnswerGrace` seconds, then close
+//   'wait'   - keep waiting until everyone answers or the host closes answering
+const LATE_ANSWER_POLICIES = ['strict', 'grace', 'wait'];
+
+// Who decides whether a caught imposter's last-chance guess is close enough:
+//   'host'  - the room creator accepts or rejects it
+//   'group' - every other player judges; a majority of judgements accepts it
+const LAST_CHANCE_JUDGES = ['host', 'group'];
+
+// How many imposters a round gets:
+//   'fixed'  - always `imposterCount`
+//   'scaled' - one imposter per `playersPerImposter` players (rounded down, at least one)
+// Either way at least one player must get the real question.
+const IMPOSTER_MODES = ['fixed', 'scaled'];
+
+// Who gets to be imposter (see pickImposterIds in gameEngine.js):
+//   'random'   - everyone has the same odds every round
+//   'weighted' - recent imposters are less likely to be picked again
+//   'rotation' - everyone gets a turn before anyone repeats
+const IMPOSTER_SELECTIONS = ['random', 'weighted', 'rotation'];
+
+// Which questions a room draws from (see getQuestionPool in gameEngine.js):
+//   questionSource - 'bank' (built-in questions), 'pack' (the room's uploaded pack) or 'mixed'
+//   categories     - ids from the question bank; an empty list means every category
+//   rating         - 'family' for family-friendly questions only, 'adult' for everything
+//   language       - the language questions are asked in, where a translation exists
+// Categories and rating only narrow down the built-in questions.
+const QUESTION_SOURCES = ['bank', 'pack', 'mixed'];
+
+const DEFAULT_SETTINGS = {
+  turnTimer: 30,
+  guessTimer: 300,
+  totalQuestions: 10,
+  lateAnswerPolicy: 'grace',
+  lateAnswerGrace: 15,
+  scoringEnabled: true,
+  lastChanceEnabled: false,
+  lastChanceSeconds: 30,
+  lastChanceJudge: 'host',
+  imposterMode: 'fixed',
+  imposterSelection: 'random',
+  imposterCount: 1,
+  playersPerImposter: 5,
+  impostersKnowEachOther: false,
+  questionSource: 'bank',
+  categories: [],
+  rating: 'adult',
+  language: 'en'
+};
+
+// How each setting is checked. Integers must fall within [min, max]; the client
+// mirrors these bounds in gameSettings.js. Lists may only hold the values their
+// `values()` returns at the time.
+const SETTING_RULES = {
+  turnTimer:              { type: 'int', min: 5, max: 600 },
+  guessTimer:             { type: 'int', min: 10, max: 1800 },
+  totalQuestions:         { type: 'int', min: 1, max: 50 },
+  lateAnswerPolicy:       { type: 'enum', values: LATE_ANSWER_POLICIES },
+  lateAnswerGrace:        { type: 'int', min: 0, max: 300 },
+  scoringEnabled:         { type: 'bool' },
+  lastChanceEnabled:      { type: 'bool' },
+  lastChanceSeconds:      { type: 'int', min: 5, max: 300 },
+  lastChanceJudge:        { type: 'enum', values: LAST_CHANCE_JUDGES },
+  imposterMode:           { type: 'enum', values: IMPOSTER_MODES },
+  imposterSelection:      { type: 'enum', values: IMPOSTER_SELECTIONS },
+  imposterCount:          { type: 'int', min: 1, max: 10 },
+  playersPerImposter:     { type: 'int', min: 2, max: 20 },
+  impostersKnowEachOther: { type: 'bool' },
+  questionSource:         { type: 'enum', values: QUESTION_SOURCES },
+  categories:             { type: 'list', values: () => Object.keys(questionBank.categories) },
+  rating:                 { type: 'enum', values: RATINGS },
+  language:               { type: 'enum', values: LANGUAGES }
+};
+
+// Checks a (partial) settings object against SETTING_RULES and merges it over `base`.
+// Unknown keys are ignored. Returns { settings, errors: [string] }; `settings`
+// is only meaningful when `errors` is empty.
+const validateSettings = (input, base) => {
+  const settings = { ...base };
+  const errors = [];
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { settings, errors: ['Settings must be an object.'] };
+  }
+  Object.keys(SETTING_RULES).forEach(key => {
+    if (!(key in input)) return;
+    const rule = SETTING_RULES[key];
+    const value = input[key];
+    if (rule.type === 'int') {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (!Number.isInteger(number) || number < rule.min || number > rule.max) {
+        errors.push(`${key} must be a whole number from ${rule.min} to ${rule.max}.`);
+        return;
+      }
+      settings[key] = number;
+    } else if (rule.type === 'bool') {
+      if (typeof value !== 'boolean') { errors.push(`${key} must be true or false.`); return; }
+      settings[key] = value;
+    } else if (rule.type === 'enum') {
+      if (!rule.values.includes(value)) { errors.push(`${key} must be one of: ${rule.values.join(', ')}.`); return; }
+      settings[key] = value;
+    } else if (rule.type === 'list') {
+      const allowed = rule.values();
+      if (!Array.isArray(value) || value.some(item => !allowed.includes(item))) {
+        errors.push(`${key} must be a list of: ${allowed.join(', ')}.`);
+        return;
+      }
+      settings[key] = [...new Set(value)];
+    }
+  });
+  return { settings, errors };
+};
+
+
+// ==============================================================
+// --- Game Engine & Server-Side Timers ---
+// ==============================================================
+// The game rules live in gameEngine.js. runGameCommand applies a command to a
+// room, sends the resulting events and keeps the room's timers in step with its
+// phase. Remaining time and pause state live in room.gameState; the interval
+// handles are kept here so the room object itself stays plain data.
+// Every command and its outcome goes to the room's event log (see eventLog.js);
+// EVENT_LOG_DIR='' turns the log off.
+const TIMER_TICK_MS = 1000;
+const TIMER_NAMES = ['turn', 'guess', 'lastChance'];
+const roomTimers = {}; // key: roomCode, value: { turn: intervalId, guess: intervalId, lastChance: intervalId }
+const EVENT_LOG_DIR = process.env.EVENT_LOG_DIR ?? DEFAULT_EVENT_LOG_DIR;
+const eventLog = createEventLog(EVENT_LOG_DIR);
+
+const stopTimer = (roomCode, timerName) => {
+  const handles = roomTimers[roomCode];
+  if (handles && handles[timerName]) {
+    clearInterval(handles[timerName]);
+    handles[timerName] = null;
+  }
+};
+
+// A timer still counting down means the game is moving, so its ticks count as
+// room activity (see touchRoom) - a 30-minute guess timer mustn't outlast the idle
+// limit. Paused timers and the open-ended wait once a turn timer has run out
+// (lateAnswerPolicy 'wait') don't count, so abandoned games still close.
+const isCountingDown = (room, timerName) => {
+  const timer = timerName === 'lastChance' ? room.gameState.lastChance : room.gameState[`${timerName}Timer`];
+  return Boolean(timer) && !timer.isPaused && timer.remaining > 0;
+};
+
+// Sends a 'tick' command for the room's `timerName` timer every TIMER_TICK_MS,
+// under the room's lock. `timerHeartbeat` records that some process is still
+// ticking the room (see adoptStalledTimers). Every tick can change the room, so it is queued for saving.
+const runRoomTimer = (roomCode, timerName) => {
+  roomTimers[roomCode] = roomTimers[roomCode] || {};
+  if (rooms[roomCode]) { rooms[roomCode].gameState.timerHeartbeat = Date.now(); }
+  roomTimers[roomCode][timerName] = setInterval(() => {
+    withRoom(roomCode, () => {
+      if (!rooms[roomCode]) { stopTimer(roomCode, timerName); return; }
+      rooms[roomCode].gameState.timerHeartbeat = Date.now();
+      const countingDown = isCountingDown(rooms[roomCode], timerName);
+      runGameCommand(roomCode, { type: 'tick', timer: timerName });
+      if (countingDown && rooms[roomCode]) { touchRoom(rooms[roomCode]); }
+    }, { engineOnly: true }).then(markRoomsChanged, (error) => {
+      console.error(`Error ticking ${timerName} timer in room [${roomCode}]:`, error);
+    });
+  }, TIMER_TICK_MS);
+};
+
+const clearRoomTimers = (roomCode) => {
+  TIMER_NAMES.forEach(timerName => stopTimer(roomCode, timerName));
+  delete roomTimers[roomCode];
+};
+
+// Starts an interval for each timer that runs in `after` but didn't in `before`
+// and stops the ones that no longer run. Pausing or extending a timer doesn't
+// restart its interval. Returns true if any timer was started.
+const syncRoomTimers = (roomCode, before, after) => {
+  const wasRunning = before ? getRunningTimers(before) : {};
+  const running = after ? getRunningTimers(after) : {};
+  let started = false;
+  TIMER_NAMES.forEach(timerName => {
+    if (running[timerName] && !wasRunning[timerName]) {
+      stopTimer(roomCode, timerName);
+      runRoomTimer(roomCode, timerName);
+      started = true;
+    } else if (!running[timerName]) {
+      stopTimer(roomCode, timerName);
+    }
+  });
+  return started;
+};
+
+// Applies a game engine command to rooms[roomCode], logs it and sends the resulting events.
+// The engine throws an EventError (leaving the room unchanged) when the command isn't allowed.
+// The whole command sees one clock reading, so a replay can give it the same one.
+const runGameCommand = (roomCode, command) => {
+  const before = rooms[roomCode];
+  const at = Date.now();
+  let outcome;
+  try {
+    outcome = applyCommand(before, command, { questions: questionBank.questions, now: () => at });
+  } catch (error) {
+    eventLog.record(before, before, at, command, { error: { code: error.code || ERROR_CODES.SERVER_ERROR, message: error.message } });
+    throw error;
+  }
+  const { room, events, result } = outcome;
+  eventLog.record(before, room, at, command, { events, result });
+  rooms[roomCode] = room;
+  events.forEach(({ to, event, payload }) => io.to(to).emit(event, payload));
+
+  const eventNames = [...new Set(events.map(({ event }) => event).filter(event => !event.endsWith('Tick')))];
+  if (command.type !== 'tick' || eventNames.length > 0) {
+    console.log(`Room [${roomCode}] ${command.type}: ${eventNames.join(', ') || 'no events'}`);
+  }
+  syncRoomTimers(roomCode, before, room);
+  return result;
+};
+
+// For announcements from outside the engine (joins, kicks, settings, expiry...)
+const sendSystemMessage = (roomCode, messageKey, messageParams) => {
+  const notice = buildMessage(messageKey, messageParams);
+  io.to(roomCode).emit('systemMessage', { roomCode, ...notice, timestamp: Date.now() });
+  console.log(`System message to room [${roomCode}]: ${notice.message}`);
+};
+
+
+// ==============================================================
+// --- Host Moderation ---
+// ==============================================================
+// Kicks can ban the player from rejoining by name, or by "session" - the
+// clientId of the browser they joined from (see issueSession).
+const BAN_MODES = ['none', 'name', 'session'];
+
+const isBanned = (room, playerName, clientId) => {
+  const name = (playerName || '').trim().toLowerCase();
+  return room.bans.names.includes(name) || (clientId !== null && room.bans.clientIds.includes(clientId));
+};
+
+// Detaches every socket of a member from the room, so they stop receiving its events.
+// Sockets on other server processes leave through the adapter.
+const detachMemberSockets = (roomCode, memberId) => {
+  const socketIds = io.sockets.adapter.rooms.get(memberId) || new Set();
+  [...socketIds].forEach(socketId => {
+    const memberSocket = io.sockets.sockets.get(socketId);
+    if (!memberSocket) return;
+    memberSocket.data.roomCode = null;
+    memberSocket.data.playerId = null;
+  });
+  io.in(memberId).socketsLeave([roomCode, memberId]);
+};
+
+
+// ==============================================================
+// --- Player Sessions & Reconnection ---
+// ==============================================================
+// Players have a stable id that is independent of their socket. On createRoom /
+// joinRoom each player also gets a secret session token; a client that
+// reconnects (refresh, locked phone, network blip) sends it with joinRoom to
+// reclaim its seat. A disconnected player's seat is held for RECONNECT_GRACE_MS.
+// Every socket joins a Socket.IO room named after its player id, so
+// io.to(player.id) reaches the player's current socket. Sessions live in the
+// room (room.sessions) so they are shared along with it.
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS, 10) || 120000;
+const disconnectTimers = {}; // key: playerId, value: timeoutId for removing the seat (this process only)
+
+const createSpectator = (name) => ({
+  id: uuidv4(),
+  name,
+  isSpectator: true,
+  connected: true,
+  joinNextRound: false // Set when the host promotes them mid-game
+});
+
+// `clientId` is a per-browser id the client keeps in localStorage; bans "by session" use it.
+const issueSession = (room, playerId, clientId = null) => {
+  const sessionToken = uuidv4();
+  room.sessions[sessionToken] = { playerId, clientId };
+  return sessionToken;
+};
+
+const attachSocketToPlayer = (socket, roomCode, playerId) => {
+  socket.data.roomCode = roomCode;
+  socket.data.playerId = playerId;
+  socket.join(roomCode);
+  socket.join(playerId);
+};
+
+const cancelSeatRemoval = (playerId) => {
+  if (disconnectTimers[playerId]) {
+    clearTimeout(disconnectTimers[playerId]);
+    delete disconnectTimers[playerId];
+  }
+};
+
+// Frees the seat unless the player reconnects within RECONNECT_GRACE_MS.
+// The player may reconnect through another server process, so the room is
+// checked again when the timer fires.
+const scheduleSeatRemoval = (roomCode, playerId, playerName) => {
+  cancelSeatRemoval(playerId);
+  disconnectTimers[playerId] = setTimeout(() => {
+    delete disconnectTimers[playerId];
+    withRoom(roomCode, () => {
+      const member = rooms[roomCode] ? findMember(rooms[roomCode], playerId) : null;
+      if (!member || member.connected || Date.now() - member.disconnectedAt < RECONNECT_GRACE_MS) return;
+      console.log(`Reconnect grace period over for ${playerName} in room [${roomCode}]`);
+      removePlayer(roomCode, playerId);
+    }).catch(error => console.error(`Error freeing the seat of ${playerName} in room [${roomCode}]:`, error));
+  }, RECONNECT_GRACE_MS);
+};
+
+// Permanently removes a player from a room (grace period over, they left on purpose or were kicked).
+const removePlayer = (roomCode, playerId, wasKicked = false) => {
+  cancelSeatRemoval(playerId);
+  markRoomsChanged();
+
+  const room = rooms[roomCode];
+  if (!room) return;
+  Object.keys(room.sessions).forEach(token => {
+    if (room.sessions[token].playerId === playerId) { delete room.sessions[token]; }
+  });
+  setMemberQuestionHistory(room, playerId, []);
+  const spectatorIndex = room.spectators.findIndex(s => s.id === playerId);
+  if (spectatorIndex !== -1) {
+    console.log(`Spectator ${room.spectators[spectatorIndex].name} left room [${roomCode}]`);
+    room.spectators.splice(spectatorIndex, 1);
+    io.to(roomCode).emit('updateRoomState', buildRoomState(room));
+    return;
+  }
+  const playerIndex = room.players.findIndex(p => p.id === playerId);
+  if (playerIndex === -1) return;
+
+  const removedPlayer = room.players[playerIndex];
+  console.log(`${removedPlayer.name} left room [${roomCode}]`);
+  room.players.splice(playerIndex, 1);
+
+  if (room.players.length === 0) {
+    console.log(`Room [${roomCode}] is now empty and closing.`);
+    closeRoom(roomCode, 'allPlayersLeft');
+    return;
+  }
+
+  // Assign new creator if needed - prefer someone who is still connected
+  if (removedPlayer.isCreator) {
+    const newCreator = room.players.find(p => p.connected) || room.players[0];
+    newCreator.isCreator = true;
+    console.log(`Assigned ${newCreator.name} as new creator for room [${roomCode}]`);
+    sendSystemMessage(roomCode, 'newHost', { name: newCreator.name });
+  }
+  // Notify remaining players
+  io.to(roomCode).emit('updateRoomState', buildRoomState(room));
+  runGameCommand(roomCode, { type: 'playerLeft', player: removedPlayer, wasKicked });
+};
+
+// Re-sends everything a (re)connecting player needs to rebuild the current phase,
+// using the same events the client already handles during normal play.
+const sendGameSnapshot = (socket, room, player) => {
+  const { status, currentQuestion, answers, votes, lastChance } = room.gameState;
+  const { roomCode } = room;
+
+  if (status === 'lobby') {
+    socket.emit('updateRoomState', buildRoomState(room));
+    return;
+  }
+  if (status === 'gameover') {
+    socket.emit('gameOver', { roomCode, summary: room.gameState.summary });
+    return;
+  }
+  if (!currentQuestion) return;
+
+  const turnTimerRemaining = room.gameState.turnTimer?.remaining ?? room.settings.turnTimer;
+  socket.emit('newRound', {
+    ...buildRoundPayload(room, player, turnTimerRemaining),
+    myAnswer: answers[player.id] ?? null
+  });
+  if (status === 'playing') {
+    if (room.gameState.turnTimer) { socket.emit('turnTimerTick', buildTurnTimerTick(room)); }
+    return;
+  }
+
+  socket.emit('allAnswersIn', buildAllAnswersPayload(room));
+  if (status === 'guessing') {
+    if (room.gameState.guessTimer) { socket.emit('guessTimerTick', buildGuessTimerTick(room)); }
+    return;
+  }
+  if (status === 'voting') {
+    socket.emit('votingStarted', { roomCode, players: room.players, myVote: player.id in votes ? votes[player.id] : undefined });
+    return;
+  }
+
+  // 'revealing'
+  socket.emit('reveal', room.gameState.revealedData);
+  const lastRound = room.gameState.roundHistory[room.gameState.roundHistory.length - 1];
+  if (room.settings.scoringEnabled && lastRound && lastRound.roundNumber === room.gameState.roundNumber) {
+    socket.emit('scoreUpdate', {
+      roomCode, roundNumber: lastRound.roundNumber, roundPoints: lastRound.points, standings: buildStandings(room.players)
+    });
+  }
+  if (lastChance) {
+    socket.emit('lastChanceStarted', { roomCode, imposterId: lastChance.imposterId, remaining: lastChance.remaining, judge: lastChance.judge });
+    if (lastChance.status === 'judging') {
+      socket.emit('lastChanceGuess', { roomCode, guess: lastChance.guess, judge: lastChance.judge });
+    } else if (lastChance.status === 'done') {
+      socket.emit('lastChanceResult', { roomCode, guess: lastChance.guess, accepted: lastChance.accepted, judgements: lastChance.judgements });
+    }
+  }
+};
+
+
+// ==============================================================
+// --- Room Expiry & Housekeeping ---
+// ==============================================================
+// Rooms close when their last player leaves, but abandoned lobbies, stalled
+// games and finished games would otherwise stay in memory forever. A sweeper
+// closes rooms nobody has interacted with for a while (limits differ per phase).
+// Players are warned ROOM_EXPIRY_WARNING_MS beforehand; any event resets the clock,
+// and so does every second of a timer counting down (see isCountingDown).
+const ROOM_IDLE_LIMITS_MS = {
+  lobby: parseInt(process.env.ROOM_IDLE_LOBBY_MS, 10) || 30 * 60 * 1000,
+  inGame: parseInt(process.env.ROOM_IDLE_GAME_MS, 10) || 20 * 60 * 1000,
+  finished: parseInt(process.env.ROOM_IDLE_FINISHED_MS, 10) || 10 * 60 * 1000
+};
+const ROOM_EXPIRY_WARNING_MS = parseInt(process.env.ROOM_EXPIRY_WARNING_MS, 10) || 60 * 1000;
+const ROOM_SWEEP_INTERVAL_MS = parseInt(process.env.ROOM_SWEEP_INTERVAL_MS, 10) || 30 * 1000;
+
+const getRoomPhase = (room) => {
+  if (room.gameState.status === 'lobby') return 'lobby';
+  if (room.gameState.status === 'gameover') return 'finished';
+  return 'inGame';
+};
+
+// Called whenever a member of the room successfully sends an event, and on timer ticks
+const touchRoom = (room) => {
+  room.lastActivity = Date.now();
+  room.expiryWarned = false;
+};
+
+// Deletes a room and everything tied to it: timers, held seats and socket memberships.
+const closeRoom = (roomCode, messageKey, messageParams) => {
+  const room = rooms[roomCode];
+  if (!room) return;
+
+  const notice = buildMessage(messageKey, messageParams);
+  io.to(roomCode).emit('roomClosed', { roomCode, ...notice });
+  clearRoomTimers(roomCode);
+  [...room.players, ...room.spectators].forEach(member => {
+    cancelSeatRemoval(member.id);
+    detachMemberSockets(roomCode, member.id);
+  });
+  delete rooms[roomCode];
+  eventLog.archive(roomCode);
+  markRoomsChanged();
+  console.log(`Room [${roomCode}] closed: ${notice.message}`);
+};
+
+// In shared mode, the process that ran a room's timers may have gone away
+// (deploy, crash). Timers that haven't ticked for this long are picked up by
+// whichever process sweeps the room next.
+const TIMER_STALL_MS = 5000;
+
+const adoptStalledTimers = (room) => {
+  if (Date.now() - (room.gameState.timerHeartbeat || 0) < TIMER_STALL_MS) return;
+  if (syncRoomTimers(room.roomCode, null, room)) {
+    console.log(`Took over the stalled timers of room [${room.roomCode}]`);
+  }
+};
+
+const sweepIdleRooms = async () => {
+  const now = Date.now();
+  const phaseCounts = { lobby: 0, inGame: 0, finished: 0 };
+  let playerCount = 0;
+  let spectatorCount = 0;
+  let closedCount = 0;
+
+  const roomCodes = await roomStore.list();
+  for (const roomCode of roomCodes) {
+    await withRoom(roomCode, () => {
+      const room = rooms[roomCode];
+      if (!room) return;
+      const idleFor = now - room.lastActivity;
+      const limit = ROOM_IDLE_LIMITS_MS[getRoomPhase(room)];
+      if (idleFor >= limit) {
+        closeRoom(roomCode, 'roomIdleClosed', { minutes: Math.round(limit / 60000) });
+        closedCount += 1;
+        return;
+      }
+      if (!room.expiryWarned && idleFor >= limit - ROOM_EXPIRY_WARNING_MS) {
+        room.expiryWarned = true;
+        sendSystemMessage(roomCode, 'roomIdleWarning', { seconds: Math.ceil((limit - idleFor) / 1000) });
+      }
+      if (roomStore.shared) { adoptStalledTimers(room); }
+
+      phaseCounts[getRoomPhase(room)] += 1;
+      playerCount += room.players.length;
+      spectatorCount += room.spectators.length;
+    });
+  }
+
+  const activeCount = roomCodes.length - closedCount;
+  console.log(`[sweeper] ${activeCount} room(s) active (lobby ${phaseCounts.lobby}, in game ${phaseCounts.inGame}, finished ${phaseCounts.finished}), ` +
+    `${playerCount} player(s), ${spectatorCount} spectator(s), ${io.engine.clientsCount} connection(s) to this process; closed ${closedCount} idle room(s)`);
+};
+
+setInterval(() => {
+  sweepIdleRooms().catch(error => console.error('Error sweeping idle rooms:', error));
+}, ROOM_SWEEP_INTERVAL_MS).unref();
+
+
+// ==============================================================
+// --- Room Persistence ---
+// ==============================================================
+// With the in-memory room store, rooms are written to a JSON file shortly
+// after every change and loaded again on startup, so a deploy or crash doesn't
+// end the games in progress. Restored players count as disconnected: they
+// reclaim their seat with their session token (socket.js rejoins automatically)
+// within RECONNECT_GRACE_MS. A shared room store keeps rooms by itself.
+const ROOM_STORE_FILE = process.env.ROOM_STORE_FILE || path.join(__dirname, 'storage', 'rooms.json');
+const ROOM_STORE_VERSION = 2; // 2: sessions moved into the rooms
+const ROOM_STORE_DEBOUNCE_MS = 1000; // Changes within this window are written together
+let pendingSave = null;
+let isShuttingDown = false;
+
+const saveRoomStore = () => {
+  clearTimeout(pendingSave);
+  pendingSave = null;
+  if (roomStore.shared) return;
+  try {
+    const snapshot = JSON.stringify({ version: ROOM_STORE_VERSION, savedAt: new Date().toISOString(), rooms });
+    fs.mkdirSync(path.dirname(ROOM_STORE_FILE), { recursive: true });
+    // Write a temp file first so a crash mid-write never leaves a truncated store
+    const tempFile = `${ROOM_STORE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, snapshot);
+    fs.renameSync(tempFile, ROOM_STORE_FILE);
+  } catch (error) {
+    console.error(`Failed to save rooms to ${ROOM_STORE_FILE}:`, error);
+  }
+};
+
+// Queues a save; called after anything that changes rooms
+const markRoomsChanged = () => {
+  if (pendingSave || isShuttingDown || roomStore.shared) return;
+  pendingSave = setTimeout(saveRoomStore, ROOM_STORE_DEBOUNCE_MS);
+};
+
+const loadRoomStore = () => {
+  if (!fs.existsSync(ROOM_STORE_FILE)) return;
+  try {
+    const saved = JSON.parse(fs.readFileSync(ROOM_STORE_FILE, 'utf8'));
+    if (saved.version !== ROOM_STORE_VERSION) {
+      console.warn(`Ignoring room store ${ROOM_STORE_FILE}: version ${saved.version}, expected ${ROOM_STORE_VERSION}`);
+      return;
+    }
+    Object.assign(rooms, saved.rooms);
+  } catch (error) {
+    console.error(`Failed to load rooms from ${ROOM_STORE_FILE}:`, error);
+    return;
+  }
+
+  Object.values(rooms).forEach(room => {
+    touchRoom(room); // Fresh idle window after the restart
+    [...room.players, ...room.spectators].forEach(member => {
+      member.connected = false;
+      member.disconnectedAt = Date.now();
+      scheduleSeatRemoval(room.roomCode, member.id, member.name);
+    });
+    syncRoomTimers(room.roomCode, null, room); // Restart the timers that were running
+  });
+  console.log(`Restored ${Object.keys(rooms).length} room(s) from ${ROOM_STORE_FILE}`);
+};
+
+// Deploys on Render send SIGTERM: save everything, then close the connections
+// so clients reconnect (and rejoin their rooms) once the new server is up.
+// In shared mode other processes take over this process's timers and clients.
+const shutDown = (signal) => {
+  if (isShuttingDown) return;
+  isShuttingDown = true;
+  console.log(`${signal} received - saving rooms and shutting down.`);
+
+  Object.keys(roomTimers).forEach(clearRoomTimers);
+  if (questionsWatcher) questionsWatcher.close();
+  saveRoomStore();
+  io.local.emit('serverRestarting', { ...buildMessage('serverRestarting'), timestamp: Date.now() });
+  // Give the notice a moment to reach clients before dropping the connections
+  setTimeout(async () => {
+    await eventLog.close();
+    io.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 5000).unref();
+  }, 500);
+};
+
+process.on('SIGTERM', () => shutDown('SIGTERM'));
+process.on('SIGINT', () => shutDown('SIGINT'));
+
+
+// ==============================================================
+// --- Event Payloads & Acknowledgements ---
+// ==============================================================
+// Every client event is checked against its schema before the handler runs.
+// Handlers report problems by throwing an EventError (see errors.js); the client gets
+// { ok: false, error: { code, message } } through its acknowledgement callback,
+// or { ok: true, result } once the event was handled.
+// Field rules: type ('string' | 'number' | 'boolean' | 'object' | 'array'), required,
+// nullable, maxLength (strings), oneOf (allowed values) and a label for messages.
+const ROOM_CODE_FIELD = { type: 'string', required: true, maxLength: 12, label: 'Room code' };
+const PLAYER_NAME_FIELD = { type: 'string', maxLength: 30, label: 'Name' };
+const CLIENT_ID_FIELD = { type: 'string', maxLength: 100, label: 'Client id' };
+const QUESTION_HISTORY_FIELD = { type: 'array', label: 'Question history' }; // Records are checked by the game engine
+const ROOM_ONLY_SCHEMA = { roomCode: ROOM_CODE_FIELD };
+const TIMER_EXTEND_SCHEMA = { roomCode: ROOM_CODE_FIELD, seconds: { type: 'number', label: 'Seconds' } };
+
+const EVENT_SCHEMAS = {
+  createRoom: {
+    playerName: PLAYER_NAME_FIELD,
+    settings: { type: 'object', label: 'Settings' },
+    clientId: CLIENT_ID_FIELD,
+    questionHistory: QUESTION_HISTORY_FIELD,
+    seed: { type: 'string', maxLength: 64, label: 'Seed' }
+  },
+  joinRoom: {
+    roomCode: ROOM_CODE_FIELD,
+    playerName: PLAYER_NAME_FIELD,
+    sessionToken: { type: 'string', maxLength: 100, label: 'Session token' },
+    asSpectator: { type: 'boolean', label: 'Spectator flag' },
+    clientId: CLIENT_ID_FIELD,
+    questionHistory: QUESTION_HISTORY_FIELD
+  },
+  updateSettings: { roomCode: ROOM_CODE_FIELD, settings: { type: 'object', required: true, label: 'Settings' } },
+  uploadQuestionPack: {
+    roomCode: ROOM_CODE_FIELD,
+    format: { type: 'string', required: true, oneOf: PACK_FORMATS, label: 'Format' },
+    content: { type: 'string', required: true, maxLength: MAX_PACK_CONTENT_LENGTH, label: 'Question pack' }
+  },
+  removeQuestionPack: ROOM_ONLY_SCHEMA,
+  exportQuestionPack: { roomCode: ROOM_CODE_FIELD, format: { type: 'string', required: true, oneOf: PACK_FORMATS, label: 'Format' } },
+  startGame: ROOM_ONLY_SCHEMA,
+  submitAnswer: { roomCode: ROOM_CODE_FIELD, answerText: { type: 'string', required: true, maxLength: 500, label: 'Answer' } },
+  pauseTurnTimer: ROOM_ONLY_SCHEMA,
+  resumeTurnTimer: ROOM_ONLY_SCHEMA,
+  extendTurnTimer: TIMER_EXTEND_SCHEMA,
+  skipTurnTimer: ROOM_ONLY_SCHEMA,
+  pauseGuessTimer: ROOM_ONLY_SCHEMA,
+  resumeGuessTimer: ROOM_ONLY_SCHEMA,
+  extendGuessTimer: TIMER_EXTEND_SCHEMA,
+  skipGuessTimer: ROOM_ONLY_SCHEMA,
+  castVote: { roomCode: ROOM_CODE_FIELD, targetId: { type: 'string', nullable: true, maxLength: 100, label: 'Vote' } },
+  closeVoting: ROOM_ONLY_SCHEMA,
+  submitLastChanceGuess: { roomCode: ROOM_CODE_FIELD, guessText: { type: 'string', required: true, maxLength: 500, label: 'Guess' } },
+  judgeLastChance: { roomCode: ROOM_CODE_FIELD, accepted: { type: 'boolean', required: true, label: 'Judgement' } },
+  rateQuestion: { roomCode: ROOM_CODE_FIELD, feedback: { type: 'string', required: true, oneOf: FEEDBACK_OPTIONS, label: 'Rating' } },
+  nextQuestion: ROOM_ONLY_SCHEMA,
+  kickPlayer: {
+    roomCode: ROOM_CODE_FIELD,
+    targetId: { type: 'string', required: true, maxLength: 100, label: 'Player' },
+    ban: { type: 'string', oneOf: BAN_MODES, label: 'Ban' }
+  },
+  transferHost: { roomCode: ROOM_CODE_FIELD, targetId: { type: 'string', required: true, maxLength: 100, label: 'Player' } },
+  setRoomLocked: { roomCode: ROOM_CODE_FIELD, locked: { type: 'boolean', required: true, label: 'Locked' } },
+  promoteSpectator: { roomCode: ROOM_CODE_FIELD, spectatorId: { type: 'string', required: true, maxLength: 100, label: 'Spectator' } },
+  getLobbyState: ROOM_ONLY_SCHEMA,
+  getGameRoundState: ROOM_ONLY_SCHEMA,
+  leaveRoom: ROOM_ONLY_SCHEMA
+};
+
+const typeOfValue = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'NaN';
+  return typeof value;
+};
+
+// Returns a readable problem with the payload, or null when it matches the schema.
+const validatePayload = (schema, payload) => {
+  if (typeOfValue(payload) !== 'object') return 'The request data is missing or malformed.';
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = payload[field];
+    const label = rule.label || field;
+    if (value === undefined || (value === null && rule.nullable)) {
+      if (rule.required) return `${label} is required.`;
+      continue;
+    }
+    if (typeOfValue(value) !== rule.type) return `${label} must be a ${rule.type}.`;
+    if (rule.type === 'string' && rule.required && !value.trim()) return `${label} cannot be empty.`;
+    if (rule.maxLength && value.length > rule.maxLength) return `${label} must be at most ${rule.maxLength} characters.`;
+    if (rule.oneOf && !rule.oneOf.includes(value)) return `${label} must be one of: ${rule.oneOf.join(', ')}.`;
+  }
+  return null;
+};
+
+// --- Lookups shared by the handlers; each throws an EventError the client can show ---
+const requireRoom = (roomCode) => {
+  const room = rooms[roomCode];
+  if (!room) throw new EventError(ERROR_CODES.ROOM_NOT_FOUND, 'roomNotFound', { roomCode });
+  return room;
+};
+
+// ==============================================================
+// --- Rate Limiting & Abuse Protection ---
+// ==============================================================
+// Every event is counted per socket and per client IP in fixed windows.
+// Limits for any event can be overridden with the RATE_LIMITS env var, e.g.
+// RATE_LIMITS='{"createRoom":{"perSocket":5,"perIp":20,"windowMs":60000}}'.
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS, 10) || 500;
+const MAX_PLAYERS_PER_ROOM = parseInt(process.env.MAX_PLAYERS_PER_ROOM, 10) || 20;
+const MAX_SPECTATORS_PER_ROOM = parseInt(process.env.MAX_SPECTATORS_PER_ROOM, 10) || 20;
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.MAX_CONNECTIONS_PER_IP, 10) || 50;
+const ABUSE_STRIKE_LIMIT = parseInt(process.env.ABUSE_STRIKE_LIMIT, 10) || 10; // Rate-limited events before the socket is dropped
+const FAILED_JOIN_LIMIT = parseInt(process.env.FAILED_JOIN_LIMIT, 10) || 10;   // Failed joins per IP within FAILED_JOIN_WINDOW_MS...
+const FAILED_JOIN_WINDOW_MS = 10 * 60 * 1000;
+const JOIN_LOCKOUT_MS = 5 * 60 * 1000;                                         // ...before joining is blocked for this long
+// Behind a proxy (Render, for one) set TRUST_PROXY=true: the last X-Forwarded-For
+// entry is then the address the proxy saw. Off by default, since a client that
+// connects directly could put any address in that header and dodge the per-IP limits.
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+const DEFAULT_RATE_LIMITS = {
+  default: { windowMs: 10 * 1000, perSocket: 40, perIp: 200 }, // Applies to each event type without its own entry
+  createRoom: { windowMs: 60 * 1000, perSocket: 5, perIp: 20 },
+  joinRoom: { windowMs: 60 * 1000, perSocket: 10, perIp: 60 },
+  uploadQuestionPack: { windowMs: 60 * 1000, perSocket: 10, perIp: 30 }
+};
+
+const loadRateLimits = () => {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.RATE_LIMITS || '{}');
+  } catch (error) {
+    console.warn(`Ignoring invalid RATE_LIMITS env var: ${error.message}`);
+  }
+  const limits = { ...DEFAULT_RATE_LIMITS };
+  Object.entries(overrides).forEach(([eventName, override]) => {
+    limits[eventName] = { ...(limits[eventName] || DEFAULT_RATE_LIMITS.default), ...override };
+  });
+  return limits;
+};
+const RATE_LIMITS = loadRateLimits();
+
+const rateCounters = new Map();     // key: 'socket:<id>:<event>' | 'ip:<ip>:<event>' | 'failedJoin:<ip>', value: { count, resetAt }
+const joinLockouts = new Map();     // key: ip, value: timestamp when joining is allowed again
+const connectionsPerIp = new Map(); // key: ip, value: open socket count
+
+const getClientIp = (socket) => {
+  const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+  if (TRUST_PROXY && forwardedFor) {
+    const addresses = forwardedFor.split(',').map(address => address.trim()).filter(Boolean);
+    if (addresses.length > 0) return addresses[addresses.length - 1];
+  }
+  return socket.handshake.address;
+};
+
+// Counts one hit against `key` and returns its counter
+const countHit = (key, windowMs) => {
+  const now = Date.now();
+  let counter = rateCounters.get(key);
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowMs };
+    rateCounters.set(key, counter);
+  }
+  counter.count += 1;
+  return counter;
+};
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+// Throws RATE_LIMITED when the socket or its IP sent this event too often
+const enforceRateLimit = (socket, eventName) => {
+  const limits = RATE_LIMITS[eventName] || RATE_LIMITS.default;
+  const socketCounter = countHit(`socket:${socket.id}:${eventName}`, limits.windowMs);
+  const ipCounter = countHit(`ip:${socket.data.ip}:${eventName}`, limits.windowMs);
+
+  const exceeded = [
+    socketCounter.count > limits.perSocket && socketCounter,
+    ipCounter.count > limits.perIp && ipCounter
+  ].filter(Boolean);
+  if (exceeded.length === 0) return;
+
+  const retryAfter = secondsUntil(Math.max(...exceeded.map(counter => counter.resetAt)));
+  throw new EventError(ERROR_CODES.RATE_LIMITED, 'rateLimited', { seconds: retryAfter });
+};
+
+// Fresh joins to room codes that don't exist count towards a per-IP lockout,
+// which makes guessing room codes impractical. Rejoins with a session token
+// don't count, even for a room that has since closed: clients resend their
+// token on every reconnect, and players sharing an address (NAT) mustn't lock
+// each other out.
+const enforceJoinLockout = (ip) => {
+  const blockedUntil = joinLockouts.get(ip);
+  if (blockedUntil && blockedUntil > Date.now()) {
+    throw new EventError(ERROR_CODES.JOIN_THROTTLED, 'joinThrottled', { seconds: secondsUntil(blockedUntil) });
+  }
+};
+
+const recordFailedJoin = (ip) => {
+  const counter = countHit(`failedJoin:${ip}`, FAILED_JOIN_WINDOW_MS);
+  if (counter.count >= FAILED_JOIN_LIMIT) {
+    joinLockouts.set(ip, Date.now() + JOIN_LOCKOUT_MS);
+    rateCounters.delete(`failedJoin:${ip}`);
+    console.warn(`Blocking joins from ${ip} for ${JOIN_LOCKOUT_MS / 1000}s after ${counter.count} failed attempts`);
+  }
+};
+
+// Each rate-limited event is a strike; too many and the socket is dropped
+const addAbuseStrike = (socket) => {
+  socket.data.strikes = (socket.data.strikes || 0) + 1;
+  if (socket.data.strikes < ABUSE_STRIKE_LIMIT) return;
+
+  console.warn(`Disconnecting ${socket.id} (${socket.data.ip}) after ${socket.data.strikes} rate limit violations`);
+  socket.emit('abuseDisconnect', { code: ERROR_CODES.ABUSE, ...buildMessage('disconnectedForAbuse') });
+  socket.disconnect(true);
+};
+
+// Drop expired counters and lockouts so the maps don't grow forever
+setInterval(() => {
+  const now = Date.now();
+  rateCounters.forEach((counter, key) => { if (counter.resetAt <= now) rateCounters.delete(key); });
+  joinLockouts.forEach((blockedUntil, ip) => { if (blockedUntil <= now) joinLockouts.delete(ip); });
+}, 60 * 1000).unref();
+
+// Refuse new connections from an IP that already holds too many
+io.use((socket, next) => {
+  const ip = getClientIp(socket);
+  if ((connectionsPerIp.get(ip) || 0) >= MAX_CONNECTIONS_PER_IP) {
+    console.warn(`Refusing connection from ${ip}: ${MAX_CONNECTIONS_PER_IP} connections already open`);
+    next(new Error('Too many connections from your network. Please try again later.'));
+    return;
+  }
+  socket.data.ip = ip;
+  next();
+});
+
+const trackConnection = (socket) => {
+  const { ip } = socket.data;
+  connectionsPerIp.set(ip, (connectionsPerIp.get(ip) || 0) + 1);
+  socket.on('disconnect', () => {
+    const remaining = (connectionsPerIp.get(ip) || 1) - 1;
+    if (remaining > 0) connectionsPerIp.set(ip, remaining); else connectionsPerIp.delete(ip);
+  });
+};
+
+
 // --- Basic Express Route ---
 app.get('/', (req, res) => {
   res.send('<h1>Game Server is Running</h1>');
 });
 
+// The categories and languages the room settings can choose from, with question counts per rating
+app.get('/questions/categories', (req, res) => {
+  res.json({ ratings: RATINGS, languages: LANGUAGES, categories: summarizeCategories(questionBank) });
+});
+
+// Question bank management, only with ADMIN_TOKEN set (see adminApi.js)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+if (ADMIN_TOKEN) {
+  app.use('/admin', createAdminRouter({
+    token: ADMIN_TOKEN,
+    bankStore: {
+      get: () => questionBank,
+      replace: replaceQuestionBank,
+      reload: () => reloadQuestionBank('admin request')
+    },
+    feedbackStore: questionFeedback
+  }));
+  console.log('Admin API enabled at /admin.');
+} else {
+  console.log('Admin API disabled - set ADMIN_TOKEN to enable it.');
+}
+
 
 // ==============================================================
 // --- Socket.IO Connection Handling ---
 // ==============================================================
 io.on('connection', (socket) => {
-  console.log(`User Connected: ${socket.id}`);
+  console.log(`User Connected: ${socket.id} (${socket.data.ip})`);
+  trackConnection(socket);
+
+  // Registers a client event. The event is rate limited and its payload
+  // validated against EVENT_SCHEMAS, then the handler runs under the lock of
+  // `roomCode` (see withRoom). Its return value (or thrown EventError) is sent
+  // back through the acknowledgement callback. Clients that don't pass a callback
+  // get failures on `errorEvent` instead. `failureKey` (see messages.js) is shown for unexpected errors.
+  // `options` go to withRoom.
+  const handle = (eventName, errorEvent, failureKey, handler, options) => {
+      socket.on(eventName, async (data, ack) => {
+          if (typeof data === 'function') { ack = data; data = undefined; }
+          const payload = data ?? {};
+          try {
+              enforceRateLimit(socket, eventName);
+              const problem = validatePayload(EVENT_SCHEMAS[eventName], payload);
+              if (problem) { throw new EventError(ERROR_CODES.INVALID_PAYLOAD, 'invalidPayload', { problem }); }
+
+              const result = await withRoom(payload.roomCode, () => {
+                  const handlerResult = handler(payload);
+                  const activeRoom = rooms[payload.roomCode];
+                  if (activeRoom && socket.data.roomCode === payload.roomCode) { touchRoom(activeRoom); }
+                  return handlerResult;
+              }, options);
+              markRoomsChanged();
+              if (typeof ack === 'function') { ack({ ok: true, result: result ?? null }); }
+          } catch (error) {
+              let failure = error;
+              if (error instanceof EventError) {
+                  console.warn(`${eventName} rejected for ${socket.id}: [${error.code}] ${error.message}`);
+              } else {
+                  console.error(`Error processing ${eventName} for room ${payload.roomCode}:`, error);
+                  failure = new EventError(ERROR_CODES.SERVER_ERROR, failureKey);
+              }
+              const response = { code: failure.code, message: failure.message, messageKey: failure.messageKey, messageParams: failure.messageParams };
+              if (typeof ack === 'function') {
+                  ack({ ok: false, error: response });
+              } else if (errorEvent) {
+                  socket.emit(errorEvent, response);
+              }
+              if (failure.code === ERROR_CODES.RATE_LIMITED) { addAbuseStrike(socket); }
+          }
+      });
+  };
 
   // --- Room Creation Logic ---
-  socket.on('createRoom', (data) => {
-    try {
-      const playerName = data.playerName || 'Creator';
-      const settings = data.settings || { turnTimer: 30, guessTimer: 300, totalQuestions: 10 };
+  // The new room gets its own lock below, as its code isn't known up front
+  handle('createRoom', 'creationError', 'createRoomFailed', async (data) => {
+    const playerName = data.playerName?.trim() || 'Creator';
+    const { settings, errors } = validateSettings(data.settings || {}, DEFAULT_SETTINGS);
+    if (errors.length > 0) {
+      throw new EventError(ERROR_CODES.INVALID_SETTINGS, 'invalidSettings', { problems: errors.join(' ') });
+    }
+    if ((await roomStore.list()).length >= MAX_ROOMS) {
+      console.warn(`createRoom refused: room limit of ${MAX_ROOMS} reached`);
+      throw new EventError(ERROR_CODES.SERVER_FULL, 'serverFull');
+    }
 
-      let roomCode = generateRoomCode();
-      while (rooms[roomCode]) {
-        roomCode = generateRoomCode();
-      }
+    let roomCode = generateRoomCode();
+    while (await roomStore.get(roomCode)) {
+      roomCode = generateRoomCode();
+    }
 
-      const creator = {
-        id: socket.id,
-        name: playerName,
-        isCreator: true,
-        hasAnswered: false // Initialize player status
-      };
+    return withRoom(roomCode, () => {
+      const creator = createPlayer(uuidv4(), playerName, true);
 
       // Create the room object with updated gameState structure
       rooms[roomCode] = {
         roomCode,
         settings,
         players: [creator],
+        spectators: [],          // Watchers - never get a question or the imposter role
+        sessions: {},            // key: sessionToken, value: { playerId, clientId } (see issueSession)
+        locked: false,           // Host can lock the room against new joins
+        bans: { names: [], clientIds: [] }, // Kicked-and-banned players (names stored lower-case)
+        lastActivity: Date.now(), // Last event from a member - the idle sweeper closes stale rooms
+        expiryWarned: false,
+        questionPack: null,      // The host's own questions, { questions: { key: entry } } (see questionPack.js)
+        questionHistory: { asked: [], members: {} }, // Pairs seen in earlier rounds and games (see pickQuestionKey in gameEngine.js)
+        rng: createRng(data.seed?.trim() || undefined), // Picks questions and imposters (see random.js)
         // --- CORRECTED gameState Initialization ---
         gameState: {
           status: 'lobby',
           roundNumber: 0,           // Use roundNumber instead of index
           usedQuestionKeys: [],     // Add array to track used questions
+          usedQuestions: {},        // key -> { real, fake } as asked, in case the bank changes mid-game
           answers: {},
-          imposterId: null,
-          currentQuestion: null,   // Holds { real: '...', fake: '...' }
-          // guessTimerTimeoutId: null, // Remove if not using server guess timer
-          // turnTimerTimeoutId: null,  // Remove if not using server turn timer
-          revealedData: null
+          votes: {},               // key: voterId, value: accused playerId (null = abstain)
+          questionFeedback: {},    // key: playerId, value: their rating of the revealed pair (see FEEDBACK_OPTIONS)
+          roundHistory: [],        // Per-round scoring breakdown, one entry per reveal
+          lastChance: null,        // Caught imposter's guess of the real question (see startLastChance in gameEngine.js)
+          imposterIds: [],         // Set of this round's imposter ids (no duplicates)
+          imposterHistory: { rounds: [], rotation: [] }, // Earlier picks, kept across games (see pickImposterIds in gameEngine.js)
+          currentQuestion: null,   // Holds { real: '...', fake: '...', answerType }
+          turnTimer: null,         // Holds { remaining, isPaused, overtime } while answering
+          guessTimer: null,        // Holds { remaining, isPaused } while guessing
+          revealedData: null,
+          summary: null            // 'gameOver' summary, kept for players who reconnect
         }
         // --- End corrected gameState ---
       };
+      const sessionToken = issueSession(rooms[roomCode], creator.id, data.clientId || null);
+      setMemberQuestionHistory(rooms[roomCode], creator.id, data.questionHistory);
 
-      socket.join(roomCode);
-      console.log(`Room [${roomCode}] created by ${playerName} (${socket.id})`);
+      attachSocketToPlayer(socket, roomCode, creator.id);
+      console.log(`Room [${roomCode}] created by ${playerName} (${creator.id}), seed ${rooms[roomCode].rng.seed}`);
 
       // Send confirmation back to the creator
       socket.emit('roomCreated', {
         roomCode,
-        players: rooms[roomCode].players,
-        settings: rooms[roomCode].settings
+        playerId: creator.id,
+        sessionToken,
+        ...buildRoomState(rooms[roomCode])
       });
-
-    } catch (error) {
-      console.error("Error creating room:", error);
-      socket.emit('creationError', { message: 'Failed to create room. Please try again.' });
-    }
+      return { roomCode, playerId: creator.id };
+    });
   });
 
   // --- Room Joining Logic ---
-  socket.on('joinRoom', (data) => {
-    try {
-      const { roomCode, playerName = 'Player' } = data;
-      const room = rooms[roomCode];
+  handle('joinRoom', 'joinError', 'joinRoomFailed', (data) => {
+    const { roomCode, sessionToken, asSpectator = false, clientId = null } = data;
+    const playerName = data.playerName?.trim() || 'Player';
+    enforceJoinLockout(socket.data.ip);
+    const room = rooms[roomCode];
+    if (!room) {
+      if (!sessionToken) { recordFailedJoin(socket.data.ip); }
+      throw new EventError(ERROR_CODES.ROOM_NOT_FOUND, 'roomNotFound', { roomCode });
+    }
 
-      // Validations
-      if (!room) {
-        socket.emit('joinError', { message: 'Room not found.' }); return;
-      }
-      if (room.gameState.status !== 'lobby') {
-        socket.emit('joinError', { message: 'Game already in progress.' }); return;
+    // --- Reclaim a seat with a session token (works in every phase) ---
+    const session = sessionToken ? room.sessions[sessionToken] : null;
+    const seat = session ? findMember(room, session.playerId) : null;
+
+    if (sessionToken && !seat) {
+      throw new EventError(ERROR_CODES.SEAT_UNAVAILABLE, 'seatUnavailable');
+    }
+
+    // New arrivals only: locked rooms and bans don't affect players reclaiming their seat
+    if (!seat) {
+      if (room.locked) {
+        throw new EventError(ERROR_CODES.ROOM_LOCKED, 'roomLocked');
       }
-      if (room.players.some(p => p.id === socket.id)) {
-          console.log(`Player ${socket.id} already in room [${roomCode}]. Rejoining.`);
-      } else {
-          const newPlayer = {
-              id: socket.id, name: playerName, isCreator: false, hasAnswered: false
-          };
-          room.players.push(newPlayer);
-          console.log(`${playerName} (${socket.id}) joined room [${roomCode}]`);
+      if (isBanned(room, playerName, clientId)) {
+        throw new EventError(ERROR_CODES.BANNED, 'banned');
       }
+    }
+    const joinsAsSpectator = asSpectator === true || room.gameState.status !== 'lobby';
+    if (!seat && joinsAsSpectator && room.spectators.length >= MAX_SPECTATORS_PER_ROOM) {
+      throw new EventError(ERROR_CODES.ROOM_FULL, 'spectatorsFull');
+    }
+    if (!seat && !joinsAsSpectator && room.players.length >= MAX_PLAYERS_PER_ROOM) {
+      throw new EventError(ERROR_CODES.ROOM_FULL, 'roomFull', { max: MAX_PLAYERS_PER_ROOM });
+    }
 
-      socket.join(roomCode);
+    let player = seat;
+    let token = sessionToken;
+    if (seat) {
+        cancelSeatRemoval(seat.id);
+        seat.connected = true;
+        console.log(`${seat.name} (${seat.id}) reconnected to room [${roomCode}]`);
+        if (room.gameState.status !== 'lobby' && !seat.isSpectator) { sendSystemMessage(roomCode, 'playerReconnected', { name: seat.name }); }
+    } else if (joinsAsSpectator) {
+        // Late arrivals watch until the host promotes them at the next round
+        player = createSpectator(playerName);
+        token = issueSession(room, player.id, clientId);
+        room.spectators.push(player);
+        console.log(`${playerName} (${player.id}) is spectating room [${roomCode}]`);
+        if (room.gameState.status !== 'lobby') { sendSystemMessage(roomCode, 'nowWatching', { name: playerName }); }
+    } else {
+        player = createPlayer(uuidv4(), playerName, false);
+        token = issueSession(room, player.id, clientId);
+        room.players.push(player);
+        console.log(`${playerName} (${player.id}) joined room [${roomCode}]`);
+    }
 
-      socket.emit('joinSuccess', {
-        roomCode, players: room.players, settings: room.settings
-      });
+    // The questions this device has seen before - sent again on every (re)join, empty when the player opted out
+    setMemberQuestionHistory(room, player.id, data.questionHistory);
+    attachSocketToPlayer(socket, roomCode, player.id);
 
-      io.to(roomCode).emit('updateRoomState', {
-        roomCode, players: room.players, settings: room.settings
-      });
-    } catch (error) {
-      console.error(`Error joining room ${data?.roomCode}:`, error);
-      socket.emit('joinError', { message: 'Failed to join room. An server error occurred.' });
-    }
+    socket.emit('joinSuccess', {
+      ...buildRoomState(room),
+      playerId: player.id, sessionToken: token, status: room.gameState.status,
+      isSpectator: player.isSpectator === true
+    });
+
+    io.to(roomCode).emit('updateRoomState', buildRoomState(room));
+    return { roomCode, playerId: player.id, status: room.gameState.status, isSpectator: player.isSpectator === true };
   });
 
 
   // =======================================================
-  // --- Start Game Logic (with Random Questions) ---
+  // --- Lobby Settings (Host Only) ---
   // =======================================================
-  socket.on('startGame', (data) => {
-    try {
-      const { roomCode } = data;
-      const room = rooms[roomCode];
-      const requestingPlayer = room?.players.find(p => p.id === socket.id);
-
-      // --- Validation ---
-      if (!room || !requestingPlayer || !requestingPlayer.isCreator || room.gameState.status !== 'lobby' || room.players.length < 2) {
-        console.warn(`StartGame validation failed for room [${roomCode}] by ${socket.id}`);
-        socket.emit('lobbyError', { message: 'Cannot start game.' });
-        return;
-      }
-      if (allQuestionKeys.length === 0 || room.settings.totalQuestions <= 0) {
-        console.error(`StartGame Error: Invalid question setup for room [${roomCode}]. Available: ${allQuestionKeys.length}, Needed: ${room.settings.totalQuestions}`);
-        socket.emit('lobbyError', { message: 'Error with game questions configuration.' });
-        return;
-      }
-      // Adjust total questions if more requested than available
-      if (room.settings.totalQuestions > allQuestionKeys.length) {
-        console.warn(`StartGame Warning: Requested ${room.settings.totalQuestions} questions, but only ${allQuestionKeys.length} available. Adjusting totalQuestions.`);
-        room.settings.totalQuestions = allQuestionKeys.length;
-      }
-      console.log(`Attempting to start game in room [${roomCode}] by ${requestingPlayer.name}`);
-
-      // --- Update Game State ---
-      room.gameState.status = 'playing'; // Set status *before* selecting question
-      room.gameState.roundNumber = 1; // First round
-      room.gameState.usedQuestionKeys = []; // Reset used keys
-      room.gameState.answers = {};
-      room.gameState.revealedData = null;
-      room.players.forEach(p => { p.hasAnswered = false; delete p.isRevealedImposter; delete p.currentAnswer; }); // Reset player status
-      // Clear timers if applicable (using timeout IDs stored in gameState)
-      // if (room.gameState.guessTimerTimeoutId) { clearTimeout(room.gameState.guessTimerTimeoutId); room.gameState.guessTimerTimeoutId = null; }
-
-      // --- Select **RANDOM UNUSED** Question ---
-      const availableKeys = allQuestionKeys.filter(key => !room.gameState.usedQuestionKeys.includes(key));
-      if (availableKeys.length === 0) {
-         console.error(`StartGame Error: No available questions left to start game?`);
-         socket.emit('lobbyError', { message: 'Error finding a question.' });
-         room.gameState.status = 'lobby'; return;
-      }
-      const randomIndex = Math.floor(Math.random() * availableKeys.length);
-      const randomKey = availableKeys[randomIndex];
-      room.gameState.usedQuestionKeys.push(randomKey); // Mark as used
-      if (!questionsData[randomKey]) { // Add safety check
-           console.error(`StartGame Error: Selected question key '${randomKey}' not found in loaded data!`);
-           socket.emit('lobbyError', { message: 'Internal error selecting question.' });
-           room.gameState.status = 'lobby'; return;
-      }
-      const [realQ, fakeQ] = questionsData[randomKey];
-      room.gameState.currentQuestion = { real: realQ, fake: fakeQ }; // Set currentQuestion
-      console.log(`Selected question for round 1 [${roomCode}]: Key='${randomKey}'`);
-
-      // --- Select Imposter ---
-      const playerIds = room.players.map(p => p.id);
-      const imposterIndex = Math.floor(Math.random() * playerIds.length);
-      const imposterId = playerIds[imposterIndex];
-      room.gameState.imposterId = imposterId;
-      console.log(`Selected imposter in room [${roomCode}]: ${room.players[imposterIndex].name} (${imposterId})`);
-
-      // --- Emit 'gameStarted' (for navigation) ---
-      io.to(roomCode).emit('gameStarted', { roomCode });
-      console.log(`Emitted 'gameStarted' to room [${roomCode}]`);
-
-      // --- Emit 'newRound' Individually ---
-      const roundNumber = room.gameState.roundNumber;
-      const totalQuestions = room.settings.totalQuestions;
-      const turnTimerDuration = room.settings.turnTimer;
-      room.players.forEach(player => {
-        const isPlayerImposter = player.id === imposterId;
-        const questionToSend = isPlayerImposter ? fakeQ : realQ;
-        const payload = {
-          roomCode, roundNumber, totalQuestions, turnTimerDuration,
-          question: questionToSend, isImposter: isPlayerImposter,
-          players: room.players
-        };
-        const eventName = 'newRound';
-        console.log(`SERVER EMITTING ===> Event Name: '${eventName}', Target: ${player.id}`);
-        io.to(player.id).emit(eventName, payload);
-      });
-      console.log(`Emitted 'newRound' for round ${roundNumber} individually to players in room [${roomCode}]`);
-
-      // TODO: Start Server-Side Turn Timer (If needed)
-
-    } catch (error) {
-      console.error(`Critical error starting game in room ${data?.roomCode}:`, error);
-      socket.emit('lobbyError', { message: 'A server error occurred while starting the game.' });
-      if (rooms[data?.roomCode]) { rooms[data.roomCode].gameState.status = 'lobby'; }
+  // The host can change any setting until the game starts. `data.settings`
+  // may hold just the settings being changed.
+  handle('updateSettings', 'lobbyError', 'updateSettingsFailed', (data) => {
+    const { roomCode } = data;
+    const room = requireRoom(roomCode);
+    const player = requireHost(room, socket.data.playerId);
+    requirePhase(room, 'lobby', 'settingsLobbyOnly');
+
+    const { settings, errors } = validateSettings(data.settings, room.settings);
+    if (errors.length > 0) {
+      throw new EventError(ERROR_CODES.INVALID_SETTINGS, 'invalidSettings', { problems: errors.join(' ') });
     }
+
+    room.settings = settings;
+    console.log(`Creator ${player.name} updated settings in room [${roomCode}]`);
+    io.to(roomCode).emit('updateRoomState', buildRoomState(room));
+    sendSystemMessage(roomCode, 'settingsChanged');
+    return { settings };
   });
 
+
   // =======================================================
-  // --- Submit Answer Logic ---
+  // --- Question Packs (Host Only) ---
   // =======================================================
-  socket.on('submitAnswer', (data) => {
-      try {
-          const { roomCode, answerText } = data;
-          const playerId = socket.id;
-          const room = rooms[roomCode];
-
-          if (!room) { /* ... validation ... */ return; }
-          const player = room.players.find(p => p.id === playerId);
-          if (!player) { /* ... validation ... */ return; }
-          if (room.gameState.status !== 'playing') { /* ... validation ... */ return; }
-          if (room.gameState.answers[playerId]) { /* ... validation ... */ return; }
-
-          const sanitizedAnswer = (answerText || '').trim().substring(0, 150);
-
-          // Store Answer & Update Player Status
-          room.gameState.answers[playerId] = sanitizedAnswer;
-          player.hasAnswered = true;
-          console.log(`Answer received from ${player.name} in room [${roomCode}]: "${sanitizedAnswer}"`);
-
-          // Emit Updated State to Everyone (to show who answered)
-          io.to(roomCode).emit('updateRoomState', {
-              roomCode, players: room.players, settings: room.settings
-          });
-          console.log(`Emitted 'updateRoomState' after answer from ${player.name}`);
-
-          // Check if All Answers Are In
-          const expectedAnswerCount = room.players.length;
-          const currentAnswerCount = Object.keys(room.gameState.answers).length;
-          console.log(`Room [${roomCode}] Answer Count: ${currentAnswerCount} / ${expectedAnswerCount}`);
-
-          if (currentAnswerCount >= expectedAnswerCount) {
-              console.log(`All answers received for round ${room.gameState.roundNumber} in room [${roomCode}]`);
-
-              // Clear Server Turn Timer TODO if applicable
-
-              room.gameState.status = 'guessing';
-
-              const realQuestion = room.gameState.currentQuestion?.real || 'Error: Question not found';
+  // The host's own questions for this room, pasted or uploaded as JSON or CSV.
+  // Rows that can't be used (including duplicates) are skipped and listed in
+  // the acknowledgement. A new upload replaces the pack.
+  handle('uploadQuestionPack', 'lobbyError', 'uploadPackFailed', (data) => {
+    const { roomCode, format, content } = data;
+    const room = requireRoom(roomCode);
+    const player = requireHost(room, socket.data.playerId);
+    requirePhase(room, 'lobby', 'packLobbyOnly');
+
+    let pack;
+    try {
+      pack = parseQuestionPack(format, content);
+    } catch (error) {
+      throw new EventError(ERROR_CODES.INVALID_QUESTION_PACK, 'invalidQuestionPack', { problem: error.message });
+    }
+    const added = Object.keys(pack.questions).length;
+    if (added === 0) {
+      const firstProblems = pack.errors.slice(0, 3).map(problem => problem.message).join(' ');
+      throw new EventError(ERROR_CODES.INVALID_QUESTION_PACK, 'packHasNoUsableQuestions', { problems: firstProblems });
+    }
 
-              // Prepare payload for 'allAnswersIn'
-              const payload = {
-                  roomCode,
-                  answers: room.gameState.answers,
-                  guessTimerDuration: room.settings.guessTimer,
-                  realQuestion: realQuestion,
-                  players: room.players
-              };
+    room.questionPack = { questions: pack.questions };
+    // A pack is uploaded to be played - mix it in unless the host already chose how
+    if (room.settings.questionSource === 'bank') { room.settings.questionSource = 'mixed'; }
+    console.log(`Creator ${player.name} uploaded a question pack of ${added} questions to room [${roomCode}] (${pack.errors.length} rows skipped)`);
+    io.to(roomCode).emit('updateRoomState', buildRoomState(room));
+    sendSystemMessage(roomCode, 'packUploaded', { count: added });
+    return { added, errors: pack.errors };
+  });
 
-              io.to(roomCode).emit('allAnswersIn', payload);
-              console.log(`Emitted 'allAnswersIn' with real question to room [${roomCode}]`);
+  handle('removeQuestionPack', 'lobbyError', 'removePackFailed', (data) => {
+    const { roomCode } = data;
+    const room = requireRoom(roomCode);
+    requireHost(room, socket.data.playerId);
+    requirePhase(room, 'lobby', 'packLobbyOnly');
 
-              // Start Server Guess Timer TODO if applicable
-          }
+    room.questionPack = null;
+    room.settings.questionSource = 'bank';
+    io.to(roomCode).emit('updateRoomState', buildRoomState(room));
+    sendSystemMessage(roomCode, 'packRemoved');
+  });
 
-      } catch (error) {
-          console.error(`Error processing submitAnswer for room ${data?.roomCode}:`, error);
-          socket.emit('gameError', { message: 'Error processing your answer.' });
-      }
+  // Sends the pack back as text, so the host can save it and upload it next time
+  handle('exportQuestionPack', 'lobbyError', 'exportPackFailed', (data) => {
+    const { roomCode, format } = data;
+    const room = requireRoom(roomCode);
+    requireHost(room, socket.data.playerId);
+    if (!room.questionPack) {
+      throw new EventError(ERROR_CODES.INVALID_QUESTION_PACK, 'noQuestionPack');
+    }
+    return { format, content: exportQuestionPack(room.questionPack, format) };
   });
 
+
   // =======================================================
-  // --- Timer Control Logic (Skip Only - No Server Timer) ---
+  // --- Game Commands ---
   // =======================================================
-  socket.on('pauseGuessTimer', (data) => { /* Removed - Not using server timer */ });
-  socket.on('resumeGuessTimer', (data) => { /* Removed - Not using server timer */ });
+  // The rules for these live in gameEngine.js. Each event maps onto an engine
+  // command; `toCommand` picks its fields from the payload and the sender is
+  // passed along as `playerId`.
+  const handleGameCommand = (eventName, errorEvent, failureKey, commandType, toCommand = () => ({})) => {
+      handle(eventName, errorEvent, failureKey, (data) => {
+          const room = requireRoom(data.roomCode);
+          return runGameCommand(room.roomCode, { type: commandType, playerId: socket.data.playerId, ...toCommand(data) });
+      }, { engineOnly: true });
+  };
+
+  handleGameCommand('startGame', 'lobbyError', 'startGameFailed', 'startGame');
+  handleGameCommand('submitAnswer', 'gameError', 'answerFailed', 'submitAnswer', ({ answerText }) => ({ answerText }));
+
+  // Host-only controls for the turn timer (while answering) and the guess timer
+  const registerTimerControl = (eventName, timer, action) => {
+      handleGameCommand(eventName, 'gameError', 'timerFailed', 'controlTimer', ({ seconds }) => ({ timer, action, seconds }));
+  };
+
+  registerTimerControl('pauseTurnTimer', 'turn', 'pause');
+  registerTimerControl('resumeTurnTimer', 'turn', 'resume');
+  registerTimerControl('extendTurnTimer', 'turn', 'extend');
+  registerTimerControl('pauseGuessTimer', 'guess', 'pause');
+  registerTimerControl('resumeGuessTimer', 'guess', 'resume');
+  registerTimerControl('extendGuessTimer', 'guess', 'extend');
+
+  handleGameCommand('skipTurnTimer', 'gameError', 'skipTimerFailed', 'closeAnswering');
+  handleGameCommand('skipGuessTimer', 'gameError', 'skipTimerFailed', 'closeGuessing');
+  handleGameCommand('castVote', 'gameError', 'voteFailed', 'castVote', ({ targetId }) => ({ targetId }));
+  handleGameCommand('closeVoting', 'gameError', 'closeVotingFailed', 'closeVoting');
+  handleGameCommand('submitLastChanceGuess', 'gameError', 'guessFailed', 'submitLastChanceGuess', ({ guessText }) => ({ guessText }));
+  handleGameCommand('judgeLastChance', 'gameError', 'judgementFailed', 'judgeLastChance', ({ accepted }) => ({ accepted }));
+  handleGameCommand('nextQuestion', 'gameError', 'nextRoundFailed', 'nextQuestion');
+
+  // The engine checks the rating; the record it returns goes to QUESTION_FEEDBACK_FILE
+  handle('rateQuestion', 'gameError', 'rateQuestionFailed', (data) => {
+      const room = requireRoom(data.roomCode);
+      const { feedback, record } = runGameCommand(room.roomCode, { type: 'rateQuestion', playerId: socket.data.playerId, feedback: data.feedback });
+      questionFeedback.record(record);
+      return { feedback };
+  }, { engineOnly: true });
 
-  socket.on('skipGuessTimer', (data) => {
-      try {
-          const { roomCode } = data;
-          const playerId = socket.id;
-          const room = rooms[roomCode];
-
-          if (!room) { return; }
-          const player = room.players.find(p => p.id === playerId);
-          if (!player || !player.isCreator || room.gameState.status !== 'guessing') { return; }
-
-          console.log(`Creator ${player.name} skipped guess timer in room [${roomCode}]`);
-
-          // ** No timer to clear **
+  // =======================================================
+  // --- Host Moderation (Host Only) ---
+  // =======================================================
+  handle('kickPlayer', 'gameError', 'kickFailed', (data) => {
+      const { roomCode, targetId, ban = 'none' } = data;
+      const room = requireRoom(roomCode);
+      const host = requireHost(room, socket.data.playerId);
+
+      const target = findMember(room, targetId);
+      if (!target || target.id === host.id) {
+          throw new EventError(ERROR_CODES.INVALID_TARGET, 'cannotKick');
+      }
+      if (ban === 'name') {
+          room.bans.names.push(target.name.trim().toLowerCase());
+      } else if (ban === 'session') {
+          Object.values(room.sessions)
+              .filter(session => session.playerId === target.id && session.clientId)
+              .forEach(session => room.bans.clientIds.push(session.clientId));
+      }
 
-          room.gameState.status = 'revealing';
+      console.log(`Creator ${host.name} kicked ${target.name} from room [${roomCode}] (ban: ${ban})`);
+      io.to(target.id).emit('kicked', {
+          roomCode,
+          banned: ban !== 'none',
+          ...buildMessage(ban === 'none' ? 'removedByHost' : 'removedAndBanned')
+      });
+      detachMemberSockets(roomCode, target.id);
+      sendSystemMessage(roomCode, 'playerRemoved', { name: target.name });
+      removePlayer(roomCode, target.id, true);
+  });
 
-          const { imposterId, currentQuestion } = room.gameState;
-          if (!imposterId || !currentQuestion) { /* ... error handling ... */ return; }
+  handle('transferHost', 'gameError', 'transferHostFailed', (data) => {
+      const { roomCode, targetId } = data;
+      const room = requireRoom(roomCode);
+      const host = requireHost(room, socket.data.playerId);
 
-          const imposter = room.players.find(p => p.id === imposterId);
-          const imposterName = imposter ? imposter.name : 'Unknown Name';
-          const fakeQuestion = currentQuestion.fake;
+      const target = room.players.find(p => p.id === targetId);
+      if (!target || target.id === host.id) {
+          throw new EventError(ERROR_CODES.INVALID_TARGET, 'newHostMustBePlayer');
+      }
 
-          console.log(`Revealing imposter in room [${roomCode}]: ${imposterName} (${imposterId})`);
+      host.isCreator = false;
+      target.isCreator = true;
+      console.log(`Creator ${host.name} handed the host role to ${target.name} in room [${roomCode}]`);
+      io.to(roomCode).emit('updateRoomState', buildRoomState(room));
+      sendSystemMessage(roomCode, 'hostTransferred', { host: host.name, name: target.name });
+      runGameCommand(roomCode, { type: 'hostChanged' });
+  });
 
-          io.to(roomCode).emit('reveal', {
-              roomCode, imposterId, imposterName, fakeQuestion
-          });
-          console.log(`Emitted 'reveal' with name to room [${roomCode}] after skip.`);
+  handle('setRoomLocked', 'gameError', 'lockFailed', (data) => {
+      const { roomCode, locked } = data;
+      const room = requireRoom(roomCode);
+      const host = requireHost(room, socket.data.playerId);
 
-      } catch (error) {
-          console.error(`Error processing skipGuessTimer for room ${data?.roomCode}:`, error);
-          socket.emit('gameError', { message: 'Error processing skip timer request.' });
-      }
+      room.locked = locked;
+      console.log(`Creator ${host.name} ${room.locked ? 'locked' : 'unlocked'} room [${roomCode}]`);
+      io.to(roomCode).emit('updateRoomState', buildRoomState(room));
+      sendSystemMessage(roomCode, room.locked ? 'roomLockedNotice' : 'roomUnlockedNotice');
+      return { locked: room.locked };
   });
 
   // =======================================================
-  // --- Next Question Logic (with Random Questions) ---
+  // --- Spectator Promotion (Host Only) ---
   // =======================================================
-  socket.on('nextQuestion', (data) => {
-      try {
-          const { roomCode } = data;
-          const playerId = socket.id;
-          const room = rooms[roomCode];
-
-          // Validation
-          if (!room) { console.error(`nextQ Error: Room ${roomCode} not found`); return; }
-          const player = room.players.find(p => p.id === playerId);
-          if (!player || !player.isCreator) { console.error(`nextQ Error: Invalid player/permission ${playerId}`); return; }
-          if (room.gameState.status !== 'revealing') { console.warn(`nextQ Warn: Not in revealing state ${roomCode}`); return; }
-
-          // Check Game Over Condition
-          const currentRoundNumber = room.gameState.roundNumber; // Use roundNumber
-          const totalQuestions = room.settings.totalQuestions;
-          console.log(`[nextQuestion] Room [${roomCode}]: Currently finished round ${currentRoundNumber}. Total set to ${totalQuestions}.`);
-          if (currentRoundNumber >= totalQuestions) { // Check based on roundNumber
-              console.log(`[nextQuestion] Room [${roomCode}]: Game Over condition MET!`);
-              room.gameState.status = 'gameover';
-              const summary = { message: `Game finished after ${totalQuestions} rounds.` };
-              console.log(`[nextQuestion] Room [${roomCode}]: Emitting 'gameOver'...`);
-              io.to(roomCode).emit('gameOver', { roomCode, summary });
-              console.log(`[nextQuestion] Room [${roomCode}]: Successfully emitted 'gameOver'.`);
-              return; // Stop
-          }
-
-          // If Game Continues: Setup Next Round
-          const nextRoundNumber = currentRoundNumber + 1;
-          console.log(`[nextQuestion] Room [${roomCode}]: Setting up round ${nextRoundNumber}.`);
-
-          // Update State *Before* Selecting Question
-          room.gameState.status = 'playing'; // Set status early
-          room.gameState.roundNumber = nextRoundNumber; // Increment round number
-          room.gameState.answers = {};
-          room.gameState.imposterId = null;
-          room.gameState.currentQuestion = null; // Reset current question before selecting
-          room.gameState.revealedData = null;
-          room.players.forEach(p => { p.hasAnswered = false; delete p.isRevealedImposter; }); // Reset player status
-          // Clear any leftover timers if applicable
-          // if (room.gameState.guessTimerTimeoutId) { clearTimeout(room.gameState.guessTimerTimeoutId); room.gameState.guessTimerTimeoutId = null; }
-
-
-          // --- Select **RANDOM UNUSED** Question ---
-          const availableKeys = allQuestionKeys.filter(key => !room.gameState.usedQuestionKeys.includes(key));
-          if (availableKeys.length === 0) {
-              console.error(`nextQuestion Error: No available questions left for round ${nextRoundNumber} in room [${roomCode}]! Ending game.`);
-              room.gameState.status = 'gameover';
-              const summary = { message: `Game ended early - ran out of unique questions after round ${currentRoundNumber}.` };
-              io.to(roomCode).emit('gameOver', { roomCode, summary });
-              return;
-          }
-          const randomIndex = Math.floor(Math.random() * availableKeys.length);
-          const randomKey = availableKeys[randomIndex];
-          room.gameState.usedQuestionKeys.push(randomKey); // Mark as used
-           if (!questionsData[randomKey]) { // Add safety check
-               console.error(`nextQuestion Error: Selected question key '${randomKey}' not found in loaded data!`);
-               socket.emit('gameError', { message: 'Internal error selecting question.' });
-               room.gameState.status = 'revealing'; // Revert status? Or end game?
-               return;
-          }
-          const [realQ, fakeQ] = questionsData[randomKey];
-          // Set currentQuestion *before* emitting newRound
-          room.gameState.currentQuestion = { real: realQ, fake: fakeQ };
-          console.log(`Selected question for round ${nextRoundNumber} [${roomCode}]: Key='${randomKey}'`);
-
-
-          // --- Select New Imposter ---
-          const playerIds = room.players.map(p => p.id);
-          const imposterIndex = Math.floor(Math.random() * playerIds.length);
-          const imposterId = playerIds[imposterIndex];
-          room.gameState.imposterId = imposterId;
-          console.log(`Selected imposter for round ${nextRoundNumber} in room [${roomCode}]: ${room.players[imposterIndex].name}`);
-
-
-          // --- Emit 'newRound' Individually ---
-          const turnTimerDuration = room.settings.turnTimer;
-          room.players.forEach(p => {
-              const isPlayerImposter = p.id === imposterId;
-              const questionToSend = isPlayerImposter ? fakeQ : realQ;
-              const payload = {
-                  roomCode, roundNumber: nextRoundNumber, totalQuestions, turnTimerDuration,
-                  question: questionToSend, isImposter: isPlayerImposter,
-                  players: room.players
-              };
-              const eventName = 'newRound';
-              console.log(`SERVER EMITTING ===> Event Name: '${eventName}', Target: ${p.id}`);
-              io.to(p.id).emit(eventName, payload);
-          });
-          console.log(`Emitted 'newRound' for round ${nextRoundNumber} individually in room [${roomCode}]`);
-
-          // --- TODO: Start Server-Side Turn Timer ---
+  // In the lobby the spectator becomes a player straight away; mid-game they
+  // join when the host starts the next round.
+  handle('promoteSpectator', 'gameError', 'promoteFailed', (data) => {
+      const { roomCode, spectatorId } = data;
+      const room = requireRoom(roomCode);
+      requireHost(room, socket.data.playerId);
+      const spectator = room.spectators.find(s => s.id === spectatorId);
+      if (!spectator) {
+          throw new EventError(ERROR_CODES.INVALID_TARGET, 'spectatorGone');
+      }
+      const waitingCount = room.spectators.filter(s => s.joinNextRound).length;
+      if (room.players.length + waitingCount >= MAX_PLAYERS_PER_ROOM) {
+          throw new EventError(ERROR_CODES.ROOM_FULL, 'playersFull', { max: MAX_PLAYERS_PER_ROOM });
+      }
 
-      } catch (error) {
-          console.error(`Error processing nextQuestion for room ${data?.roomCode}:`, error);
-          socket.emit('gameError', { message: 'Error starting next round.' });
+      const immediate = room.gameState.status === 'lobby';
+      if (immediate) {
+          promoteSpectator(room, spectatorId);
+      } else {
+          spectator.joinNextRound = true;
+          sendSystemMessage(roomCode, 'spectatorJoinsNextRound', { name: spectator.name });
       }
+      io.to(roomCode).emit('updateRoomState', buildRoomState(room));
+      return { immediate };
   });
 
   // =======================================================
   // --- State Request Handlers ---
   // =======================================================
-  socket.on('getLobbyState', (data) => {
-      try {
-          const { roomCode } = data;
-          const room = rooms[roomCode];
-          if (room && room.gameState.status === 'lobby') {
-              console.log(`Sending lobby state for room [${roomCode}] to ${socket.id}`);
-              socket.emit('updateRoomState', {
-                  roomCode, players: room.players, settings: room.settings
-              });
-          } else if (room) {
-               console.warn(`getLobbyState: Room [${roomCode}] requested by ${socket.id}, but state is not 'lobby' (${room.gameState.status})`);
-               socket.emit('lobbyError', { message: 'Game is already in progress.' });
-          } else {
-              console.log(`Lobby state request failed: Room [${roomCode}] not found for ${socket.id}`);
-              socket.emit('lobbyError', { message: `Room ${roomCode} not found.` });
-          }
-      } catch (error) {
-          console.error(`Error getting lobby state for room ${data?.roomCode}:`, error);
-          socket.emit('lobbyError', { message: 'Error retrieving room state.' });
+  handle('getLobbyState', 'lobbyError', 'lobbyStateFailed', (data) => {
+      const { roomCode } = data;
+      const room = requireRoom(roomCode);
+      if (room.gameState.status !== 'lobby') {
+          console.warn(`getLobbyState: Room [${roomCode}] requested by ${socket.id}, but state is not 'lobby' (${room.gameState.status})`);
+          throw new EventError(ERROR_CODES.WRONG_PHASE, 'gameInProgress');
       }
+      console.log(`Sending lobby state for room [${roomCode}] to ${socket.id}`);
+      socket.emit('updateRoomState', buildRoomState(room));
   });
 
-  socket.on('getGameRoundState', (data) => {
-      try {
-          const { roomCode } = data;
-          const room = rooms[roomCode];
-          const player = room?.players.find(p => p.id === socket.id);
-
-          if (!room || !player) {
-               console.warn(`getGameRoundState: Invalid room [${roomCode}] or player ${socket.id}`);
-               socket.emit('gameError', { message: 'Error finding your game state.' });
-               return;
-           }
-
-          // Check if game state has necessary info. Status should be 'playing'
-          // Also check if currentQuestion is actually set
-          if (room.gameState.status !== 'playing' || !room.gameState.currentQuestion) {
-              console.warn(`getGameRoundState: Player ${player.name} requested state for room [${roomCode}], but status is '${room.gameState.status}' or question missing.`);
-              socket.emit('gameError', { message: 'Game state not ready yet, please wait a moment.'});
-              return;
-          }
-
-          console.log(`Player ${player.name} requested game state for room [${roomCode}]. Sending current round info.`);
-
-          // Reconstruct the 'newRound' payload based on current state
-          const { roundNumber, imposterId, currentQuestion } = room.gameState; // Use roundNumber
-          const { totalQuestions, turnTimer } = room.settings;
-          const isPlayerImposter = player.id === imposterId;
-          const questionToSend = isPlayerImposter ? currentQuestion.fake : currentQuestion.real;
-
-          const payload = {
-              roomCode, roundNumber, totalQuestions,
-              question: questionToSend, isImposter: isPlayerImposter,
-              turnTimerDuration: turnTimer,
-              players: room.players
-          };
-
-          const eventName = 'newRound';
-          console.log(`SERVER EMITTING (in getGameRoundState) ===> Event Name: '${eventName}', Target: ${player.id}`);
-          socket.emit(eventName, payload); // Use socket.emit
-
-      } catch (error) {
-          console.error(`Error in getGameRoundState for room ${data?.roomCode}:`, error);
-          socket.emit('gameError', { message: 'Error retrieving current game state.' });
+  handle('getGameRoundState', 'gameError', 'gameStateFailed', (data) => {
+      const { roomCode } = data;
+      const room = requireRoom(roomCode);
+      const player = findMember(room, socket.data.playerId);
+      if (!player) {
+          throw new EventError(ERROR_CODES.NOT_IN_ROOM, 'notInRoom');
       }
+
+      console.log(`Player ${player.name} requested game state for room [${roomCode}] (status '${room.gameState.status}'). Sending snapshot.`);
+      sendGameSnapshot(socket, room, player);
   });
 
 
   // =======================================================
-  // --- Disconnection Handling ---
+  // --- Leaving & Disconnection Handling ---
   // =======================================================
-  socket.on('disconnect', () => {
-      console.log(`User Disconnected: ${socket.id}`);
-      // Find which room the user was in and remove them
-      let roomCodeFound = null;
-      let wasCreator = false;
-
-      for (const roomCode in rooms) {
-          const room = rooms[roomCode];
-          const playerIndex = room.players.findIndex(p => p.id === socket.id);
-
-          if (playerIndex !== -1) {
-              roomCodeFound = roomCode;
-              const disconnectedPlayer = room.players[playerIndex];
-              wasCreator = disconnectedPlayer.isCreator;
-              console.log(`${disconnectedPlayer.name} left room [${roomCodeFound}]`);
+  // Explicit leave (e.g. "Leave Lobby" / "Return Home"): free the seat right away
+  handle('leaveRoom', null, 'leaveFailed', (data) => {
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || roomCode !== data.roomCode) {
+          throw new EventError(ERROR_CODES.NOT_IN_ROOM, 'notInRoom');
+      }
+      socket.leave(roomCode);
+      socket.leave(playerId);
+      socket.data.roomCode = null;
+      socket.data.playerId = null;
+      removePlayer(roomCode, playerId);
+  });
 
-              room.players.splice(playerIndex, 1);
+  // Unexpected disconnect: keep the seat for RECONNECT_GRACE_MS so the player can come back
+  socket.on('disconnect', async () => {
+      console.log(`User Disconnected: ${socket.id}`);
+      const { roomCode, playerId } = socket.data;
+      if (!roomCode || isShuttingDown) { return; } // Seats stay as saved while the server shuts down
 
-              if (room.players.length === 0) {
-                  console.log(`Room [${roomCodeFound}] is now empty and closing.`);
-                  delete rooms[roomCodeFound];
-              } else {
-                  // Assign new creator if needed
-                  if (wasCreator) {
-                      room.players[0].isCreator = true;
-                      console.log(`Assigned ${room.players[0].name} as new creator for room [${roomCodeFound}]`);
-                  }
-                  // Notify remaining players
-                  io.to(roomCodeFound).emit('updateRoomState', {
-                      roomCode: roomCodeFound,
-                      players: room.players,
-                      settings: room.settings
-                  });
-                  // If game was in progress, check if minimum players still met, etc. (Optional advanced logic)
+      try {
+          // Another socket may already have reclaimed this seat (e.g. page refreshed quickly),
+          // possibly connected to another server process
+          if ((await io.in(playerId).fetchSockets()).length > 0) { return; }
+
+          await withRoom(roomCode, () => {
+              const room = rooms[roomCode];
+              const player = room ? findMember(room, playerId) : null;
+              if (!player) { return; }
+
+              player.connected = false;
+              player.disconnectedAt = Date.now();
+              console.log(`${player.name} disconnected from room [${roomCode}]. Holding seat for ${RECONNECT_GRACE_MS / 1000}s.`);
+              io.to(roomCode).emit('updateRoomState', buildRoomState(room));
+              if (room.gameState.status !== 'lobby' && !player.isSpectator) {
+                  sendSystemMessage(roomCode, 'playerLostConnection', { name: player.name, seconds: Math.round(RECONNECT_GRACE_MS / 1000) });
               }
-              break; // Player found
-          }
+
+              scheduleSeatRemoval(roomCode, playerId, player.name);
+          });
+          markRoomsChanged();
+      } catch (error) {
+          console.error(`Error handling disconnect for room ${roomCode}:`, error);
       }
   });
 
@@ -583,8 +1514,36 @@ io.on('connection', (socket) => {
 }); // End io.on('connection')
 
 // --- Start the Server ---
-server.listen(PORT, () => {
-  console.log(`Server listening on port ${PORT}`);
-  console.log(`Allowing connections from: ${FRONTEND_URL}`);
-  console.log(`Current Time: ${new Date().toLocaleTimeString()}`);
+// With REDIS_URL set, rooms live in Redis and the Redis adapter relays events
+// between server processes, so several processes (e.g. PORT=3001 and PORT=3002)
+// can serve the same rooms. For local testing, `npm run local-redis` starts a
+// small stand-in for Redis (see scripts/localRedis.js).
+const connectSharedBackend = async (redisUrl) => {
+  const pubClient = createClient({ url: redisUrl });
+  const subClient = pubClient.duplicate();
+  const storeClient = pubClient.duplicate();
+  [pubClient, subClient, storeClient].forEach(client => client.on('error', error => console.error('Redis client error:', error)));
+  await Promise.all([pubClient.connect(), subClient.connect(), storeClient.connect()]);
+
+  io.adapter(createAdapter(pubClient, subClient));
+  roomStore = createRedisRoomStore(storeClient);
+  console.log(`Sharing rooms with other server processes through ${redisUrl}`);
+};
+
+const startServer = async () => {
+  if (process.env.REDIS_URL) {
+    await connectSharedBackend(process.env.REDIS_URL);
+  } else {
+    loadRoomStore();
+  }
+  server.listen(PORT, () => {
+    console.log(`Server listening on port ${PORT}`);
+    console.log(`Allowing connections from: ${FRONTEND_URL}`);
+    console.log(`Current Time: ${new Date().toLocaleTimeString()}`);
+  });
+};
+
+startServer().catch(error => {
+  console.error('Failed to start the server:', error);
+  process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,243 @@
+// Tests for the question bank admin API: the router on its own, then server.js
+// writing and hot-reloading its question file.
+// Run with `npm test` (node's built-in test runner).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const express = require('express');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createAdminRouter } = require('../adminApi');
+const { normalizeQuestionBank } = require('../questionBank');
+const { ERROR_CODES } = require('../errors');
+
+const TOKEN = 'test-admin-token';
+const BANK = {
+  categories: { food: 'Food' },
+  questions: {
+    pizza: { real: 'Best pizza topping?', fake: 'Worst pizza topping?', category: 'food', tags: ['pizza'], rating: 'adult' },
+    fruit: { real: 'Favourite fruit?', fake: 'Least favourite fruit?', category: 'food', rating: 'family' }
+  }
+};
+
+const listen = (app) => new Promise(resolve => {
+  const server = app.listen(0, () => resolve(server));
+});
+
+const findFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const waitFor = async (check, label) => {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out waiting for ${label}`);
+};
+
+describe('admin API router', () => {
+  let server;
+  let baseUrl;
+  let bank;
+  let reloadResult;
+  let feedback = [];
+
+  before(async () => {
+    const app = express();
+    app.use('/admin', createAdminRouter({
+      token: TOKEN,
+      bankStore: {
+        get: () => bank,
+        replace: (next) => { bank = next; },
+        reload: () => { if (reloadResult instanceof Error) throw reloadResult; bank = reloadResult; return bank; }
+      },
+      feedbackStore: { read: () => feedback }
+    }));
+    server = await listen(app);
+    baseUrl = `http://localhost:${server.address().port}/admin`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const request = async (method, route, body, token = TOKEN) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+  const reset = () => { bank = normalizeQuestionBank(BANK); };
+
+  it('turns away requests without the token', async () => {
+    reset();
+    assert.equal((await request('GET', '/questions', undefined, null)).status, 401);
+    const wrong = await request('GET', '/questions', undefined, 'nope');
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.error.code, ERROR_CODES.UNAUTHORIZED);
+  });
+
+  it('lists and searches questions', async () => {
+    reset();
+    assert.deepEqual((await request('GET', '/questions')).body.questions.map(q => q.key), ['pizza', 'fruit']);
+    assert.deepEqual((await request('GET', '/questions?search=FRUIT')).body.questions.map(q => q.key), ['fruit']);
+    assert.deepEqual((await request('GET', '/questions?tag=pizza')).body.questions.map(q => q.key), ['pizza']);
+    assert.deepEqual((await request('GET', '/questions?rating=adult')).body.questions.map(q => q.key), ['pizza']);
+  });
+
+  it('gets one question or answers 404', async () => {
+    reset();
+    assert.equal((await request('GET', '/questions/fruit')).body.question.real, 'Favourite fruit?');
+    const missing = await request('GET', '/questions/cake');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error.code, ERROR_CODES.QUESTION_NOT_FOUND);
+  });
+
+  it('adds a question, making up a key when none is given', async () => {
+    reset();
+    const added = await request('POST', '/questions', { real: 'Best pizza topping!', fake: 'Best pasta shape?', category: 'food' });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.question.key, 'best_pizza_topping');
+    assert.equal(bank.questions.best_pizza_topping.fake, 'Best pasta shape?');
+
+    const again = await request('POST', '/questions', { real: 'Best pizza topping!', fake: 'Worst pasta shape?' });
+    assert.equal(again.body.question.key, 'best_pizza_topping_2');
+  });
+
+  it('rejects duplicate keys and invalid questions', async () => {
+    reset();
+    const duplicate = await request('POST', '/questions', { key: 'pizza', real: 'A?', fake: 'B?' });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.error.code, ERROR_CODES.QUESTION_EXISTS);
+    const badKey = await request('POST', '/questions', { key: 'no spaces', real: 'A?', fake: 'B?' });
+    assert.equal(badKey.body.error.code, ERROR_CODES.INVALID_QUESTION);
+    const noFake = await request('POST', '/questions', { real: 'A?' });
+    assert.equal(noFake.status, 400);
+    assert.equal(noFake.body.error.code, ERROR_CODES.INVALID_QUESTION);
+    assert.equal(Object.keys(bank.questions).length, 2);
+  });
+
+  it('edits only the given fields', async () => {
+    reset();
+    const edited = await request('PUT', '/questions/pizza', { fake: 'Worst pizza crust?', rating: 'family' });
+    assert.equal(edited.status, 200);
+    assert.deepEqual(bank.questions.pizza, { ...normalizeQuestionBank(BANK).questions.pizza, fake: 'Worst pizza crust?', rating: 'family' });
+    assert.equal((await request('PUT', '/questions/pizza', { answerType: 'colour' })).status, 400);
+    assert.equal((await request('PUT', '/questions/cake', { fake: 'x' })).status, 404);
+  });
+
+  it('deletes questions', async () => {
+    reset();
+    assert.equal((await request('DELETE', '/questions/pizza')).status, 204);
+    assert.deepEqual(Object.keys(bank.questions), ['fruit']);
+    assert.equal((await request('DELETE', '/questions/pizza')).status, 404);
+  });
+
+  it('reloads the bank, keeping the old one when the file is broken', async () => {
+    reset();
+    reloadResult = normalizeQuestionBank({ only: ['One?', 'Two?'] });
+    assert.deepEqual((await request('POST', '/questions/reload')).body, { count: 1, errors: [] });
+    reloadResult = new Error('Unexpected end of JSON input');
+    const broken = await request('POST', '/questions/reload');
+    assert.equal(broken.status, 400);
+    assert.deepEqual(Object.keys(bank.questions), ['only']);
+  });
+
+  it('reports the rated pairs, most obvious first', async () => {
+    reset();
+    const rating = (real, fake, roundStartedAt, imposterCaught, rated) =>
+      ({ at: roundStartedAt, roomCode: 'ROOM1', roundStartedAt, key: 'old_key', source: 'bank', real, fake, feedback: rated, imposterCaught });
+    feedback = [
+      rating('Favourite fruit?', 'Least favourite fruit?', 1, false, 'tooHard'),
+      rating('Best pizza topping?', 'Worst pizza topping?', 2, true, 'tooEasy'),
+      rating('Best pizza topping?', 'Worst pizza topping?', 3, true, 'good')
+    ];
+    const { body } = await request('GET', '/questions/report?minRounds=2');
+    assert.deepEqual(body.pairs.map(pair => [pair.key, pair.rounds, pair.verdict]), [['pizza', 2, 'tooEasy'], ['fruit', 1, 'needsData']]);
+  });
+
+  it('answers malformed JSON with a readable error', async () => {
+    reset();
+    const response = await fetch(`${baseUrl}/questions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+      body: '{ "real": '
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, ERROR_CODES.INVALID_QUESTION);
+  });
+});
+
+describe('question bank hot reload', () => {
+  let child;
+  let directory;
+  let questionsFile;
+  let baseUrl;
+
+  before(async () => {
+    const port = await findFreePort();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'who-is-fake-admin-'));
+    questionsFile = path.join(directory, 'questions.json');
+    fs.writeFileSync(questionsFile, JSON.stringify(BANK));
+    child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: {
+        ...process.env, PORT: String(port), ADMIN_TOKEN: TOKEN, QUESTIONS_FILE: questionsFile,
+        ROOM_STORE_FILE: path.join(directory, 'rooms.json'), EVENT_LOG_DIR: '', REDIS_URL: ''
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+      child.stdout.on('data', chunk => {
+        output += chunk;
+        if (output.includes(`Server listening on port ${port}`)) { clearTimeout(timeout); resolve(); }
+      });
+      child.stderr.on('data', chunk => { output += chunk; });
+    });
+    baseUrl = `http://localhost:${port}`;
+  });
+  after(() => new Promise(resolve => {
+    child.on('exit', () => {
+      fs.rmSync(directory, { recursive: true, force: true });
+      resolve();
+    });
+    child.kill('SIGTERM');
+  }));
+
+  const categoryCounts = async () => {
+    const { categories } = await (await fetch(`${baseUrl}/questions/categories`)).json();
+    return Object.fromEntries(categories.map(({ id, counts }) => [id, counts.family + counts.adult]));
+  };
+
+  it('writes admin changes to the question file', async () => {
+    const response = await fetch(`${baseUrl}/admin/questions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+      body: JSON.stringify({ key: 'pet', real: 'Favourite pet?', fake: 'Least favourite pet?', category: 'animals' })
+    });
+    assert.equal(response.status, 201);
+    const saved = JSON.parse(fs.readFileSync(questionsFile, 'utf8'));
+    assert.equal(saved.questions.pet.real, 'Favourite pet?');
+    assert.deepEqual(await categoryCounts(), { food: 2, animals: 1 });
+  });
+
+  it('picks up edits made to the file by hand', async () => {
+    fs.writeFileSync(questionsFile, JSON.stringify({ drinks: ['Favourite drink?', 'Least favourite drink?'] }));
+    await waitFor(async () => JSON.stringify(await categoryCounts()) === JSON.stringify({ general: 1 }), 'the reload');
+  });
+
+  it('keeps the current questions when the file is broken', async () => {
+    fs.writeFileSync(questionsFile, '{ "questions": ');
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.deepEqual(await categoryCounts(), { general: 1 });
+  });
+});
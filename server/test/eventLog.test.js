@@ -0,0 +1,164 @@
+// Tests for the per-room event log and replaying games from it.
+// Run with `npm test` (node's built-in test runner).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applyCommand, createPlayer } = require('../gameEngine');
+const { createRng } = require('../random');
+const { createEventLog, readEventLog, replayEventLog, logFilePath, archivedLogFilePath, stateHash } = require('../eventLog');
+const { normalizeQuestionBank } = require('../questionBank');
+const { ERROR_CODES } = require('../errors');
+
+const { questions: QUESTIONS } = normalizeQuestionBank({
+  pets: ['Favourite pet?', 'Least favourite pet?'],
+  food: ['Best pizza topping?', 'Worst pizza topping?']
+});
+
+const makeRoom = (roomCode) => ({
+  roomCode,
+  settings: {
+    turnTimer: 30, guessTimer: 300, totalQuestions: 2, lateAnswerPolicy: 'grace', lateAnswerGrace: 15,
+    scoringEnabled: true, lastChanceEnabled: false, lastChanceSeconds: 30, lastChanceJudge: 'host',
+    imposterMode: 'fixed', imposterCount: 1, playersPerImposter: 5, impostersKnowEachOther: false
+  },
+  players: [1, 2, 3].map(i => createPlayer(`p${i}`, `Player ${i}`, i === 1)),
+  spectators: [],
+  sessions: { secret: { playerId: 'p1', clientId: null } },
+  locked: false,
+  bans: { names: [], clientIds: [] },
+  lastActivity: 0,
+  rng: createRng('log-test'),
+  gameState: {
+    status: 'lobby', roundNumber: 0, usedQuestionKeys: [], answers: {}, votes: {}, roundHistory: [],
+    lastChance: null, imposterIds: [], currentQuestion: null, turnTimer: null, guessTimer: null,
+    revealedData: null, summary: null
+  }
+});
+
+describe('event log', () => {
+  let directory;
+  let eventLog;
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'who-is-fake-log-'));
+    eventLog = createEventLog(directory);
+  });
+  after(() => { fs.rmSync(directory, { recursive: true, force: true }); });
+
+  // Runs commands the way server.js does, recording each one; returns the final room
+  const playLogged = (room, commands) => {
+    return commands.reduce((current, command, i) => {
+      const at = 1000 * (i + 1);
+      const env = { questions: QUESTIONS, now: () => at };
+      try {
+        const { room: next, events, result } = applyCommand(current, command, env);
+        eventLog.record(current, next, at, command, { events, result });
+        return next;
+      } catch (error) {
+        eventLog.record(current, current, at, command, { error: { code: error.code, message: error.message } });
+        return current;
+      }
+    }, room);
+  };
+
+  const readLog = async (roomCode) => {
+    await eventLog.close(roomCode);
+    return readEventLog(logFilePath(directory, roomCode));
+  };
+
+  const answers = ['p1', 'p2', 'p3'].map(playerId => ({ type: 'submitAnswer', playerId, answerText: 'something' }));
+
+  it('writes a snapshot before the first command, then one entry per command', async () => {
+    playLogged(makeRoom('LOG1'), [{ type: 'startGame', playerId: 'p1' }, answers[0]]);
+    const entries = await readLog('LOG1');
+    assert.deepEqual(entries.map(e => [e.seq, e.kind]), [[1, 'snapshot'], [2, 'command'], [3, 'command']]);
+    assert.equal(entries[1].events[0].event, 'gameStarted');
+  });
+
+  it('leaves session tokens out of snapshots', async () => {
+    playLogged(makeRoom('LOG2'), [{ type: 'startGame', playerId: 'p1' }]);
+    const [snapshot] = await readLog('LOG2');
+    assert.equal(snapshot.room.sessions, undefined);
+    assert.equal(snapshot.room.rng.seed, 'log-test');
+  });
+
+  it('records rejected commands with their error', async () => {
+    playLogged(makeRoom('LOG3'), [{ type: 'startGame', playerId: 'p2' }]);
+    const [, rejected] = await readLog('LOG3');
+    assert.equal(rejected.error.code, ERROR_CODES.NOT_HOST);
+  });
+
+  it('takes a new snapshot when the room changed outside the engine', async () => {
+    let room = playLogged(makeRoom('LOG4'), [{ type: 'startGame', playerId: 'p1' }]);
+    eventLog.markChanged(room);
+    room.players[2].connected = false; // e.g. a disconnect handled by server.js
+    room = playLogged(room, [answers[0]]);
+    eventLog.markChanged(room);
+    room.lastActivity = 5000;          // activity stamps alone don't count
+    playLogged(room, [answers[1]]);
+    const entries = await readLog('LOG4');
+    assert.deepEqual(entries.map(e => e.kind), ['snapshot', 'command', 'snapshot', 'command', 'command']);
+    assert.equal(entries[2].room.players[2].connected, false);
+  });
+
+  it('writes countdown-only ticks as one entry that replays to the same room', async () => {
+    const ticks = Array.from({ length: 5 }, () => ({ type: 'tick', timer: 'turn' }));
+    const room = playLogged(makeRoom('LOG8'), [{ type: 'startGame', playerId: 'p1' }, ...ticks, answers[0], ...ticks]);
+    eventLog.markChanged(room); // writes the ticks held back since the answer
+    const entries = await readLog('LOG8');
+    assert.deepEqual(entries.map(e => [e.command?.type, e.repeat]),
+      [[undefined, undefined], ['startGame', undefined], ['tick', 5], ['submitAnswer', undefined], ['tick', 5]]);
+    const steps = [];
+    const replayed = replayEventLog(entries, QUESTIONS, (entry, step) => steps.push(step));
+    assert.ok(steps.every(step => step.matches));
+    assert.equal(replayed.gameState.turnTimer.remaining, 20);
+    assert.equal(stateHash(replayed), stateHash(room));
+  });
+
+  it('archives the log of a closed room where it still replays', async () => {
+    const room = playLogged(makeRoom('LOG9'), [{ type: 'startGame', playerId: 'p1' }, ...answers]);
+    const archivedFile = await eventLog.archive('LOG9', 12345);
+    assert.equal(archivedFile, archivedLogFilePath(directory, 'LOG9', 12345));
+    assert.equal(fs.existsSync(logFilePath(directory, 'LOG9')), false);
+
+    const steps = [];
+    const replayed = replayEventLog(readEventLog(archivedFile), QUESTIONS, (entry, step) => steps.push(step));
+    assert.ok(steps.every(step => step.matches));
+    assert.equal(stateHash(replayed), stateHash(room));
+    assert.equal(await eventLog.archive('NOLOG', 12345), null);
+  });
+
+  it('replays a whole game to the same room', async () => {
+    const finalRoom = playLogged(makeRoom('LOG5'), [
+      { type: 'startGame', playerId: 'p1' }, ...answers, { type: 'closeGuessing', playerId: 'p1' },
+      { type: 'castVote', playerId: 'p3', targetId: 'p4' },
+      { type: 'closeVoting', playerId: 'p1' }, { type: 'nextQuestion', playerId: 'p1' }
+    ]);
+    const steps = [];
+    const replayed = replayEventLog(await readLog('LOG5'), QUESTIONS, (entry, step) => steps.push(step));
+    assert.ok(steps.every(step => step.matches));
+    assert.equal(steps.filter(step => step.error).length, 1); // The vote for a player who doesn't exist
+    assert.equal(stateHash(replayed), stateHash(finalRoom));
+    assert.deepEqual(replayed.gameState.imposterIds, finalRoom.gameState.imposterIds);
+  });
+
+  it('flags the steps that no longer match the log', async () => {
+    playLogged(makeRoom('LOG6'), [{ type: 'startGame', playerId: 'p1' }]);
+    const { questions: otherQuestions } = normalizeQuestionBank({
+      film: ['Best film ever?', 'Worst film ever?'],
+      song: ['Best song ever?', 'Worst song ever?']
+    });
+    const steps = [];
+    replayEventLog(await readLog('LOG6'), otherQuestions, (entry, step) => steps.push(step));
+    assert.deepEqual(steps.map(step => step.matches), [true, false]);
+  });
+
+  it('writes nothing without a directory', () => {
+    const room = makeRoom('LOG7');
+    const next = applyCommand(room, { type: 'startGame', playerId: 'p1' }, { questions: QUESTIONS }).room;
+    createEventLog('').record(room, next, 0, { type: 'startGame', playerId: 'p1' }, {});
+    assert.equal(next.eventLog, undefined);
+    assert.equal(fs.existsSync(logFilePath(directory, 'LOG7')), false);
+  });
+});
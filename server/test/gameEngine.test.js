@@ -0,0 +1,883 @@
+// Unit tests for the game engine: every phase transition and its edge cases.
+// Run with `npm test` (node's built-in test runner).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  applyCommand, getRunningTimers, createPlayer, setMemberQuestionHistory, tallyVotes, findNumberOutliers, scoreRound, getImposterCount,
+  MIN_PLAYERS
+} = require('../gameEngine');
+const { ERROR_CODES } = require('../errors');
+const { createRng } = require('../random');
+const { normalizeQuestionBank } = require('../questionBank');
+
+const NOW = 1700000000000;
+const { questions: QUESTIONS } = normalizeQuestionBank({
+  pets: ['Favourite pet?', 'Least favourite pet?'],
+  food: ['Best pizza topping?', 'Worst pizza topping?'],
+  film: ['Best film ever?', 'Worst film ever?']
+});
+
+// random() always returns `value`: 0 picks the first candidate, 0.4 the second of three
+const makeEnv = (value = 0, questions = QUESTIONS) => ({ questions, random: () => value, now: () => NOW });
+
+const makeRoom = (playerCount = 3, settings = {}) => {
+  const players = Array.from({ length: playerCount }, (_, i) => createPlayer(`p${i + 1}`, `Player ${i + 1}`, i === 0));
+  return {
+    roomCode: 'ROOM1',
+    settings: {
+      turnTimer: 30, guessTimer: 300, totalQuestions: 3, lateAnswerPolicy: 'grace', lateAnswerGrace: 15,
+      scoringEnabled: true, lastChanceEnabled: false, lastChanceSeconds: 30, lastChanceJudge: 'host',
+      imposterMode: 'fixed', imposterCount: 1, playersPerImposter: 5, impostersKnowEachOther: false,
+      ...settings
+    },
+    players,
+    spectators: [],
+    sessions: {},
+    locked: false,
+    bans: { names: [], clientIds: [] },
+    gameState: {
+      status: 'lobby', roundNumber: 0, usedQuestionKeys: [], answers: {}, votes: {}, roundHistory: [],
+      lastChance: null, imposterIds: [], currentQuestion: null, turnTimer: null, guessTimer: null,
+      revealedData: null, summary: null
+    }
+  };
+};
+
+// Applies commands one after another; returns the final room and result plus every event along the way
+const run = (room, commands, env = makeEnv()) => {
+  let outcome = { room, events: [], result: null };
+  const events = [];
+  commands.forEach(command => {
+    outcome = applyCommand(outcome.room, command, env);
+    events.push(...outcome.events);
+  });
+  return { ...outcome, events };
+};
+
+const eventNames = (events) => events.map(e => e.event);
+const findEvent = (events, name) => events.find(e => e.event === name);
+
+const assertEventError = (fn, code) => {
+  assert.throws(fn, error => error.code === code);
+};
+
+// Room in the answering phase; with random 0.4 and three players, p2 is the imposter
+const startedRoom = (settings = {}, playerCount = 3, random = 0.4) =>
+  run(makeRoom(playerCount, settings), [{ type: 'startGame', playerId: 'p1' }], makeEnv(random)).room;
+
+const answerAll = (room) => room.players.map(p => ({ type: 'submitAnswer', playerId: p.id, answerText: `answer ${p.id}` }));
+
+const votingRoom = (settings = {}, playerCount = 3) => {
+  const room = startedRoom(settings, playerCount);
+  return run(room, [...answerAll(room), { type: 'closeGuessing', playerId: 'p1' }]).room;
+};
+
+describe('applyCommand', () => {
+  it('never modifies the room it is given', () => {
+    const room = makeRoom();
+    const snapshot = structuredClone(room);
+    applyCommand(room, { type: 'startGame', playerId: 'p1' }, makeEnv());
+    assert.deepEqual(room, snapshot);
+  });
+
+  it('leaves the room unchanged when a command is rejected', () => {
+    const room = makeRoom();
+    assertEventError(() => applyCommand(room, { type: 'startGame', playerId: 'p2' }, makeEnv()), ERROR_CODES.NOT_HOST);
+    assert.equal(room.gameState.status, 'lobby');
+  });
+
+  it('throws a plain error for unknown commands', () => {
+    assert.throws(() => applyCommand(makeRoom(), { type: 'teleport' }, makeEnv()), /Unknown game command/);
+  });
+
+  it('copies event payloads so later changes do not leak into them', () => {
+    const room = startedRoom();
+    const { events } = run(room, [{ type: 'submitAnswer', playerId: 'p1', answerText: 'hi' }]);
+    const state = findEvent(events, 'updateRoomState');
+    assert.equal(state.payload.players.find(p => p.id === 'p1').hasAnswered, true);
+    assert.notEqual(state.payload.players, room.players);
+  });
+});
+
+describe('seeded randomness', () => {
+  // No env.random, so the room's own generator picks
+  const seededEnv = { questions: QUESTIONS, now: () => NOW };
+  const playGame = (seed) => {
+    const lobby = { ...makeRoom(5), rng: createRng(seed) };
+    const rounds = [];
+    let { room } = run(lobby, [{ type: 'startGame', playerId: 'p1' }], seededEnv);
+    for (let round = 1; round <= 3; round += 1) {
+      rounds.push({ question: room.gameState.currentQuestion.real, imposterIds: room.gameState.imposterIds });
+      room = run(room, [...answerAll(room), { type: 'closeGuessing', playerId: 'p1' }, { type: 'closeVoting', playerId: 'p1' }], seededEnv).room;
+      if (round < 3) room = run(room, [{ type: 'nextQuestion', playerId: 'p1' }], seededEnv).room;
+    }
+    return rounds;
+  };
+
+  it('plays the same questions and imposters for the same seed', () => {
+    assert.deepEqual(playGame('bug-report-42'), playGame('bug-report-42'));
+  });
+
+  it('plays a different game for a different seed', () => {
+    assert.notDeepEqual(playGame('seed-one'), playGame('seed-two'));
+  });
+
+  it('keeps the generator state in the returned room', () => {
+    const lobby = { ...makeRoom(), rng: createRng('state') };
+    const { room } = run(lobby, [{ type: 'startGame', playerId: 'p1' }], seededEnv);
+    assert.equal(room.rng.seed, 'state');
+    assert.notEqual(room.rng.state, lobby.rng.state);
+  });
+});
+
+describe('startGame', () => {
+  it('only lets the host start', () => {
+    assertEventError(() => run(makeRoom(), [{ type: 'startGame', playerId: 'p2' }]), ERROR_CODES.NOT_HOST);
+  });
+
+  it('needs at least MIN_PLAYERS players', () => {
+    assertEventError(() => run(makeRoom(MIN_PLAYERS - 1), [{ type: 'startGame', playerId: 'p1' }]), ERROR_CODES.NOT_ENOUGH_PLAYERS);
+  });
+
+  it('needs questions', () => {
+    assertEventError(() => run(makeRoom(), [{ type: 'startGame', playerId: 'p1' }], makeEnv(0, {})), ERROR_CODES.NO_QUESTIONS);
+  });
+
+  it('cannot start twice', () => {
+    const room = startedRoom();
+    assertEventError(() => run(room, [{ type: 'startGame', playerId: 'p1' }]), ERROR_CODES.WRONG_PHASE);
+  });
+
+  it('starts round one with a question, an imposter and the turn timer', () => {
+    const { room, events } = run(makeRoom(), [{ type: 'startGame', playerId: 'p1' }], makeEnv(0.4));
+    const { gameState } = room;
+    assert.equal(gameState.status, 'playing');
+    assert.equal(gameState.roundNumber, 1);
+    assert.deepEqual(gameState.usedQuestionKeys, ['food']);
+    assert.deepEqual(gameState.currentQuestion, {
+      real: 'Best pizza topping?', fake: 'Worst pizza topping?', answerType: 'text',
+      historyRecord: { real: 'Best pizza topping?', fake: 'Worst pizza topping?', askedAt: NOW }
+    });
+    assert.deepEqual(gameState.imposterIds, ['p2']);
+    assert.deepEqual(gameState.turnTimer, { remaining: 30, isPaused: false, overtime: null });
+    assert.deepEqual(eventNames(events), ['gameStarted', 'newRound', 'newRound', 'newRound', 'turnTimerTick']);
+  });
+
+  it('sends each player the question for their role', () => {
+    const { events } = run(makeRoom(), [{ type: 'startGame', playerId: 'p1' }], makeEnv(0.4));
+    const rounds = Object.fromEntries(events.filter(e => e.event === 'newRound').map(e => [e.to, e.payload]));
+    assert.equal(rounds.p1.question, 'Best pizza topping?');
+    assert.equal(rounds.p2.question, 'Worst pizza topping?');
+    assert.equal(rounds.p2.isImposter, true);
+    assert.equal(rounds.p3.isImposter, false);
+    assert.equal(rounds.p2.fellowImposters, undefined);
+  });
+
+  it('sends spectators the real question', () => {
+    const lobby = makeRoom();
+    lobby.spectators.push({ id: 's1', name: 'Watcher', isSpectator: true, connected: true, joinNextRound: false });
+    const { events } = run(lobby, [{ type: 'startGame', playerId: 'p1' }], makeEnv(0.4));
+    const spectatorRound = events.find(e => e.event === 'newRound' && e.to === 's1').payload;
+    assert.equal(spectatorRound.question, 'Best pizza topping?');
+    assert.equal(spectatorRound.isSpectator, true);
+  });
+
+  it('tells imposters about each other when the room allows it', () => {
+    const { room, events } = run(makeRoom(4, { imposterCount: 2, impostersKnowEachOther: true }), [{ type: 'startGame', playerId: 'p1' }]);
+    assert.deepEqual(room.gameState.imposterIds, ['p1', 'p2']);
+    const p1Round = events.find(e => e.event === 'newRound' && e.to === 'p1').payload;
+    assert.deepEqual(p1Round.fellowImposters, [{ id: 'p2', name: 'Player 2' }]);
+  });
+
+  it('starts with fewer questions than rounds', () => {
+    const { room } = run(makeRoom(3, { totalQuestions: 4 }), [{ type: 'startGame', playerId: 'p1' }]);
+    assert.equal(room.gameState.status, 'playing');
+  });
+
+  it('only draws questions from the room\'s categories and rating', () => {
+    const { questions } = normalizeQuestionBank({
+      questions: {
+        pets: { real: 'Favourite pet?', fake: 'Least favourite pet?', category: 'animals', rating: 'family' },
+        zoo: { real: 'Best zoo animal?', fake: 'Worst zoo animal?', category: 'animals', rating: 'adult' },
+        food: { real: 'Best pizza topping?', fake: 'Worst pizza topping?', category: 'food', rating: 'family' }
+      }
+    });
+    const lobby = makeRoom(3, { totalQuestions: 1, categories: ['animals'], rating: 'family' });
+    const { room } = run(lobby, [{ type: 'startGame', playerId: 'p1' }], makeEnv(0.9, questions));
+    assert.deepEqual(room.gameState.usedQuestionKeys, ['pets']);
+  });
+
+  it('checks availability against the filtered questions', () => {
+    const { questions } = normalizeQuestionBank({
+      questions: { pets: { real: 'Favourite pet?', fake: 'Least favourite pet?', category: 'animals' } }
+    });
+    const startIn = (settings) => () =>
+      run(makeRoom(3, settings), [{ type: 'startGame', playerId: 'p1' }], makeEnv(0, questions));
+    assertEventError(startIn({ totalQuestions: 1, categories: ['food'] }), ERROR_CODES.NO_QUESTIONS);
+    assert.equal(startIn({ totalQuestions: 2, categories: ['animals'] })().room.gameState.status, 'playing');
+  });
+
+  it('plays the room\'s question pack alone or mixed with the bank', () => {
+    const questionPack = { questions: { 'pack:1': { ...QUESTIONS.pets, real: 'Best inside joke?' } } };
+    const startWith = (questionSource, totalQuestions) => run(
+      { ...makeRoom(3, { questionSource, totalQuestions }), questionPack },
+      [{ type: 'startGame', playerId: 'p1' }], makeEnv(0.99)
+    ).room.gameState;
+    assert.deepEqual(startWith('pack', 1).usedQuestionKeys, ['pack:1']);
+    assert.equal(startWith('pack', 1).currentQuestion.real, 'Best inside joke?');
+    assert.deepEqual(startWith('mixed', 4).usedQuestionKeys, ['pack:1']);
+    assert.deepEqual(startWith('bank', 3).usedQuestionKeys, ['film']);
+  });
+
+  it('needs a question pack to play one', () => {
+    assertEventError(() => run(makeRoom(3, { questionSource: 'pack', totalQuestions: 1 }), [{ type: 'startGame', playerId: 'p1' }]), ERROR_CODES.NO_QUESTIONS);
+  });
+
+  it('tells players the answer type of the question', () => {
+    const { questions } = normalizeQuestionBank({
+      questions: { age: { real: 'Age of your first kiss?', fake: 'Pick a number from 1 to 80.', answerType: 'number', min: 1, max: 80 } }
+    });
+    const { events } = run(makeRoom(3, { totalQuestions: 1 }), [{ type: 'startGame', playerId: 'p1' }], makeEnv(0, questions));
+    assert.equal(findEvent(events, 'newRound').payload.answerType, 'number');
+    assert.deepEqual(findEvent(events, 'newRound').payload.answerRange, { min: 1, max: 80 });
+  });
+
+  it('resets scores from an earlier game', () => {
+    const lobby = makeRoom();
+    lobby.players[0].score = 7;
+    const { room } = run(lobby, [{ type: 'startGame', playerId: 'p1' }]);
+    assert.equal(room.players[0].score, 0);
+  });
+});
+
+describe('getImposterCount', () => {
+  it('uses the fixed count but always leaves one real player', () => {
+    assert.equal(getImposterCount({ imposterMode: 'fixed', imposterCount: 2 }, 5), 2);
+    assert.equal(getImposterCount({ imposterMode: 'fixed', imposterCount: 5 }, 3), 2);
+  });
+
+  it('scales with the number of players, with at least one imposter', () => {
+    assert.equal(getImposterCount({ imposterMode: 'scaled', playersPerImposter: 4 }, 9), 2);
+    assert.equal(getImposterCount({ imposterMode: 'scaled', playersPerImposter: 4 }, 3), 1);
+  });
+});
+
+describe('imposter selection', () => {
+  // Starts a game in a room whose earlier picks were `history`
+  const startWith = (imposterSelection, history, { playerCount = 3, random = 0, imposterCount = 1 } = {}) => {
+    const room = makeRoom(playerCount, { imposterSelection, imposterCount });
+    room.gameState.imposterHistory = history;
+    return run(room, [{ type: 'startGame', playerId: 'p1' }], makeEnv(random)).room.gameState;
+  };
+
+  it('keeps every pick in the game state, across games', () => {
+    const first = startWith('random', undefined, { random: 0.4 });
+    assert.deepEqual(first.imposterIds, ['p2']);
+    assert.deepEqual(first.imposterHistory, { rounds: [['p2']], rotation: ['p2'] });
+    const second = startWith('random', first.imposterHistory, { random: 0.4 });
+    assert.deepEqual(second.imposterHistory.rounds, [['p2'], ['p2']]);
+  });
+
+  it('gives everyone the same odds with pure random', () => {
+    assert.deepEqual(startWith('random', { rounds: [['p2']], rotation: ['p2'] }, { random: 0.6 }).imposterIds, ['p2']);
+  });
+
+  it('lowers the odds of recent imposters with weighted random', () => {
+    // Weights 3 / 1 / 3: p2 was imposter last round, the others never were
+    const history = { rounds: [['p2']], rotation: ['p2'] };
+    assert.deepEqual(startWith('weighted', history, { random: 0.6 }).imposterIds, ['p3']);
+    assert.deepEqual(startWith('weighted', history, { random: 0.45 }).imposterIds, ['p2']);
+  });
+
+  it('gives everyone a turn before anyone repeats with strict rotation', () => {
+    const last = startWith('rotation', { rounds: [['p1'], ['p2']], rotation: ['p1', 'p2'] });
+    assert.deepEqual(last.imposterIds, ['p3']);
+    assert.deepEqual(last.imposterHistory.rotation, []);
+    assert.deepEqual(startWith('rotation', last.imposterHistory).imposterIds, ['p1']);
+  });
+
+  it('starts a new rotation cycle partway through a round', () => {
+    const state = startWith('rotation', { rounds: [], rotation: ['p1', 'p2', 'p3'] }, { playerCount: 4, imposterCount: 2 });
+    assert.deepEqual(state.imposterIds, ['p4', 'p1']);
+    assert.deepEqual(state.imposterHistory.rotation, ['p1']);
+  });
+
+  it('drops players who left from the rotation', () => {
+    assert.deepEqual(startWith('rotation', { rounds: [], rotation: ['p1', 'gone', 'p2'] }).imposterIds, ['p3']);
+    assert.deepEqual(startWith('rotation', { rounds: [], rotation: ['p1', 'p2'] }, { playerCount: 2 }).imposterIds, ['p1']);
+  });
+});
+
+describe('answering', () => {
+  it('rejects spectators, duplicate answers and late answers', () => {
+    const room = startedRoom();
+    assertEventError(() => run(room, [{ type: 'submitAnswer', playerId: 'nobody', answerText: 'x' }]), ERROR_CODES.NOT_IN_ROOM);
+    const answered = run(room, [{ type: 'submitAnswer', playerId: 'p1', answerText: 'x' }]).room;
+    assertEventError(() => run(answered, [{ type: 'submitAnswer', playerId: 'p1', answerText: 'y' }]), ERROR_CODES.ALREADY_ANSWERED);
+    assertEventError(() => run(makeRoom(), [{ type: 'submitAnswer', playerId: 'p1', answerText: 'x' }]), ERROR_CODES.WRONG_PHASE);
+  });
+
+  it('trims answers and cuts them to 150 characters', () => {
+    const { result } = run(startedRoom(), [{ type: 'submitAnswer', playerId: 'p1', answerText: `  ${'a'.repeat(200)}  ` }]);
+    assert.equal(result.answer, 'a'.repeat(150));
+  });
+
+  describe('number questions', () => {
+    const { questions: NUMBER_QUESTIONS } = normalizeQuestionBank({
+      questions: { hours: { real: 'Hours of work a week?', fake: 'Pick a number from 0 to 80.', answerType: 'number', min: 0, max: 80 } }
+    });
+    const numberRoom = () => run(makeRoom(4, { totalQuestions: 1 }), [{ type: 'startGame', playerId: 'p1' }], makeEnv(0, NUMBER_QUESTIONS)).room;
+    const answer = (room, playerId, answerText) => run(room, [{ type: 'submitAnswer', playerId, answerText }], makeEnv(0, NUMBER_QUESTIONS));
+
+    it('accepts numbers inside the range in plain form', () => {
+      assert.equal(answer(numberRoom(), 'p1', ' 040 ').result.answer, '40');
+      assert.equal(answer(numberRoom(), 'p1', '7.5').result.answer, '7.5');
+    });
+
+    it('rejects anything else', () => {
+      ['', 'forty', '81', '-1', 'Infinity'].forEach(answerText => {
+        assertEventError(() => answer(numberRoom(), 'p1', answerText), ERROR_CODES.INVALID_ANSWER);
+      });
+    });
+
+    it('sends the answers for a number line with the outliers', () => {
+      const room = numberRoom();
+      const { events } = run(room, [['p1', '38'], ['p2', '40'], ['p3', '45'], ['p4', '5']]
+        .map(([playerId, answerText]) => ({ type: 'submitAnswer', playerId, answerText })), makeEnv(0, NUMBER_QUESTIONS));
+      const payload = findEvent(events, 'allAnswersIn').payload;
+      assert.equal(payload.answerType, 'number');
+      assert.deepEqual(payload.numberLine, { min: 0, max: 80, outlierIds: ['p4'] });
+    });
+  });
+
+  it('sends no number line for text questions', () => {
+    const room = startedRoom();
+    const { events } = run(room, answerAll(room));
+    assert.equal(findEvent(events, 'allAnswersIn').payload.numberLine, null);
+  });
+
+  it('moves on to guessing once everyone has answered', () => {
+    const room = startedRoom();
+    const { room: after, events } = run(room, answerAll(room));
+    assert.equal(after.gameState.status, 'guessing');
+    assert.deepEqual(eventNames(events).slice(-3), ['updateRoomState', 'allAnswersIn', 'guessTimerTick']);
+    const allAnswers = findEvent(events, 'allAnswersIn').payload;
+    assert.equal(allAnswers.realQuestion, 'Best pizza topping?');
+    assert.deepEqual(allAnswers.missingAnswerIds, []);
+    assert.deepEqual(after.gameState.guessTimer, { remaining: 300, isPaused: false });
+  });
+
+  it('lets the host close answering, marking missing answers', () => {
+    const room = startedRoom();
+    assertEventError(() => run(room, [{ type: 'closeAnswering', playerId: 'p2' }]), ERROR_CODES.NOT_HOST);
+    const { room: after, events } = run(room, [
+      { type: 'submitAnswer', playerId: 'p1', answerText: 'x' },
+      { type: 'closeAnswering', playerId: 'p1' }
+    ]);
+    assert.equal(after.gameState.status, 'guessing');
+    assert.deepEqual(findEvent(events, 'allAnswersIn').payload.missingAnswerIds.sort(), ['p2', 'p3']);
+  });
+});
+
+describe('turn timer', () => {
+  const tick = { type: 'tick', timer: 'turn' };
+  const ticks = (count) => Array.from({ length: count }, () => tick);
+
+  it('counts down once per tick', () => {
+    const { room, events } = run(startedRoom(), ticks(3));
+    assert.equal(room.gameState.turnTimer.remaining, 27);
+    assert.deepEqual(eventNames(events), ['turnTimerTick', 'turnTimerTick', 'turnTimerTick']);
+  });
+
+  it('closes answering at zero under the strict policy', () => {
+    const { room } = run(startedRoom({ turnTimer: 5, lateAnswerPolicy: 'strict' }), ticks(5));
+    assert.equal(room.gameState.status, 'guessing');
+  });
+
+  it('allows late answers for the grace period', () => {
+    const room = startedRoom({ turnTimer: 5, lateAnswerPolicy: 'grace', lateAnswerGrace: 3 });
+    const inGrace = run(room, ticks(7)).room;
+    assert.equal(inGrace.gameState.status, 'playing');
+    assert.equal(inGrace.gameState.turnTimer.overtime, 2);
+    assert.equal(run(inGrace, ticks(1)).room.gameState.status, 'guessing');
+  });
+
+  it('closes at zero when the grace period is zero', () => {
+    const { room } = run(startedRoom({ turnTimer: 5, lateAnswerGrace: 0 }), ticks(5));
+    assert.equal(room.gameState.status, 'guessing');
+  });
+
+  it('waits for everyone under the wait policy', () => {
+    const { room, events } = run(startedRoom({ turnTimer: 5, lateAnswerPolicy: 'wait' }), ticks(50));
+    assert.equal(room.gameState.status, 'playing');
+    assert.equal(room.gameState.turnTimer.overtime, 45);
+    assert.equal(events[events.length - 1].payload.graceRemaining, null);
+  });
+
+  it('does not tick while paused', () => {
+    const room = startedRoom();
+    const { room: after, result } = run(room, [{ type: 'controlTimer', playerId: 'p1', timer: 'turn', action: 'pause' }, ...ticks(5)]);
+    assert.equal(after.gameState.turnTimer.remaining, 30);
+    assert.equal(result, null);
+  });
+
+  it('lets only the host extend it, within limits, ending overtime', () => {
+    const room = startedRoom({ turnTimer: 5, lateAnswerPolicy: 'wait' });
+    assertEventError(() => run(room, [{ type: 'controlTimer', playerId: 'p2', timer: 'turn', action: 'extend' }]), ERROR_CODES.NOT_HOST);
+    const overtime = run(room, ticks(7)).room;
+    const { result, room: extended } = run(overtime, [{ type: 'controlTimer', playerId: 'p1', timer: 'turn', action: 'extend' }]);
+    assert.deepEqual(result, { remaining: 30, isPaused: false });
+    assert.equal(extended.gameState.turnTimer.overtime, null);
+    const capped = run(extended, [{ type: 'controlTimer', playerId: 'p1', timer: 'turn', action: 'extend', seconds: 5000 }]).result;
+    assert.equal(capped.remaining, 630);
+  });
+
+  it('ignores ticks outside its phase', () => {
+    const room = startedRoom();
+    const guessing = run(room, answerAll(room)).room;
+    const { room: after, events } = run(guessing, ticks(3));
+    assert.deepEqual(events, []);
+    assert.deepEqual(after, guessing);
+  });
+
+  it('rejects controls for a timer that is not running', () => {
+    assertEventError(() => run(startedRoom(), [{ type: 'controlTimer', playerId: 'p1', timer: 'guess', action: 'pause' }]), ERROR_CODES.WRONG_PHASE);
+  });
+});
+
+describe('guessing', () => {
+  const guessingRoom = (settings) => {
+    const room = startedRoom(settings);
+    return run(room, answerAll(room)).room;
+  };
+
+  it('opens voting when the guess timer runs out', () => {
+    const ticks = Array.from({ length: 10 }, () => ({ type: 'tick', timer: 'guess' }));
+    const { room, events } = run(guessingRoom({ guessTimer: 10 }), ticks);
+    assert.equal(room.gameState.status, 'voting');
+    assert.deepEqual(eventNames(events).slice(-2), ['guessTimerTick', 'votingStarted']);
+  });
+
+  it('lets only the host skip the guess timer', () => {
+    const room = guessingRoom();
+    assertEventError(() => run(room, [{ type: 'closeGuessing', playerId: 'p3' }]), ERROR_CODES.NOT_HOST);
+    assert.equal(run(room, [{ type: 'closeGuessing', playerId: 'p1' }]).room.gameState.status, 'voting');
+    assertEventError(() => run(startedRoom(), [{ type: 'closeGuessing', playerId: 'p1' }]), ERROR_CODES.WRONG_PHASE);
+  });
+});
+
+describe('voting', () => {
+  it('rejects votes for yourself or players who are not in the room', () => {
+    const room = votingRoom();
+    assertEventError(() => run(room, [{ type: 'castVote', playerId: 'p1', targetId: 'p1' }]), ERROR_CODES.INVALID_TARGET);
+    assertEventError(() => run(room, [{ type: 'castVote', playerId: 'p1', targetId: 'ghost' }]), ERROR_CODES.INVALID_TARGET);
+  });
+
+  it('keeps votes secret and lets players change them', () => {
+    const { room, events } = run(votingRoom(), [
+      { type: 'castVote', playerId: 'p1', targetId: 'p3' },
+      { type: 'castVote', playerId: 'p1', targetId: 'p2' }
+    ]);
+    assert.equal(room.gameState.votes.p1, 'p2');
+    assert.deepEqual(eventNames(events), ['updateRoomState', 'updateRoomState']);
+  });
+
+  it('reveals and scores once everyone has voted', () => {
+    const { room, events } = run(votingRoom(), [
+      { type: 'castVote', playerId: 'p1', targetId: 'p2' },
+      { type: 'castVote', playerId: 'p2', targetId: 'p3' },
+      { type: 'castVote', playerId: 'p3', targetId: 'p2' }
+    ]);
+    assert.equal(room.gameState.status, 'revealing');
+    const reveal = findEvent(events, 'reveal').payload;
+    assert.equal(reveal.accusedId, 'p2');
+    assert.equal(reveal.imposterCaught, true);
+    assert.deepEqual(reveal.imposterNames, ['Player 2']);
+    assert.deepEqual(room.players.map(p => p.score), [2, 0, 2]);
+    assert.equal(room.gameState.roundHistory.length, 1);
+    assert.ok(findEvent(events, 'scoreUpdate'));
+  });
+
+  it('counts players who did not vote as abstaining when the host closes voting', () => {
+    const room = votingRoom();
+    assertEventError(() => run(room, [{ type: 'closeVoting', playerId: 'p2' }]), ERROR_CODES.NOT_HOST);
+    const { room: after } = run(room, [
+      { type: 'castVote', playerId: 'p1', targetId: 'p3' },
+      { type: 'closeVoting', playerId: 'p1' }
+    ]);
+    assert.deepEqual(after.gameState.votes, { p1: 'p3', p2: null, p3: null });
+    assert.equal(after.gameState.revealedData.imposterCaught, false);
+    assert.deepEqual(after.players.map(p => p.score), [0, 3, 0]);
+  });
+
+  it('skips scoring when it is turned off', () => {
+    const { room, events } = run(votingRoom({ scoringEnabled: false }), [{ type: 'closeVoting', playerId: 'p1' }]);
+    assert.equal(findEvent(events, 'scoreUpdate'), undefined);
+    assert.deepEqual(room.gameState.roundHistory, []);
+  });
+});
+
+describe('tallyVotes', () => {
+  it('accuses the single most-voted player', () => {
+    const result = tallyVotes({ a: 'c', b: 'c', c: 'a' }, ['c']);
+    assert.equal(result.accusedId, 'c');
+    assert.equal(result.imposterCaught, true);
+  });
+
+  it('accuses nobody on a tie or when everyone abstains', () => {
+    const tie = tallyVotes({ a: 'b', b: 'a' }, ['a']);
+    assert.equal(tie.isTie, true);
+    assert.equal(tie.accusedId, null);
+    const abstained = tallyVotes({ a: null, b: null }, ['a']);
+    assert.equal(abstained.abstainCount, 2);
+    assert.equal(abstained.accusedId, null);
+    assert.equal(abstained.isTie, false);
+  });
+});
+
+describe('findNumberOutliers', () => {
+  const range = { min: 0, max: 100 };
+
+  it('flags answers far from the rest', () => {
+    assert.deepEqual(findNumberOutliers({ a: '10', b: '12', c: '15', d: '90' }, range), ['d']);
+    assert.deepEqual(findNumberOutliers({ a: '10', b: '10', c: '10', d: '30' }, range), ['d']);
+  });
+
+  it('leaves close answers, missing answers and tiny groups alone', () => {
+    assert.deepEqual(findNumberOutliers({ a: '10', b: '12', c: '15', d: '19' }, range), []);
+    assert.deepEqual(findNumberOutliers({ a: '10', b: null, c: '90' }, range), []);
+  });
+});
+
+describe('scoreRound', () => {
+  const players = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }, { id: 'c', name: 'C' }];
+
+  it('rewards correct votes and imposters who blend in', () => {
+    const caught = scoreRound(players, ['c'], tallyVotes({ a: 'c', b: 'c', c: 'a' }, ['c']));
+    assert.deepEqual(caught.map(entry => entry.points), [2, 2, 0]);
+    const blended = scoreRound(players, ['c'], tallyVotes({ a: 'b', b: 'a', c: 'a' }, ['c']));
+    assert.deepEqual(blended.map(entry => entry.points), [0, 0, 3]);
+    assert.deepEqual(blended[2].reasons, ['survived', 'blended in']);
+  });
+});
+
+describe('last-chance guess', () => {
+  const catchImposter = (settings) => run(votingRoom({ lastChanceEnabled: true, ...settings }), [
+    { type: 'castVote', playerId: 'p1', targetId: 'p2' },
+    { type: 'castVote', playerId: 'p3', targetId: 'p2' },
+    { type: 'closeVoting', playerId: 'p1' }
+  ]);
+
+  it('starts when a caught imposter gets a last chance', () => {
+    const { room, events } = catchImposter();
+    assert.equal(room.gameState.lastChance.status, 'guessing');
+    assert.equal(room.gameState.lastChance.judge, 'host');
+    assert.equal(findEvent(events, 'lastChanceStarted').payload.imposterId, 'p2');
+    assert.equal(getRunningTimers(room).lastChance, true);
+  });
+
+  it('only takes a guess from the caught imposter', () => {
+    const { room } = catchImposter();
+    assertEventError(() => run(room, [{ type: 'submitLastChanceGuess', playerId: 'p1', guessText: 'x' }]), ERROR_CODES.NOT_IN_ROOM);
+    const judging = run(room, [{ type: 'submitLastChanceGuess', playerId: 'p2', guessText: ' pizza ' }]);
+    assert.equal(judging.result.guess, 'pizza');
+    assert.equal(judging.room.gameState.lastChance.status, 'judging');
+    assert.equal(getRunningTimers(judging.room).lastChance, false);
+  });
+
+  it('awards points when the host accepts the guess', () => {
+    const { room } = catchImposter();
+    const judging = run(room, [{ type: 'submitLastChanceGuess', playerId: 'p2', guessText: 'pizza' }]).room;
+    assertEventError(() => run(judging, [{ type: 'judgeLastChance', playerId: 'p3', accepted: true }]), ERROR_CODES.NOT_HOST);
+    assertEventError(() => run(judging, [{ type: 'judgeLastChance', playerId: 'p2', accepted: true }]), ERROR_CODES.NOT_IN_ROOM);
+    const { room: done, events } = run(judging, [{ type: 'judgeLastChance', playerId: 'p1', accepted: true }]);
+    assert.equal(done.gameState.lastChance.accepted, true);
+    assert.equal(done.players.find(p => p.id === 'p2').score, 2);
+    assert.equal(done.gameState.roundHistory[0].lastChanceAccepted, true);
+    assert.deepEqual(eventNames(events), ['lastChanceResult', 'scoreUpdate']);
+  });
+
+  it('lets the group decide by majority, ties rejecting', () => {
+    const { room } = catchImposter({ lastChanceJudge: 'group' });
+    const judging = run(room, [{ type: 'submitLastChanceGuess', playerId: 'p2', guessText: 'pizza' }]).room;
+    const oneVerdict = run(judging, [{ type: 'judgeLastChance', playerId: 'p1', accepted: true }]);
+    assert.equal(oneVerdict.room.gameState.lastChance.status, 'judging');
+    const split = run(oneVerdict.room, [{ type: 'judgeLastChance', playerId: 'p3', accepted: false }]).room;
+    assert.equal(split.gameState.lastChance.accepted, false);
+  });
+
+  it('rejects the guess when time runs out', () => {
+    const { room } = catchImposter({ lastChanceSeconds: 5 });
+    const ticks = Array.from({ length: 5 }, () => ({ type: 'tick', timer: 'lastChance' }));
+    const { room: after, events } = run(room, ticks);
+    assert.equal(after.gameState.lastChance.status, 'done');
+    assert.equal(after.gameState.lastChance.accepted, false);
+    assert.deepEqual(eventNames(events).slice(-2), ['lastChanceTick', 'lastChanceResult']);
+  });
+
+  it('hands judging to the group when an imposter becomes host', () => {
+    const { room } = catchImposter();
+    room.players.forEach(p => { p.isCreator = p.id === 'p2'; });
+    const { room: after, events } = run(room, [{ type: 'hostChanged' }]);
+    assert.equal(after.gameState.lastChance.judge, 'group');
+    assert.deepEqual(eventNames(events), ['lastChanceJudgeChanged']);
+  });
+});
+
+describe('nextQuestion', () => {
+  const revealedRoom = (settings) => run(votingRoom(settings), [{ type: 'closeVoting', playerId: 'p1' }]).room;
+
+  it('waits for the reveal and an open last chance', () => {
+    assertEventError(() => run(votingRoom(), [{ type: 'nextQuestion', playerId: 'p1' }]), ERROR_CODES.WRONG_PHASE);
+    const lastChanceRoom = run(votingRoom({ lastChanceEnabled: true }), [
+      { type: 'castVote', playerId: 'p1', targetId: 'p2' },
+      { type: 'castVote', playerId: 'p3', targetId: 'p2' },
+      { type: 'closeVoting', playerId: 'p1' }
+    ]).room;
+    assertEventError(() => run(lastChanceRoom, [{ type: 'nextQuestion', playerId: 'p1' }]), ERROR_CODES.LAST_CHANCE_OPEN);
+  });
+
+  it('starts the next round with an unused question', () => {
+    const room = revealedRoom();
+    assertEventError(() => run(room, [{ type: 'nextQuestion', playerId: 'p2' }]), ERROR_CODES.NOT_HOST);
+    const { room: after, result } = run(room, [{ type: 'nextQuestion', playerId: 'p1' }]);
+    assert.deepEqual(result, { gameOver: false, roundNumber: 2 });
+    assert.equal(after.gameState.status, 'playing');
+    assert.deepEqual(after.gameState.usedQuestionKeys, ['food', 'pets']);
+    assert.deepEqual(after.gameState.answers, {});
+    assert.ok(after.players.every(p => !p.hasAnswered && !p.hasVoted));
+  });
+
+  it('ends the game after the last round with a summary', () => {
+    const { room, result, events } = run(revealedRoom({ totalQuestions: 1 }), [{ type: 'nextQuestion', playerId: 'p1' }]);
+    assert.deepEqual(result, { gameOver: true });
+    assert.equal(room.gameState.status, 'gameover');
+    const { summary } = findEvent(events, 'gameOver').payload;
+    assert.equal(summary.message, 'Game finished after 1 rounds.');
+    assert.equal(summary.messageKey, 'gameFinished');
+    assert.deepEqual(summary.messageParams, { rounds: 1 });
+    assert.equal(summary.leaderboard[0].name, 'Player 2');
+    assert.equal(summary.rounds.length, 1);
+  });
+
+  it('does not repeat an asked pair the bank renamed mid-game', () => {
+    const room = revealedRoom();
+    assert.deepEqual(room.gameState.usedQuestions, { food: { real: 'Best pizza topping?', fake: 'Worst pizza topping?' } });
+    const renamed = { pizza: QUESTIONS.food, film: QUESTIONS.film };
+    const { room: after } = run(room, [{ type: 'nextQuestion', playerId: 'p1' }], makeEnv(0, renamed));
+    assert.equal(after.gameState.currentQuestion.real, 'Best film ever?');
+  });
+
+  it('asks the question in the room language and falls back to English', () => {
+    const translated = {
+      food: { ...QUESTIONS.food, translations: { es: { real: '¿Mejor ingrediente de pizza?', fake: '¿Peor ingrediente de pizza?' } } },
+      pets: QUESTIONS.pets,
+      film: QUESTIONS.film
+    };
+    const room = run(makeRoom(3, { language: 'es' }), [{ type: 'startGame', playerId: 'p1' }], makeEnv(0, translated)).room;
+    assert.equal(room.gameState.currentQuestion.real, '¿Mejor ingrediente de pizza?');
+    assert.equal(room.gameState.currentQuestion.fake, '¿Peor ingrediente de pizza?');
+    assert.deepEqual(room.gameState.usedQuestions.food, { real: 'Best pizza topping?', fake: 'Worst pizza topping?' });
+
+    const untranslated = run(makeRoom(3, { language: 'es' }), [{ type: 'startGame', playerId: 'p1' }], makeEnv(0.9, translated)).room;
+    assert.equal(untranslated.gameState.currentQuestion.real, 'Best film ever?');
+  });
+
+  it('repeats a pair instead of ending early once every pair was asked', () => {
+    const room = revealedRoom();
+    room.gameState.usedQuestionKeys = Object.keys(QUESTIONS);
+    const { room: after } = run(room, [{ type: 'nextQuestion', playerId: 'p1' }]);
+    assert.equal(after.gameState.status, 'playing');
+    assert.notEqual(after.gameState.currentQuestion.real, 'Best pizza topping?'); // The room just saw that one
+  });
+
+  it('ends the game early when no questions are left at all', () => {
+    const { room: after, events } = run(revealedRoom(), [{ type: 'nextQuestion', playerId: 'p1' }], makeEnv(0, {}));
+    assert.equal(after.gameState.status, 'gameover');
+    assert.match(findEvent(events, 'gameOver').payload.summary.message, /no questions were left/);
+  });
+
+  it('seats the spectators the host promoted', () => {
+    const room = revealedRoom();
+    room.spectators.push({ id: 's1', name: 'Late', isSpectator: true, connected: true, joinNextRound: true });
+    const { room: after, events } = run(room, [{ type: 'nextQuestion', playerId: 'p1' }]);
+    assert.deepEqual(after.spectators, []);
+    assert.equal(after.players.find(p => p.id === 's1').score, 0);
+    assert.equal(findEvent(events, 'systemMessage').payload.message, 'Late joined the game as a player.');
+    assert.equal(events.filter(e => e.event === 'newRound').length, 4);
+  });
+});
+
+describe('rating the question', () => {
+  const rate = (room, playerId, feedback) => run(room, [{ type: 'rateQuestion', playerId, feedback }]);
+  const caughtRoom = () => run(votingRoom(), [
+    { type: 'castVote', playerId: 'p1', targetId: 'p2' },
+    { type: 'castVote', playerId: 'p3', targetId: 'p2' },
+    { type: 'closeVoting', playerId: 'p1' }
+  ]).room;
+
+  it('is only open after the reveal', () => {
+    assertEventError(() => rate(votingRoom(), 'p1', 'good'), ERROR_CODES.WRONG_PHASE);
+    assertEventError(() => rate(caughtRoom(), 'p1', 'boring'), ERROR_CODES.INVALID_PAYLOAD);
+    assertEventError(() => rate(caughtRoom(), 's1', 'good'), ERROR_CODES.NOT_IN_ROOM);
+  });
+
+  it('returns the record to store, with whether the imposter was caught', () => {
+    const { room, result, events } = rate(caughtRoom(), 'p3', 'tooEasy');
+    assert.deepEqual(result, {
+      feedback: 'tooEasy',
+      record: {
+        at: NOW, roomCode: 'ROOM1', roundStartedAt: NOW, key: 'food', source: 'bank',
+        real: 'Best pizza topping?', fake: 'Worst pizza topping?', feedback: 'tooEasy', imposterCaught: true
+      }
+    });
+    assert.deepEqual(room.gameState.questionFeedback, { p3: 'tooEasy' });
+    assert.deepEqual(events, []);
+  });
+
+  it('takes one rating per player per round', () => {
+    const room = rate(caughtRoom(), 'p3', 'good').room;
+    assertEventError(() => rate(room, 'p3', 'tooHard'), ERROR_CODES.ALREADY_RATED);
+    assert.equal(rate(room, 'p2', 'tooHard').result.record.feedback, 'tooHard');
+    const nextRound = run(room, [{ type: 'nextQuestion', playerId: 'p1' }]).room;
+    assert.deepEqual(nextRound.gameState.questionFeedback, {});
+  });
+
+  it('leaves out the catch of a voided round', () => {
+    const room = startedRoom({}, 4);
+    const player = room.players.find(p => p.id === 'p2');
+    const { room: voided } = run({ ...room, players: room.players.filter(p => p.id !== 'p2') }, [{ type: 'playerLeft', player }]);
+    assert.equal(rate(voided, 'p3', 'good').result.record.imposterCaught, null);
+  });
+});
+
+describe('question history', () => {
+  const seen = (key, askedAt) => ({ real: QUESTIONS[key].real, fake: QUESTIONS[key].fake, askedAt });
+  const firstQuestion = (room, random = 0) =>
+    run(room, [{ type: 'startGame', playerId: 'p1' }], makeEnv(random)).room.gameState.currentQuestion.real;
+
+  it('prefers pairs nobody present has seen', () => {
+    const room = makeRoom();
+    setMemberQuestionHistory(room, 'p2', [seen('pets', 1)]);
+    setMemberQuestionHistory(room, 'p3', [seen('food', 2)]);
+    assert.equal(firstQuestion(room, 0.9), 'Best film ever?');
+  });
+
+  it('falls back to the pair seen longest ago', () => {
+    const room = makeRoom();
+    setMemberQuestionHistory(room, 'p2', [seen('pets', 3), seen('film', 1)]);
+    setMemberQuestionHistory(room, 'p3', [seen('food', 2)]);
+    assert.equal(firstQuestion(room, 0.9), 'Best film ever?');
+  });
+
+  it('starts a game when everyone has seen more pairs than the rounds leave room for', () => {
+    const room = makeRoom(3, { totalQuestions: 5 });
+    ['p1', 'p2', 'p3'].forEach(id => setMemberQuestionHistory(room, id, [seen('pets', 1), seen('food', 2)]));
+    const { room: started } = run(room, [{ type: 'startGame', playerId: 'p1' }]);
+    assert.equal(started.gameState.currentQuestion.real, 'Best film ever?');
+    const played = run(started, [
+      ...answerAll(started), { type: 'closeGuessing', playerId: 'p1' }, { type: 'closeVoting', playerId: 'p1' },
+      { type: 'nextQuestion', playerId: 'p1' }
+    ]).room;
+    assert.equal(played.gameState.status, 'playing');
+    assert.equal(played.gameState.currentQuestion.real, 'Favourite pet?'); // Seen longest ago
+  });
+
+  it('ignores the history of members who are not here', () => {
+    const room = makeRoom();
+    setMemberQuestionHistory(room, 'gone', [seen('pets', 1), seen('food', 2)]);
+    assert.equal(firstQuestion(room), 'Favourite pet?');
+  });
+
+  it('keeps only well-formed records and forgets empty histories', () => {
+    const room = makeRoom();
+    setMemberQuestionHistory(room, 'p2', [seen('pets', 2), { real: 'No fake?', askedAt: 1 }, 'junk', seen('food', 1)]);
+    assert.deepEqual(room.questionHistory.members.p2, [seen('food', 1), seen('pets', 2)]);
+    setMemberQuestionHistory(room, 'p2', undefined);
+    assert.deepEqual(room.questionHistory.members, {});
+  });
+
+  it('carries the history over when the room plays again', () => {
+    const finished = run(makeRoom(3, { totalQuestions: 1 }), [
+      { type: 'startGame', playerId: 'p1' },
+      ...answerAll(makeRoom()),
+      { type: 'closeGuessing', playerId: 'p1' },
+      { type: 'closeVoting', playerId: 'p1' },
+      { type: 'nextQuestion', playerId: 'p1' }
+    ]).room;
+    assert.equal(finished.gameState.status, 'gameover');
+    assert.equal(finished.gameState.revealedData.historyRecord.real, 'Favourite pet?');
+
+    const { room: again } = run(finished, [{ type: 'startGame', playerId: 'p1' }]);
+    assert.equal(again.gameState.status, 'playing');
+    assert.deepEqual(again.gameState.usedQuestionKeys, ['food']);
+    assert.deepEqual(again.questionHistory.asked.map(record => record.real), ['Favourite pet?', 'Best pizza topping?']);
+  });
+});
+
+describe('players leaving mid-game', () => {
+  const leave = (room, playerId, wasKicked = false) => {
+    const player = room.players.find(p => p.id === playerId);
+    const remaining = { ...room, players: room.players.filter(p => p.id !== playerId) };
+    return run(remaining, [{ type: 'playerLeft', player, wasKicked }]);
+  };
+
+  it('does nothing in the lobby', () => {
+    assert.deepEqual(leave(makeRoom(), 'p3').events, []);
+  });
+
+  it('ends the game when too few players are left', () => {
+    const { room, events } = leave(startedRoom({}, 2), 'p2');
+    assert.equal(room.gameState.status, 'gameover');
+    assert.deepEqual(eventNames(events), ['systemMessage', 'systemMessage', 'gameOver']);
+  });
+
+  it('voids the round when an imposter leaves', () => {
+    const { room, events } = leave(startedRoom({}, 4), 'p2');
+    assert.equal(room.gameState.status, 'revealing');
+    assert.equal(room.gameState.revealedData.voided, true);
+    assert.deepEqual(room.gameState.revealedData.imposterNames, ['Player 2']);
+    assert.equal(room.gameState.roundHistory[0].voided, true);
+    assert.deepEqual(eventNames(events), ['systemMessage', 'reveal', 'systemMessage']);
+  });
+
+  it('moves on when everyone left has answered', () => {
+    const room = startedRoom({}, 4);
+    const answered = run(room, [
+      { type: 'submitAnswer', playerId: 'p1', answerText: 'a' },
+      { type: 'submitAnswer', playerId: 'p2', answerText: 'b' },
+      { type: 'submitAnswer', playerId: 'p3', answerText: 'c' }
+    ]).room;
+    assert.equal(leave(answered, 'p4').room.gameState.status, 'guessing');
+  });
+
+  it('asks players who voted for the leaver to vote again', () => {
+    const room = run(votingRoom({}, 4), [{ type: 'castVote', playerId: 'p1', targetId: 'p4' }]).room;
+    const { room: after, events } = leave(room, 'p4', true);
+    assert.equal(after.gameState.votes.p1, undefined);
+    assert.deepEqual(eventNames(events), ['voteCleared']);
+    assert.equal(events[0].to, 'p1');
+    assert.deepEqual(events[0].payload.messageParams, { name: 'Player 4' });
+  });
+
+  it('drops the last chance when the caught imposter leaves', () => {
+    const room = run(votingRoom({ lastChanceEnabled: true }, 4), [
+      { type: 'castVote', playerId: 'p1', targetId: 'p2' },
+      { type: 'castVote', playerId: 'p3', targetId: 'p2' },
+      { type: 'closeVoting', playerId: 'p1' }
+    ]).room;
+    const { room: after } = leave(room, 'p2');
+    assert.equal(after.gameState.lastChance.status, 'done');
+    assert.equal(after.gameState.lastChance.accepted, false);
+  });
+});
+
+describe('getRunningTimers', () => {
+  it('follows the phase', () => {
+    assert.deepEqual(getRunningTimers(makeRoom()), { turn: false, guess: false, lastChance: false });
+    const room = startedRoom();
+    assert.deepEqual(getRunningTimers(room), { turn: true, guess: false, lastChance: false });
+    assert.deepEqual(getRunningTimers(run(room, answerAll(room)).room), { turn: false, guess: true, lastChance: false });
+    assert.deepEqual(getRunningTimers(votingRoom()), { turn: false, guess: false, lastChance: false });
+  });
+});
@@ -0,0 +1,39 @@
+// Tests for the server's message catalog and the client's translations of it.
+// Run with `npm test` (node's built-in test runner).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { MESSAGES, formatMessage, buildMessage } = require('../messages');
+const { EventError, ERROR_CODES } = require('../errors');
+
+describe('formatMessage', () => {
+  it('fills in the parameters', () => {
+    assert.equal(formatMessage('playerLostConnection', { name: 'Bob', seconds: 60 }), 'Bob lost connection. Their seat is held for 60s.');
+    assert.equal(formatMessage('playerLeft'), '{name} left the game.');
+  });
+
+  it('returns unknown keys as they are', () => {
+    assert.equal(formatMessage('noSuchMessage'), 'noSuchMessage');
+  });
+
+  it('builds payload fields and errors from a key', () => {
+    assert.deepEqual(buildMessage('newHost', { name: 'Ann' }), {
+      message: 'Ann is now the host.', messageKey: 'newHost', messageParams: { name: 'Ann' }
+    });
+    const error = new EventError(ERROR_CODES.ROOM_NOT_FOUND, 'roomNotFound', { roomCode: 'ABCD' });
+    assert.equal(error.message, 'Room ABCD not found.');
+    assert.equal(error.messageKey, 'roomNotFound');
+    assert.deepEqual(error.messageParams, { roomCode: 'ABCD' });
+  });
+});
+
+describe('client translations', () => {
+  it('has a Spanish version of every message with the same parameters', () => {
+    const { server } = require(path.join(__dirname, '..', '..', 'client', 'src', 'locales', 'es.json'));
+    const params = (template) => (template.match(/\{\w+\}/g) || []).sort();
+    Object.entries(MESSAGES).forEach(([key, template]) => {
+      assert.equal(typeof server[key], 'string', `missing Spanish text for '${key}'`);
+      assert.deepEqual(params(server[key]), params(template), `parameters of '${key}' differ`);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+// Tests for loading the question bank and filtering it for a room.
+// Run with `npm test` (node's built-in test runner).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeQuestionBank, loadQuestionBank, filterQuestionKeys, summarizeCategories, localizeQuestion, DEFAULT_CATEGORY
+} = require('../questionBank');
+
+const BANK = {
+  categories: { food: 'Food & Drink', animals: 'Animals' },
+  questions: {
+    pizza: { real: 'Best pizza topping?', fake: 'Worst pizza topping?', category: 'food', tags: ['opinions'], rating: 'family' },
+    pets: { real: 'Favourite pet?', fake: 'Least favourite pet?', category: 'animals', rating: 'family' },
+    drinks: { real: 'Age of your first drink?', fake: 'Pick a number.', category: 'food', rating: 'adult', answerType: 'number', min: 10, max: 40 }
+  }
+};
+
+describe('normalizeQuestionBank', () => {
+  it('still loads the old key -> [real, fake] format', () => {
+    const { questions, categories, errors } = normalizeQuestionBank({ pets: ['Favourite pet?', 'Least favourite pet?'] });
+    assert.deepEqual(questions.pets, {
+      real: 'Favourite pet?', fake: 'Least favourite pet?', category: DEFAULT_CATEGORY, tags: [], rating: 'adult', answerType: 'text'
+    });
+    assert.deepEqual(categories, { [DEFAULT_CATEGORY]: 'General' });
+    assert.deepEqual(errors, []);
+  });
+
+  it('reads categories, tags, ratings and answer types', () => {
+    const { questions, categories } = normalizeQuestionBank(BANK);
+    assert.deepEqual(categories, { food: 'Food & Drink', animals: 'Animals' });
+    assert.equal(questions.drinks.rating, 'adult');
+    assert.equal(questions.drinks.answerType, 'number');
+    assert.deepEqual([questions.drinks.min, questions.drinks.max], [10, 40]);
+    assert.deepEqual(questions.pizza.tags, ['opinions']);
+    assert.equal('min' in questions.pizza, false);
+  });
+
+  it('skips broken entries and says why', () => {
+    const { questions, errors } = normalizeQuestionBank({
+      questions: {
+        good: { real: 'A?', fake: 'B?' },
+        short: ['Only one?'],
+        rated: { real: 'A?', fake: 'B?', rating: 'spicy' },
+        range: { real: 'A?', fake: 'B?', answerType: 'number', min: 10, max: 1 }
+      }
+    });
+    assert.deepEqual(Object.keys(questions), ['good']);
+    assert.equal(errors.length, 3);
+    assert.match(errors[1], /'rated' rating must be one of: family, adult/);
+    assert.match(errors[2], /'range' needs a number range with min below max/);
+  });
+
+  it('reads question translations and rejects incomplete ones', () => {
+    const { questions, errors } = normalizeQuestionBank({
+      questions: {
+        pets: { real: 'Favourite pet?', fake: 'Least favourite pet?', translations: { es: { real: '¿Mascota favorita?', fake: '¿Mascota menos favorita?' } } },
+        half: { real: 'A?', fake: 'B?', translations: { es: { real: '¿A?' } } },
+        klingon: { real: 'A?', fake: 'B?', translations: { tlh: { real: 'A?', fake: 'B?' } } }
+      }
+    });
+    assert.deepEqual(questions.pets.translations, { es: { real: '¿Mascota favorita?', fake: '¿Mascota menos favorita?' } });
+    assert.equal('translations' in normalizeQuestionBank(BANK).questions.pizza, false);
+    assert.deepEqual(Object.keys(questions), ['pets']);
+    assert.match(errors[0], /'half' has an incomplete 'es' translation/);
+    assert.match(errors[1], /'klingon' translations must be for: es/);
+  });
+
+  it('loads the bundled question bank without problems', () => {
+    const { questions, errors } = loadQuestionBank(path.join(__dirname, '..', 'data', 'questions.json'));
+    assert.deepEqual(errors, []);
+    assert.ok(Object.keys(questions).length > 0);
+  });
+
+  it('gives the bundled number questions the range their text asks for', () => {
+    const { questions } = loadQuestionBank(path.join(__dirname, '..', 'data', 'questions.json'));
+    Object.entries(questions).filter(([, entry]) => entry.answerType === 'number').forEach(([key, entry]) => {
+      const texts = [entry, ...Object.values(entry.translations || {})].flatMap(({ real, fake }) => [real, fake]);
+      texts.forEach(text => {
+        const numbers = (text.match(/\d+/g) || []).map(Number);
+        if (numbers.length > 0) assert.deepEqual(numbers, [entry.min, entry.max], `'${key}': ${text}`);
+      });
+    });
+  });
+});
+
+describe('filterQuestionKeys', () => {
+  const { questions } = normalizeQuestionBank(BANK);
+
+  it('uses every category and rating by default', () => {
+    assert.deepEqual(filterQuestionKeys(questions, {}), ['pizza', 'pets', 'drinks']);
+  });
+
+  it('keeps only the chosen categories', () => {
+    assert.deepEqual(filterQuestionKeys(questions, { categories: ['food'] }), ['pizza', 'drinks']);
+  });
+
+  it('leaves out adult questions for family rooms', () => {
+    assert.deepEqual(filterQuestionKeys(questions, { categories: ['food'], rating: 'family' }), ['pizza']);
+  });
+
+  it('keeps old-format pairs, which carry no rating, out of family rooms', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'question-bank-'));
+    const file = path.join(directory, 'questions.json');
+    fs.writeFileSync(file, JSON.stringify({
+      kiss_age: ['What is the average age to have your first kiss?', 'Put in a number between 1-80.']
+    }));
+    try {
+      const { questions: oldQuestions } = loadQuestionBank(file);
+      assert.deepEqual(filterQuestionKeys(oldQuestions, { rating: 'family' }), []);
+      assert.deepEqual(filterQuestionKeys(oldQuestions, { rating: 'adult' }), ['kiss_age']);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('localizeQuestion', () => {
+  it('uses the translation when there is one and English otherwise', () => {
+    const entry = { real: 'Favourite pet?', fake: 'Least favourite pet?', translations: { es: { real: '¿Mascota favorita?', fake: '¿Mascota menos favorita?' } } };
+    assert.deepEqual(localizeQuestion(entry, 'es'), entry.translations.es);
+    assert.deepEqual(localizeQuestion(entry, 'en'), { real: 'Favourite pet?', fake: 'Least favourite pet?' });
+    assert.deepEqual(localizeQuestion({ real: 'A?', fake: 'B?' }, 'es'), { real: 'A?', fake: 'B?' });
+  });
+});
+
+describe('summarizeCategories', () => {
+  it('counts the questions of each category per rating', () => {
+    assert.deepEqual(summarizeCategories(normalizeQuestionBank(BANK)), [
+      { id: 'food', label: 'Food & Drink', tags: ['opinions'], counts: { family: 1, adult: 1 } },
+      { id: 'animals', label: 'Animals', tags: [], counts: { family: 1, adult: 0 } }
+    ]);
+  });
+});
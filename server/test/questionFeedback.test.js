@@ -0,0 +1,77 @@
+// Tests for storing players' question ratings and ranking pairs from them.
+// Run with `npm test` (node's built-in test runner).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFeedbackStore, buildFeedbackReport } = require('../questionFeedback');
+
+const PIZZA = { key: 'pizza', source: 'bank', real: 'Best pizza topping?', fake: 'Worst pizza topping?' };
+const PETS = { key: 'pets', source: 'bank', real: 'Favourite pet?', fake: 'Least favourite pet?' };
+
+// One rating per element of `feedback`, all from the same round
+const roundOf = (pair, roundStartedAt, imposterCaught, feedback) =>
+  feedback.map((rating, i) => ({ at: roundStartedAt + i, roomCode: 'ROOM1', roundStartedAt, ...pair, feedback: rating, imposterCaught }));
+
+describe('feedback store', () => {
+  let directory;
+  before(() => { directory = fs.mkdtempSync(path.join(os.tmpdir(), 'question-feedback-')); });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('appends records and reads them back, skipping broken lines', () => {
+    const file = path.join(directory, 'nested', 'feedback.jsonl');
+    const store = createFeedbackStore(file);
+    assert.deepEqual(store.read(), []);
+    const [first, second] = roundOf(PIZZA, 1, true, ['tooEasy', 'good']);
+    store.record(first);
+    fs.appendFileSync(file, '{"cut short\n');
+    store.record(second);
+    assert.deepEqual(store.read(), [first, second]);
+  });
+
+  it('stores nothing without a file', () => {
+    const store = createFeedbackStore('');
+    store.record(roundOf(PIZZA, 1, true, ['good'])[0]);
+    assert.deepEqual(store.read(), []);
+  });
+});
+
+describe('buildFeedbackReport', () => {
+  it('counts each round once however many players rated it', () => {
+    const [row] = buildFeedbackReport([
+      ...roundOf(PIZZA, 1, true, ['tooEasy', 'tooEasy', 'good']),
+      ...roundOf(PIZZA, 2, false, ['good'])
+    ]);
+    assert.equal(row.rounds, 2);
+    assert.equal(row.catchRate, 0.5);
+    assert.deepEqual(row.votes, { tooEasy: 2, good: 2, tooHard: 0, total: 4 });
+    assert.equal(row.verdict, 'tooEasy');
+  });
+
+  it('ranks the most obvious pairs first and judges them', () => {
+    const rows = buildFeedbackReport([
+      ...roundOf(PETS, 1, false, ['tooHard']),
+      ...roundOf(PETS, 2, false, ['good']),
+      ...roundOf(PIZZA, 3, true, ['good']),
+      ...roundOf(PIZZA, 4, true, ['good'])
+    ], { minRounds: 2 });
+    assert.deepEqual(rows.map(row => [row.key, row.catchRate, row.verdict]), [['pizza', 1, 'tooEasy'], ['pets', 0, 'tooHard']]);
+  });
+
+  it('leaves pairs with too few rounds unjudged and voided rounds out of the catch rate', () => {
+    const [row] = buildFeedbackReport(roundOf(PIZZA, 1, null, ['tooEasy']), { minRounds: 2 });
+    assert.equal(row.catchRate, null);
+    assert.equal(row.verdict, 'needsData');
+  });
+
+  it('finds pairs in the bank by their text', () => {
+    const questions = { best_topping: { real: PIZZA.real, fake: PIZZA.fake } };
+    const rows = buildFeedbackReport([...roundOf(PIZZA, 1, true, ['good']), ...roundOf(PETS, 2, true, ['good'])], { questions });
+    assert.deepEqual(rows.map(row => [row.key, row.inBank]), [['best_topping', true], ['pets', false]]);
+  });
+
+  it('skips records that are not ratings', () => {
+    assert.deepEqual(buildFeedbackReport([null, { ...PIZZA, feedback: 'meh' }, { feedback: 'good' }]), []);
+  });
+});
@@ -0,0 +1,68 @@
+// Tests for parsing, checking and exporting custom question packs.
+// Run with `npm test` (node's built-in test runner).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuestionPack, exportQuestionPack, PACK_CATEGORY } = require('../questionPack');
+
+const reals = (pack) => Object.values(pack.questions).map(entry => entry.real);
+
+describe('parseQuestionPack', () => {
+  it('reads CSV pairs, skipping the header line', () => {
+    const pack = parseQuestionPack('csv', 'real,fake\nBest pet?,Worst pet?\r\nBest film?,Worst film?\n');
+    assert.deepEqual(reals(pack), ['Best pet?', 'Best film?']);
+    assert.deepEqual(pack.errors, []);
+    assert.equal(Object.values(pack.questions)[0].category, PACK_CATEGORY);
+  });
+
+  it('understands quoted CSV fields', () => {
+    const pack = parseQuestionPack('csv', '"Pizza, or pasta?","Say ""cheese"" - or not?"\n"Two\nlines?",Fake?');
+    assert.deepEqual(Object.values(pack.questions).map(({ real, fake }) => [real, fake]), [
+      ['Pizza, or pasta?', 'Say "cheese" - or not?'],
+      ['Two\nlines?', 'Fake?']
+    ]);
+  });
+
+  it('reports the rows it skips with their line numbers', () => {
+    const pack = parseQuestionPack('csv', 'Best pet?,Worst pet?\nJust one column\n\nA?,A?\nbest  PET?,worst pet?');
+    assert.deepEqual(reals(pack), ['Best pet?']);
+    assert.deepEqual(pack.errors.map(problem => problem.message), [
+      'Line 2 needs exactly two columns (real, fake), found 1.',
+      'Line 4 has the same real and fake question.',
+      'Line 5 repeats Line 1.'
+    ]);
+  });
+
+  it('reads JSON lists of pairs or objects', () => {
+    const pack = parseQuestionPack('json', JSON.stringify([
+      ['Best pet?', 'Worst pet?'],
+      { real: 'Age of your first kiss?', fake: 'Pick a number.', rating: 'adult', answerType: 'number' },
+      { real: 'No fake?' }
+    ]));
+    assert.deepEqual(reals(pack), ['Best pet?', 'Age of your first kiss?']);
+    assert.equal(pack.questions['pack:2'].answerType, 'number');
+    assert.deepEqual(pack.errors, [{ row: 'Item 3', message: 'Item 3 has no fake question.' }]);
+  });
+
+  it('reads question bank files', () => {
+    const pack = parseQuestionPack('json', JSON.stringify({ questions: { pets: ['Best pet?', 'Worst pet?'] } }));
+    assert.deepEqual(reals(pack), ['Best pet?']);
+  });
+
+  it('rejects text it cannot read at all', () => {
+    assert.throws(() => parseQuestionPack('json', '{ nope'), /not valid JSON/);
+    assert.throws(() => parseQuestionPack('csv', '"Unclosed,quote'), /unclosed quote/);
+    assert.throws(() => parseQuestionPack('xml', '<pack/>'), /format must be one of/);
+  });
+});
+
+describe('exportQuestionPack', () => {
+  const pack = parseQuestionPack('csv', '"Pizza, or pasta?",Worst pasta?\nBest pet?,Worst pet?');
+
+  it('exports CSV that parses back to the same pack', () => {
+    assert.deepEqual(parseQuestionPack('csv', exportQuestionPack(pack, 'csv')), pack);
+  });
+
+  it('exports JSON that parses back to the same pack', () => {
+    assert.deepEqual(parseQuestionPack('json', exportQuestionPack(pack, 'json')), pack);
+  });
+});
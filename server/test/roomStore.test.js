@@ -0,0 +1,139 @@
+// Tests for the Redis room store, run against scripts/localRedis.js.
+// Run with `npm test` (node's built-in test runner).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { createClient } = require('redis');
+const { createRedisRoomStore } = require('../roomStore');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const findFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// Starts the local Redis stand-in on a free port; resolves once it is listening
+const startLocalRedis = async () => {
+  const port = await findFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'localRedis.js')], {
+    env: { ...process.env, LOCAL_REDIS_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error(`Local Redis did not start:\n${output}`)), 10000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes(`listening on port ${port}`)) { clearTimeout(timeout); resolve(); }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => { clearTimeout(timeout); reject(new Error(`Local Redis exited with ${code}:\n${output}`)); });
+  });
+  return { url: `redis://localhost:${port}`, child };
+};
+
+describe('redis room store', () => {
+  let redis;
+  const clients = [];
+
+  // Each store gets its own connection, like separate server processes
+  const createStore = async (options) => {
+    const client = createClient({ url: redis.url });
+    clients.push(client);
+    await client.connect();
+    return { client, store: createRedisRoomStore(client, options) };
+  };
+
+  before(async () => { redis = await startLocalRedis(); });
+  after(async () => {
+    await Promise.all(clients.map(client => client.quit()));
+    redis.child.removeAllListeners('exit');
+    redis.child.kill('SIGTERM');
+  });
+
+  it('saves, lists and deletes rooms', async () => {
+    const { store } = await createStore();
+    assert.equal(await store.get('ROOM1'), null);
+    await store.save({ roomCode: 'ROOM1', players: [{ id: 'p1', name: 'Ann' }] });
+    await store.save({ roomCode: 'ROOM2', players: [] });
+    assert.deepEqual(await store.get('ROOM1'), { roomCode: 'ROOM1', players: [{ id: 'p1', name: 'Ann' }] });
+    assert.deepEqual((await store.list()).sort(), ['ROOM1', 'ROOM2']);
+
+    await store.delete('ROOM1');
+    assert.equal(await store.get('ROOM1'), null);
+    assert.deepEqual(await store.list(), ['ROOM2']);
+    await store.delete('ROOM2');
+  });
+
+  it('shares rooms between stores', async () => {
+    const { store: first } = await createStore();
+    const { store: second } = await createStore();
+    await first.save({ roomCode: 'SHARED', round: 1 });
+    assert.deepEqual(await second.get('SHARED'), { roomCode: 'SHARED', round: 1 });
+    await second.delete('SHARED');
+    assert.deepEqual(await first.list(), []);
+  });
+
+  it('runs lock holders for the same room one at a time, within and across stores', async () => {
+    const { store: first } = await createStore();
+    const { store: second } = await createStore();
+    await first.save({ roomCode: 'COUNT', count: 0 });
+
+    // Read-modify-write the way server.js's withRoom does; overlapping holders would lose updates
+    const increment = (store) => store.lock('COUNT', async () => {
+      const room = await store.get('COUNT');
+      await sleep(5);
+      await store.save({ ...room, count: room.count + 1 });
+    });
+    await Promise.all([first, second, first, second, first, second].map(increment));
+    assert.equal((await first.get('COUNT')).count, 6);
+    await first.delete('COUNT');
+  });
+
+  it('returns what the holder returns and releases the lock when it throws', async () => {
+    const { store } = await createStore({ lockTimeoutMs: 500 });
+    await assert.rejects(store.lock('THROWS', () => { throw new Error('handler failed'); }), /handler failed/);
+    assert.equal(await store.lock('THROWS', () => 'next'), 'next');
+  });
+
+  it('gives up waiting for a lock held too long', async () => {
+    const { store: holder } = await createStore();
+    const { store: waiter } = await createStore({ lockTimeoutMs: 200 });
+    let release;
+    const held = holder.lock('BUSY', () => new Promise(resolve => { release = resolve; }));
+    await sleep(50);
+    await assert.rejects(waiter.lock('BUSY', () => 'never'), /Timed out waiting for the lock on room BUSY/);
+    release();
+    await held;
+    assert.equal(await waiter.lock('BUSY', () => 'free again'), 'free again');
+  });
+
+  it('lets another store take over an expired lock, which the slow holder then leaves alone', async () => {
+    const { client, store: slow } = await createStore({ lockTtlMs: 200 });
+    const { store: other } = await createStore({ lockTtlMs: 1000 });
+    let releaseSlow;
+    let releaseOther;
+    const stuck = slow.lock('EXPIRE', () => new Promise(resolve => { releaseSlow = resolve; }));
+    await sleep(50);
+
+    const started = Date.now();
+    const takeover = other.lock('EXPIRE', () => new Promise(resolve => { releaseOther = resolve; }));
+    while (!releaseOther) await sleep(10);
+    assert.ok(Date.now() - started >= 100, 'waited for the lock to expire');
+
+    const takeoverToken = await client.get('whoIsFake:lock:EXPIRE');
+    releaseSlow();
+    await stuck;
+    assert.equal(await client.get('whoIsFake:lock:EXPIRE'), takeoverToken);
+    releaseOther();
+    await takeover;
+    assert.equal(await client.get('whoIsFake:lock:EXPIRE'), null);
+  });
+});
@@ -0,0 +1,419 @@
+// Integration tests: real Socket.IO clients against a server started on a free port.
+// Run with `npm test` (node's built-in test runner).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const EVENT_TIMEOUT_MS = 3000;
+
+const findFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// Starts server.js with its own room store file and any `env` overrides; resolves once it is listening
+const startServer = async (env = {}) => {
+  const port = await findFreePort();
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'who-is-fake-'));
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), ROOM_STORE_FILE: path.join(storageDir, 'rooms.json'), EVENT_LOG_DIR: path.join(storageDir, 'event-logs'), REDIS_URL: '', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes(`Server listening on port ${port}`)) { clearTimeout(timeout); resolve(); }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => { clearTimeout(timeout); reject(new Error(`Server exited with ${code}:\n${output}`)); });
+  });
+  return { url: `http://localhost:${port}`, child, storageDir };
+};
+
+// Starts scripts/localRedis.js on a free port; resolves once it is listening
+const startLocalRedis = async () => {
+  const port = await findFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'localRedis.js')], {
+    env: { ...process.env, LOCAL_REDIS_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error(`Local Redis did not start:\n${output}`)), 10000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes(`listening on port ${port}`)) { clearTimeout(timeout); resolve(); }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => { clearTimeout(timeout); reject(new Error(`Local Redis exited with ${code}:\n${output}`)); });
+  });
+  return { url: `redis://localhost:${port}`, child };
+};
+
+const stopServer = ({ child, storageDir }) => new Promise(resolve => {
+  child.removeAllListeners('exit');
+  child.on('exit', () => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    resolve();
+  });
+  child.kill('SIGTERM');
+});
+
+describe('socket events', () => {
+  let server;
+  const clients = [];
+
+  const connect = () => new Promise((resolve, reject) => {
+    const socket = io(server.url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    clients.push(socket);
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+
+  const emitWithAck = (socket, event, payload) => socket.timeout(EVENT_TIMEOUT_MS).emitWithAck(event, payload);
+
+  // Resolves with the payload of the next `event` that `matches`
+  const nextEvent = (socket, event, matches = () => true) => new Promise((resolve, reject) => {
+    const listener = (payload) => {
+      if (!matches(payload)) return;
+      clearTimeout(timeout);
+      socket.off(event, listener);
+      resolve(payload);
+    };
+    const timeout = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`Timed out waiting for '${event}'`));
+    }, EVENT_TIMEOUT_MS);
+    socket.on(event, listener);
+  });
+
+  // Creates a room with `playerCount` players; the first one is the host
+  const setUpRoom = async (playerCount, settings = {}) => {
+    const sockets = await Promise.all(Array.from({ length: playerCount }, connect));
+    const created = await emitWithAck(sockets[0], 'createRoom', { playerName: 'Host', settings });
+    assert.equal(created.ok, true);
+    const { roomCode } = created.result;
+    const playerIds = [created.result.playerId];
+    for (let i = 1; i < playerCount; i += 1) {
+      const joined = await emitWithAck(sockets[i], 'joinRoom', { roomCode, playerName: `Player ${i + 1}` });
+      assert.equal(joined.ok, true);
+      playerIds.push(joined.result.playerId);
+    }
+    return { roomCode, sockets, playerIds };
+  };
+
+  const startGame = async ({ roomCode, sockets }) => {
+    const rounds = Promise.all(sockets.map(socket => nextEvent(socket, 'newRound')));
+    const started = await emitWithAck(sockets[0], 'startGame', { roomCode });
+    assert.equal(started.ok, true);
+    return rounds;
+  };
+
+  before(async () => { server = await startServer(); });
+  after(async () => {
+    clients.forEach(socket => socket.disconnect());
+    await stopServer(server);
+  });
+
+  it('creates and joins a room, answering with acknowledgements', async () => {
+    const { roomCode, sockets, playerIds } = await setUpRoom(2);
+    assert.match(roomCode, /^[0-9A-F]{6}$/);
+    assert.equal(playerIds.length, 2);
+
+    const missing = await emitWithAck(sockets[1], 'joinRoom', { roomCode: 'NOPE00', playerName: 'Lost' });
+    assert.equal(missing.error.code, 'ROOM_NOT_FOUND');
+  });
+
+  it('rejects invalid payloads and non-host commands', async () => {
+    const { roomCode, sockets } = await setUpRoom(2);
+    const invalid = await emitWithAck(sockets[0], 'startGame', { roomCode: 42 });
+    assert.equal(invalid.error.code, 'INVALID_PAYLOAD');
+    const notHost = await emitWithAck(sockets[1], 'startGame', { roomCode });
+    assert.equal(notHost.error.code, 'NOT_HOST');
+  });
+
+  it('falls back to the error event when no acknowledgement is requested', async () => {
+    const { roomCode, sockets } = await setUpRoom(2);
+    const error = nextEvent(sockets[1], 'lobbyError');
+    sockets[1].emit('startGame', { roomCode });
+    assert.equal((await error).code, 'NOT_HOST');
+  });
+
+  it('plays a full round from the questions to the scores', async () => {
+    const room = await setUpRoom(3, { totalQuestions: 1 });
+    const { roomCode, sockets, playerIds } = room;
+    const rounds = await startGame(room);
+    const imposterIndexes = rounds.map((round, i) => (round.isImposter ? i : -1)).filter(i => i !== -1);
+    assert.equal(imposterIndexes.length, 1);
+    const [imposterIndex] = imposterIndexes;
+    const realQuestion = rounds.find(round => !round.isImposter).question;
+    assert.notEqual(rounds[imposterIndex].question, realQuestion);
+
+    // Number questions only take answers within their range
+    const answerText = rounds[0].answerType === 'number' ? String(rounds[0].answerRange.min) : 'Something';
+    const allAnswersIn = nextEvent(sockets[0], 'allAnswersIn');
+    for (const socket of sockets) {
+      const answered = await emitWithAck(socket, 'submitAnswer', { roomCode, answerText });
+      assert.equal(answered.ok, true);
+    }
+    assert.equal((await allAnswersIn).realQuestion, realQuestion);
+
+    const votingStarted = nextEvent(sockets[1], 'votingStarted');
+    assert.equal((await emitWithAck(sockets[0], 'skipGuessTimer', { roomCode })).ok, true);
+    await votingStarted;
+
+    // Everyone else votes for the imposter, the imposter abstains
+    const reveal = nextEvent(sockets[0], 'reveal');
+    const scoreUpdate = nextEvent(sockets[0], 'scoreUpdate');
+    for (const [i, socket] of sockets.entries()) {
+      const targetId = i === imposterIndex ? null : playerIds[imposterIndex];
+      assert.equal((await emitWithAck(socket, 'castVote', { roomCode, targetId })).ok, true);
+    }
+    const revealed = await reveal;
+    assert.equal(revealed.imposterCaught, true);
+    assert.deepEqual(revealed.imposterIds, [playerIds[imposterIndex]]);
+    const scores = await scoreUpdate;
+    assert.equal(scores.standings[0].score, 2);
+
+    const gameOver = nextEvent(sockets[2], 'gameOver');
+    const next = await emitWithAck(sockets[0], 'nextQuestion', { roomCode });
+    assert.deepEqual(next.result, { gameOver: true });
+    assert.equal((await gameOver).summary.message, 'Game finished after 1 rounds.');
+  });
+
+  it('runs the turn timer on the server', async () => {
+    const room = await setUpRoom(2, { turnTimer: 5 });
+    const firstTick = nextEvent(room.sockets[1], 'turnTimerTick');
+    const secondTick = nextEvent(room.sockets[1], 'turnTimerTick', tick => tick.remaining < 5);
+    await startGame(room);
+    assert.equal((await firstTick).remaining, 5);
+    assert.equal((await secondTick).remaining, 4);
+  });
+
+  it('lets a player reclaim their seat with the session token', async () => {
+    const host = await connect();
+    const createdEvent = nextEvent(host, 'roomCreated');
+    await emitWithAck(host, 'createRoom', { playerName: 'Host' });
+    const { roomCode, playerId, sessionToken } = await createdEvent;
+    const guest = await connect();
+    await emitWithAck(guest, 'joinRoom', { roomCode, playerName: 'Guest' });
+    await startGame({ roomCode, sockets: [host, guest] });
+
+    host.disconnect();
+    const returning = await connect();
+    const rejoined = await emitWithAck(returning, 'joinRoom', { roomCode, sessionToken });
+    assert.deepEqual(rejoined.result, { roomCode, playerId, status: 'playing', isSpectator: false });
+
+    const snapshot = nextEvent(returning, 'newRound');
+    assert.equal((await emitWithAck(returning, 'getGameRoundState', { roomCode })).ok, true);
+    assert.equal((await snapshot).roundNumber, 1);
+  });
+});
+
+describe('client addresses', () => {
+  // With one connection allowed per address, a second connection only gets in
+  // when the server believes its X-Forwarded-For header
+  const secondConnectionGetsIn = async (env) => {
+    const server = await startServer({ MAX_CONNECTIONS_PER_IP: '1', ...env });
+    const connect = (forwardedFor) => new Promise(resolve => {
+      const socket = io(server.url, {
+        transports: ['websocket'], forceNew: true, reconnection: false, extraHeaders: { 'X-Forwarded-For': forwardedFor }
+      });
+      socket.once('connect', () => resolve(socket));
+      socket.once('connect_error', () => resolve(socket));
+    });
+    try {
+      const first = await connect('203.0.113.1');
+      const second = await connect('203.0.113.2');
+      const connected = first.connected && second.connected;
+      first.disconnect();
+      second.disconnect();
+      return connected;
+    } finally {
+      await stopServer(server);
+    }
+  };
+
+  it('ignores X-Forwarded-For by default', async () => {
+    assert.equal(await secondConnectionGetsIn({}), false);
+  });
+
+  it('uses the last X-Forwarded-For entry with TRUST_PROXY=true', async () => {
+    assert.equal(await secondConnectionGetsIn({ TRUST_PROXY: 'true' }), true);
+  });
+});
+
+describe('join lockout', () => {
+  let server;
+  const clients = [];
+
+  before(async () => { server = await startServer({ FAILED_JOIN_LIMIT: '2' }); });
+  after(async () => {
+    clients.forEach(socket => socket.disconnect());
+    await stopServer(server);
+  });
+
+  const connect = () => new Promise((resolve, reject) => {
+    const socket = io(server.url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    clients.push(socket);
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+  const emitWithAck = (socket, event, payload) => socket.timeout(EVENT_TIMEOUT_MS).emitWithAck(event, payload);
+
+  it('counts wrong room codes but not stale session tokens', async () => {
+    const [host, guest] = await Promise.all([connect(), connect()]);
+    const { result: { roomCode } } = await emitWithAck(host, 'createRoom', { playerName: 'Host' });
+
+    // E.g. players coming back to a room that was closed, or whose seat is gone
+    for (const staleJoin of [{ roomCode: 'NOPE00' }, { roomCode }, { roomCode: 'NOPE01' }]) {
+      const rejected = await emitWithAck(guest, 'joinRoom', { ...staleJoin, sessionToken: 'stale', playerName: 'Guest' });
+      assert.notEqual(rejected.error.code, 'JOIN_THROTTLED');
+    }
+    assert.equal((await emitWithAck(guest, 'joinRoom', { roomCode, playerName: 'Guest' })).ok, true);
+
+    const guesser = await connect();
+    assert.equal((await emitWithAck(guesser, 'joinRoom', { roomCode: 'NOPE02', playerName: 'Guesser' })).error.code, 'ROOM_NOT_FOUND');
+    assert.equal((await emitWithAck(guesser, 'joinRoom', { roomCode: 'NOPE03', playerName: 'Guesser' })).error.code, 'ROOM_NOT_FOUND');
+    assert.equal((await emitWithAck(guesser, 'joinRoom', { roomCode, playerName: 'Guesser' })).error.code, 'JOIN_THROTTLED');
+  });
+});
+
+describe('idle rooms', () => {
+  const IDLE_ENV = { ROOM_IDLE_GAME_MS: '1500', ROOM_EXPIRY_WARNING_MS: '500', ROOM_SWEEP_INTERVAL_MS: '200' };
+  let server;
+  const clients = [];
+
+  before(async () => { server = await startServer(IDLE_ENV); });
+  after(async () => {
+    clients.forEach(socket => socket.disconnect());
+    await stopServer(server);
+  });
+
+  const connect = () => new Promise((resolve, reject) => {
+    const socket = io(server.url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    clients.push(socket);
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+  const emitWithAck = (socket, event, payload) => socket.timeout(EVENT_TIMEOUT_MS).emitWithAck(event, payload);
+
+  // Resolves with true if the room closes within `ms`
+  const closesWithin = (socket, ms) => new Promise(resolve => {
+    const timeout = setTimeout(() => { socket.off('roomClosed', onClosed); resolve(false); }, ms);
+    const onClosed = () => { clearTimeout(timeout); resolve(true); };
+    socket.once('roomClosed', onClosed);
+  });
+
+  it('keeps a game open while its timer counts down, and closes it once nothing moves', async () => {
+    const [host, guest] = await Promise.all([connect(), connect()]);
+    const { result: { roomCode } } = await emitWithAck(host, 'createRoom', { playerName: 'Host', settings: { turnTimer: 600 } });
+    assert.equal((await emitWithAck(guest, 'joinRoom', { roomCode, playerName: 'Guest' })).ok, true);
+    assert.equal((await emitWithAck(host, 'startGame', { roomCode })).ok, true);
+
+    assert.equal(await closesWithin(host, 2500), false);
+    assert.equal((await emitWithAck(host, 'pauseTurnTimer', { roomCode })).ok, true);
+    assert.equal(await closesWithin(host, 3000), true);
+  });
+});
+
+describe('two server processes sharing rooms', () => {
+  let redis;
+  const servers = [];
+  const clients = [];
+
+  before(async () => {
+    redis = await startLocalRedis();
+    servers.push(await startServer({ REDIS_URL: redis.url }), await startServer({ REDIS_URL: redis.url }));
+  });
+  after(async () => {
+    clients.forEach(socket => socket.disconnect());
+    await Promise.all(servers.map(stopServer));
+    redis.child.removeAllListeners('exit');
+    redis.child.kill('SIGTERM');
+  });
+
+  const connect = (server) => new Promise((resolve, reject) => {
+    const socket = io(server.url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    clients.push(socket);
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+  const emitWithAck = (socket, event, payload) => socket.timeout(EVENT_TIMEOUT_MS).emitWithAck(event, payload);
+  const nextEvent = (socket, event, matches = () => true) => new Promise((resolve, reject) => {
+    const listener = (payload) => {
+      if (!matches(payload)) return;
+      clearTimeout(timeout);
+      socket.off(event, listener);
+      resolve(payload);
+    };
+    const timeout = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`Timed out waiting for '${event}'`));
+    }, EVENT_TIMEOUT_MS);
+    socket.on(event, listener);
+  });
+
+  it('plays a round with the host on one process and the guests on the other', async () => {
+    const [host, ...guests] = await Promise.all([connect(servers[0]), connect(servers[1]), connect(servers[1])]);
+    const created = await emitWithAck(host, 'createRoom', { playerName: 'Host', settings: { totalQuestions: 1 } });
+    const { roomCode } = created.result;
+    const playerIds = [created.result.playerId];
+
+    // Each join shows up on the other process
+    for (const [i, guest] of guests.entries()) {
+      const hostSeesJoin = nextEvent(host, 'updateRoomState', state => state.players.length === i + 2);
+      const joined = await emitWithAck(guest, 'joinRoom', { roomCode, playerName: `Guest ${i + 1}` });
+      assert.equal(joined.ok, true);
+      playerIds.push(joined.result.playerId);
+      assert.deepEqual((await hostSeesJoin).players.map(p => p.id), playerIds);
+    }
+    const sockets = [host, ...guests];
+
+    const roundsStarted = Promise.all(sockets.map(socket => nextEvent(socket, 'newRound')));
+    assert.equal((await emitWithAck(host, 'startGame', { roomCode })).ok, true);
+    const rounds = await roundsStarted;
+    const imposterIndex = rounds.findIndex(round => round.isImposter);
+    assert.notEqual(imposterIndex, -1);
+
+    // The turn timer runs on the host's process; its ticks reach the guests too
+    assert.equal(typeof (await nextEvent(guests[0], 'turnTimerTick')).remaining, 'number');
+
+    const answerText = rounds[0].answerType === 'number' ? String(rounds[0].answerRange.min) : 'Something';
+    const allAnswersIn = Promise.all(sockets.map(socket => nextEvent(socket, 'allAnswersIn')));
+    for (const socket of sockets) {
+      assert.equal((await emitWithAck(socket, 'submitAnswer', { roomCode, answerText })).ok, true);
+    }
+    await allAnswersIn;
+
+    const votingStarted = nextEvent(guests[1], 'votingStarted');
+    assert.equal((await emitWithAck(host, 'skipGuessTimer', { roomCode })).ok, true);
+    await votingStarted;
+
+    const reveals = Promise.all(sockets.map(socket => nextEvent(socket, 'reveal')));
+    for (const [i, socket] of sockets.entries()) {
+      const targetId = i === imposterIndex ? null : playerIds[imposterIndex];
+      assert.equal((await emitWithAck(socket, 'castVote', { roomCode, targetId })).ok, true);
+    }
+    for (const revealed of await reveals) {
+      assert.equal(revealed.imposterCaught, true);
+      assert.deepEqual(revealed.imposterIds, [playerIds[imposterIndex]]);
+    }
+
+    const gameOver = Promise.all(sockets.map(socket => nextEvent(socket, 'gameOver')));
+    assert.equal((await emitWithAck(guests[0], 'nextQuestion', { roomCode })).ok, false); // Only the host moves on
+    assert.deepEqual((await emitWithAck(host, 'nextQuestion', { roomCode })).result, { gameOver: true });
+    await gameOver;
+  });
+});